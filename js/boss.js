@@ -0,0 +1,209 @@
+// js/boss.js
+
+/**
+ * @fileoverview Defines the Boss class, an Enemy that fights in phases. Each phase begins once the boss has lost enough health
+ * and brings its own speed, attack rate and attack patterns: aimed shots, rings of projectiles, summoned minions and charges.
+ * See `BossFight` in enemyTypes.js for the data a boss type provides.
+ * Assumes global access to `Enemy`, `ENEMY_DEFINITIONS`, `spawnEnemy` (from raycasting.js), `showHudMessage`, `player`, `gameLevel`,
+ * the `gameTime` simulation clock and the helpers from utils.js and pathfinding.js.
+ */
+
+/** @type {number} How close the boss has to come to the player during a charge to run into them, in world units. */
+const BOSS_CHARGE_HIT_DISTANCE = tileSize * 0.6;
+/** @type {number} How far from the boss summoned minions appear, in world units. */
+const BOSS_SUMMON_DISTANCE = tileSize;
+
+/**
+ * A boss enemy. Behaves like any enemy between attacks; the attacks come from the patterns of its current phase, in turn.
+ * @class Boss
+ * @extends Enemy
+ */
+class Boss extends Enemy {
+    /**
+     * Creates an instance of Boss. Takes the same parameters as `Enemy`; the definition must have a `bossFight`.
+     * @param {number} x - The initial x-coordinate of the boss.
+     * @param {number} y - The initial y-coordinate of the boss.
+     * @param {EnemyDefinition} definition - The boss type.
+     * @param {EnemySpriteImages} spriteImages - The loaded images of the boss type.
+     * @param {CanvasRenderingContext2D} renderingContext - The canvas rendering context.
+     * @param {Sprite} [initialSpriteInstance] - An optional pre-existing Sprite instance for this boss.
+     */
+    constructor(x, y, definition, spriteImages, renderingContext, initialSpriteInstance) {
+        super(x, y, definition, spriteImages, renderingContext, initialSpriteInstance);
+        /** @type {number} The index of the current phase in `bossFight.phases`. */
+        this.phaseIndex = 0;
+        /** @type {number} The index of the next attack in the patterns of the current phase. */
+        this.patternIndex = 0;
+        /** @type {Enemy[]} The minions the boss has summoned. */
+        this.minions = [];
+        /** @type {{angle: number, startTime: number, endTime: number, hasHit: boolean} | null} The charge under way, or null. */
+        this.charge = null;
+        /** @type {boolean} True once the boss has noticed the player; the HUD shows its health bar from then on. */
+        this.isEngaged = false;
+        this.enterPhase(0);
+    }
+
+    /** @type {BossPhase} The current phase. */
+    get phase() {
+        return this.definition.bossFight.phases[this.phaseIndex];
+    }
+
+    /**
+     * Switches to a phase and takes on its speed and attack rate.
+     * @param {number} phaseIndex - The index of the phase in `bossFight.phases`.
+     */
+    enterPhase(phaseIndex) {
+        this.phaseIndex = phaseIndex;
+        this.patternIndex = 0;
+        this.speed = this.phase.speed;
+        this.attackCooldown = this.phase.attackCooldown;
+    }
+
+    /**
+     * Moves on to the latest phase whose health threshold has been passed. Phases are never skipped back.
+     */
+    updatePhase() {
+        const phases = this.definition.bossFight.phases;
+        let phaseIndex = this.phaseIndex;
+        while (phaseIndex + 1 < phases.length && this.health <= this.definition.health * phases[phaseIndex + 1].healthFraction) {
+            phaseIndex++;
+        }
+        if (phaseIndex === this.phaseIndex) return;
+        this.enterPhase(phaseIndex);
+        if (typeof playSoundEffect === 'function') playSoundEffect("music/enemyLaugh.mp3", 0.6);
+        if (typeof showHudMessage === 'function') showHudMessage(`The ${this.definition.name} grows furious!`);
+    }
+
+    /**
+     * Carries out the next attack pattern of the current phase.
+     */
+    performAttack() {
+        const patterns = this.phase.attackPatterns;
+        const pattern = patterns[this.patternIndex];
+        this.patternIndex = (this.patternIndex + 1) % patterns.length;
+        if (pattern === 'burst') this.fireBurst();
+        else if (pattern === 'summon') this.summonMinions();
+        else if (pattern === 'charge') this.startCharge();
+        else this.fireProjectile();
+    }
+
+    /**
+     * Fires a ring of evenly spaced projectiles, one of them straight at the player.
+     */
+    fireBurst() {
+        const burst = this.definition.bossFight.burst;
+        const angleToPlayer = Math.atan2(player.y - this.y, player.x - this.x);
+        for (let i = 0; i < burst.count; i++) {
+            this.fireProjectile(normalizeAngle(angleToPlayer + i * 2 * Math.PI / burst.count), burst.projectile);
+        }
+    }
+
+    /**
+     * Calls minions to the boss's side, on free spots it can see, already hunting the player.
+     * While too many minions are alive the boss shoots at the player instead.
+     */
+    summonMinions() {
+        const summon = this.definition.bossFight.summon;
+        this.minions = this.minions.filter(minion => minion.isAlive);
+        const summonCount = Math.min(summon.count, summon.maxMinions - this.minions.length);
+        if (summonCount <= 0 || typeof spawnEnemy !== 'function') {
+            this.fireProjectile();
+            return;
+        }
+
+        const angleToPlayer = Math.atan2(player.y - this.y, player.x - this.x);
+        // Try spots around the boss, starting beside the line to the player, until enough minions have appeared.
+        let summonedCount = 0;
+        for (let i = 0; i < 8 && summonedCount < summonCount; i++) {
+            const spotAngle = angleToPlayer + (i % 2 === 0 ? 1 : -1) * (Math.floor(i / 2) + 1) * Math.PI / 4;
+            const spotX = this.x + Math.cos(spotAngle) * BOSS_SUMMON_DISTANCE;
+            const spotY = this.y + Math.sin(spotAngle) * BOSS_SUMMON_DISTANCE;
+            if (!isAreaClear(gameLevel, spotX, spotY, ENEMY_COLLISION_RADIUS) || !gameLevel.hasLineOfSight(this.x, this.y, spotX, spotY)) continue;
+            const minion = spawnEnemy(ENEMY_DEFINITIONS[summon.type], spotX, spotY);
+            minion.isSummoned = true;
+            minion.hearNoise(player.x, player.y);
+            this.minions.push(minion);
+            summonedCount++;
+        }
+    }
+
+    /**
+     * Braces for a charge at the player. The direction is fixed now, so the player can sidestep during the wind-up.
+     */
+    startCharge() {
+        const charge = this.definition.bossFight.charge;
+        const startTime = gameTime + charge.windUpTime;
+        this.charge = {
+            angle: Math.atan2(player.y - this.y, player.x - this.x),
+            startTime: startTime, endTime: startTime + charge.duration, hasHit: false
+        };
+        this.facingAngle = this.charge.angle;
+    }
+
+    /**
+     * Moves the charging boss on. The charge ends when its time is up or it runs into a wall;
+     * running into the player hurts them and knocks them aside, once per charge.
+     * @param {number} deltaTime - The simulation step, in seconds.
+     */
+    continueCharge(deltaTime) {
+        const charge = this.definition.bossFight.charge;
+        if (gameTime < this.charge.startTime) return;
+        const stepLength = charge.speed * deltaTime;
+        if (gameTime >= this.charge.endTime || !this.move(Math.cos(this.charge.angle) * stepLength, Math.sin(this.charge.angle) * stepLength)) {
+            this.endCharge();
+            return;
+        }
+        if (!this.charge.hasHit && player.health > 0 && distanceBetweenPoints(this.x, this.y, player.x, player.y) <= BOSS_CHARGE_HIT_DISTANCE) {
+            this.charge.hasHit = true;
+            player.takeDamage(charge.damage);
+            player.applyKnockback(Math.atan2(player.y - this.y, player.x - this.x), charge.knockback);
+        }
+    }
+
+    /**
+     * Ends the charge; the boss goes back to hunting the player from where it stopped.
+     */
+    endCharge() {
+        this.charge = null;
+        this.state = 'chasing';
+        this.path = null;
+    }
+
+    /**
+     * Keeps the boss from flinching in the middle of a charge.
+     */
+    flinch() {
+        if (!this.charge) super.flinch();
+    }
+
+    /**
+     * Updates the boss. While charging, the charge takes over from the usual behavior.
+     * @param {number} deltaTime - The simulation step, in seconds.
+     */
+    update(deltaTime) {
+        if (this.isAlive && this.charge) {
+            this.continueCharge(deltaTime);
+            this.updateSprite();
+            return;
+        }
+        super.update(deltaTime);
+        if (this.isAlive && this.state !== 'wandering') this.isEngaged = true;
+    }
+
+    /**
+     * Applies damage to the boss and moves on to the next phase once its threshold is passed.
+     * The boss's death opens the level exit; see `Campaign.getExitBlocker()`.
+     * @param {number} damageAmount - The amount of damage to inflict.
+     */
+    takeDamage(damageAmount) {
+        if (!this.isAlive) return;
+        this.isEngaged = true;
+        super.takeDamage(damageAmount);
+        if (this.isAlive) {
+            this.updatePhase();
+            return;
+        }
+        this.charge = null;
+        if (typeof showHudMessage === 'function') showHudMessage(`The ${this.definition.name} is slain. The exit is open!`, 4000);
+    }
+}
@@ -0,0 +1,113 @@
+// js/campaign.js
+
+/**
+ * @fileoverview Defines the Campaign class, which tracks progress through a sequence of levels.
+ * A campaign knows which level is being played, decides when a level is complete,
+ * collects the intermission stats and carries player stats over to the next level.
+ * Assumes global access to `unlockLevel` (from levels.js) and the `gameTime` simulation clock.
+ */
+
+/**
+ * @typedef {Object} LevelResult
+ * @property {string} levelName - The name of the finished level.
+ * @property {number} kills - Enemies killed, of those placed by the level.
+ * @property {number} totalEnemies - Enemies placed by the level.
+ * @property {number} items - Pickups collected.
+ * @property {number} totalItems - Pickups in the level.
+ * @property {number} timeMs - Time spent in the level, in milliseconds.
+ * @property {number} score - The player's score when leaving the level.
+ */
+
+/**
+ * Tracks the player's progress through an ordered list of levels.
+ * @class Campaign
+ */
+class Campaign {
+    /**
+     * Creates an instance of Campaign.
+     * @param {(LevelCatalogEntry | LevelData)[]} levels - The levels in play order: catalog entries naming a level file,
+     * or level data, e.g. a level play-tested from the editor.
+     * @param {number} [startIndex=0] - The index of the first level to play.
+     */
+    constructor(levels, startIndex = 0) {
+        this.levels = levels;
+        /** @type {number} The index of the level currently being played. */
+        this.currentIndex = Math.max(0, Math.min(startIndex, levels.length - 1));
+        /** @type {number} Simulation time, in seconds, at which the current level started. */
+        this.levelStartTime = 0;
+        /** @type {LevelResult | null} The result of the most recently finished level. */
+        this.lastLevelResult = null;
+    }
+
+    /** @type {LevelCatalogEntry | LevelData} The level currently being played. */
+    get currentLevel() {
+        return this.levels[this.currentIndex];
+    }
+
+    /**
+     * Checks if there is a level after the current one.
+     * @returns {boolean} True if the campaign continues after this level.
+     */
+    hasNextLevel() {
+        return this.currentIndex < this.levels.length - 1;
+    }
+
+    /** Marks the start of the current level, for the intermission timer. */
+    beginLevel() {
+        this.levelStartTime = gameTime;
+    }
+
+    /**
+     * Checks whether the player may leave the level through the exit. A level with a boss stays shut until the boss is dead.
+     * A level that requires all kills counts only the enemies it placed, not those a boss summoned.
+     * @param {Level} level - The current level.
+     * @param {Enemy[]} levelEnemies - The enemies of the current level.
+     * @returns {string | null} A message explaining why the exit is closed, or null if it can be used.
+     */
+    getExitBlocker(level, levelEnemies) {
+        const boss = levelEnemies.find(enemy => enemy.isAlive && enemy.definition.isBoss);
+        if (boss) return `Defeat the ${boss.definition.name} first`;
+        if (!level.exitRequiresAllKills) return null;
+        const enemiesLeft = levelEnemies.filter(enemy => enemy.isAlive && !enemy.isSummoned).length;
+        if (enemiesLeft === 0) return null;
+        return `Kill all demons first (${enemiesLeft} left)`;
+    }
+
+    /**
+     * Finishes the current level: records the intermission stats and unlocks the next level.
+     * @param {Level} level - The current level.
+     * @param {Player} levelPlayer - The player leaving the level.
+     * @param {Enemy[]} levelEnemies - The enemies of the level. Enemies a boss summoned are left out of the kill count.
+     * @param {Sprite[]} levelSprites - All sprites of the level, used to count the pickups left behind.
+     * @returns {LevelResult} The stats of the finished level.
+     */
+    completeLevel(level, levelPlayer, levelEnemies, levelSprites) {
+        const placedEnemies = levelEnemies.filter(enemy => !enemy.isSummoned);
+        const pickupsLeft = levelSprites.filter(sprite => sprite.visible && LEVEL_PICKUP_TYPES.includes(sprite.type)).length;
+
+        this.lastLevelResult = {
+            levelName: level.name,
+            kills: placedEnemies.filter(enemy => !enemy.isAlive).length,
+            totalEnemies: placedEnemies.length,
+            items: levelPlayer.itemsCollected,
+            totalItems: levelPlayer.itemsCollected + pickupsLeft,
+            timeMs: (gameTime - this.levelStartTime) * 1000,
+            score: levelPlayer.score
+        };
+
+        if (this.hasNextLevel() && this.levels[this.currentIndex + 1].id) {
+            unlockLevel(this.levels[this.currentIndex + 1].id);
+        }
+        return this.lastLevelResult;
+    }
+
+    /**
+     * Moves on to the next level.
+     * @returns {LevelCatalogEntry | LevelData | null} The next level, or null if the campaign is over.
+     */
+    advance() {
+        if (!this.hasNextLevel()) return null;
+        this.currentIndex++;
+        return this.currentLevel;
+    }
+}
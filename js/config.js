@@ -1,18 +1,107 @@
 // js/config.js
 
-const FPS = 60;
+/** Simulation updates per second. Rendering runs at the display refresh rate, independently of this. */
+const SIMULATION_RATE = 60;
+/** Duration of one fixed simulation step, in seconds. */
+const SIMULATION_STEP = 1 / SIMULATION_RATE;
+/** Longest frame time fed into the simulation, in seconds. Avoids a burst of catch-up steps after a stall. */
+const MAX_FRAME_TIME = 0.25;
 
 const canvasWidth = 500;
 const canvasHeight = 500;
 
 const tileSize = 50;
 
+/** Internal resolution of the 3D view. The frame is scaled to the canvas size when presented. */
+const RENDER_WIDTH = 320;
+const RENDER_HEIGHT = Math.round(RENDER_WIDTH * canvasHeight / canvasWidth);
+/** Whether the 3D view starts out showing how long it takes to render; the pause menu options switch it. The 2D map view always shows it. */
+const SHOW_FRAME_TIME = false;
+
 const FOV_DEGREES = 60;
 const FOV_RADIANS = degreesToRadians(FOV_DEGREES);
 const FOV_RADIANS_HALF = degreesToRadians(FOV_DEGREES / 2);
 
-const FIRE_COOLDOWN = 200;
+const FIRE_COOLDOWN = 0.2; // seconds
+/** Seconds it takes to raise a newly selected weapon; it cannot fire before then. */
+const WEAPON_SWITCH_TIME = 0.3;
+
+/** How fast a knockback slows down, in units per second squared. */
+const PLAYER_KNOCKBACK_DECELERATION = 900;
+
+/** How far, in world units, enemies hear the player's shots. Walls do not muffle them. */
+const PLAYER_SHOT_NOISE_RADIUS = tileSize * 8;
+/** How far, in world units, an enemy that spots the player calls the enemies around it. */
+const ENEMY_ALERT_RADIUS = tileSize * 5;
+/** Enemies notice a player this close, in world units, whichever way they face. */
+const ENEMY_PROXIMITY_SENSE_DISTANCE = tileSize * 0.8;
+/** Seconds an enemy looks around where the player was last known to be before it goes back to wandering. */
+const ENEMY_SEARCH_DURATION = 5;
+/** How fast a searching enemy turns to look around, in radians per second. */
+const ENEMY_SEARCH_TURN_SPEED = 1.5;
+/** The most visual effects (sparks, muzzle flashes, blood puffs, spirits) that can play at once; see `EffectPool`. */
+const EFFECT_POOL_SIZE = 64;
+
+/** Debris particles thrown off an enemy by each hit, and by the hit that kills it. */
+const ENEMY_HIT_DEBRIS_COUNT = 3;
+const ENEMY_DEATH_DEBRIS_COUNT = 12;
+
+/** The slowest and fastest speed debris is thrown with, in units per second. */
+const DEBRIS_MIN_SPEED = 30;
+const DEBRIS_MAX_SPEED = 90;
+/** How fast debris falls, in units per second squared. */
+const DEBRIS_GRAVITY = 300;
+/** Seconds debris lies around, on average, before it disappears. */
+const DEBRIS_LIFETIME = 2.5;
 
 const PLAYER_LIGHT_RADIUS = 150;
 const AMBIENT_LIGHT_LEVEL = 0.01; 
-const LIGHT_FALLOFF_SHARPNESS = 0.9;
\ No newline at end of file
+const LIGHT_FALLOFF_SHARPNESS = 0.9;
+
+const WALL_TEXTURE_SIZE = 64;
+const WALL_ATLAS_ROWS = 2;
+const WALL_ATLAS_COLUMNS = 2;
+
+/** Wall atlas slots used for floors and ceilings of levels that do not set their own. */
+const DEFAULT_FLOOR_TEXTURE_INDEX = 0;
+const DEFAULT_CEILING_TEXTURE_INDEX = 2;
+/** Value in a floor or ceiling layer for a tile without a texture; it is drawn black. */
+const NO_SURFACE_TEXTURE = -1;
+
+const EXIT_TILE_ID = 9;
+const EXIT_TEXTURE_INDEX = 1;
+/** Tile ID of a sliding door. Doors open with the use key and close again after `DOOR_HOLD_OPEN_TIME`. */
+const DOOR_TILE_ID = 8;
+const DOOR_TEXTURE_INDEX = 3;
+/** Fraction of the doorway a door opens or closes per second. */
+const DOOR_SLIDE_SPEED = 1.5;
+/** Seconds a fully open door waits before it starts to close. */
+const DOOR_HOLD_OPEN_TIME = 3.0;
+
+/** Key card colours as [red, green, blue]. Each colour has a `<colour>Key` pickup and a door tile locked with it. */
+const KEY_CARD_COLORS = { red: [200, 32, 32], blue: [40, 80, 220], yellow: [224, 192, 32] };
+/** Tile IDs of the doors that only open for a player holding the key card of their colour. */
+const LOCKED_DOOR_TILE_IDS = { red: 5, blue: 6, yellow: 7 };
+/** Position and height of the key-coloured band across locked doors, as fractions of the wall height. */
+const LOCKED_DOOR_BAND_TOP = 0.42;
+const LOCKED_DOOR_BAND_HEIGHT = 0.12;
+
+/**
+ * Armor tiers, keyed by the pickup type that gives them. Picking one up sets the armor to `maxArmor`,
+ * unless the player already has at least that much; `absorption` is the share of damage the armor takes instead of health.
+ */
+const ARMOR_TIERS = {
+    armor: { maxArmor: 100, absorption: 1 / 3, color: '#30A0E0' },
+    heavyArmor: { maxArmor: 200, absorption: 1 / 2, color: '#3050E0' }
+};
+/** The most armor any tier gives; the HUD armor bar is full at this value. */
+const MAX_ARMOR = 200;
+
+/**
+ * Ammunition types, keyed by name; each weapon uses one of them. The pickup of type `pickupType` gives
+ * `pickupAmount`, up to `maxAmount`. Players start a game with `startAmount`.
+ */
+const AMMO_TYPES = {
+    mana: { label: 'Mana', pickupType: 'ammo', pickupAmount: 10, maxAmount: 200, startAmount: 10 },
+    embers: { label: 'Embers', pickupType: 'embers', pickupAmount: 4, maxAmount: 40, startAmount: 0 }
+};
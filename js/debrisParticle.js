@@ -0,0 +1,92 @@
+// js/debrisParticle.js
+
+/**
+ * @fileoverview Defines the DebrisParticle class, a scrap of gore thrown off an enemy that is hit.
+ * It flies out, falls to the floor and lies there for a moment before it disappears.
+ * Assumes global access to `Sprite` class, `gameLevel`, `tileSize`, the `gameTime` simulation clock
+ * and the debris constants from config.js. The images (e.g., `debrisImages`) must be loaded.
+ */
+
+/** @type {number} The number of different debris images. */
+const DEBRIS_IMAGE_COUNT = 3;
+
+/**
+ * Represents one particle of debris, thrown from the centre of an enemy in a random direction.
+ * @class DebrisParticle
+ */
+class DebrisParticle {
+    /**
+     * Creates an instance of DebrisParticle.
+     * @param {number} x - The x-coordinate it is thrown from.
+     * @param {number} y - The y-coordinate it is thrown from.
+     * @param {HTMLImageElement} image - The image of the particle.
+     * @param {CanvasRenderingContext2D} renderingContext - The canvas rendering context.
+     */
+    constructor(x, y, image, renderingContext) {
+        this.x = x;
+        this.y = y;
+        this.image = image;
+        this.renderingContext = renderingContext;
+
+        const throwAngle = Math.random() * 2 * Math.PI;
+        const throwSpeed = DEBRIS_MIN_SPEED + Math.random() * (DEBRIS_MAX_SPEED - DEBRIS_MIN_SPEED);
+        this.velocityX = Math.cos(throwAngle) * throwSpeed;
+        this.velocityY = Math.sin(throwAngle) * throwSpeed;
+        /** @type {number} The upward speed, in units per second. */
+        this.velocityZ = DEBRIS_MIN_SPEED + Math.random() * DEBRIS_MAX_SPEED;
+        /** @type {number} How far the particle is above the height it was thrown from, in world units. */
+        this.elevation = 0;
+
+        this.isActive = true;
+        this.startTime = gameTime;
+        this.duration = DEBRIS_LIFETIME * (0.75 + Math.random() * 0.5);
+
+        this.sprite = new Sprite(this.x, this.y, this.image, this.renderingContext);
+        this.sprite.worldHeight = tileSize * 0.12;
+        this.sprite.flipped = Math.random() < 0.5;
+        this.sprite.visible = true;
+        /** @type {number} The elevation of the particle lying on the floor. Particles are thrown from the middle of the wall height. */
+        this.floorElevation = this.sprite.worldHeight / 2 - tileSize / 2;
+    }
+
+    /**
+     * Moves the particle and lets it fall; it stops where it lands and bounces off walls.
+     * Should be called once per simulation step.
+     * @param {number} deltaTime - The simulation step, in seconds.
+     */
+    update(deltaTime) {
+        if (!this.isActive) return;
+        if (this.elevation > this.floorElevation) {
+            const nextX = this.x + this.velocityX * deltaTime;
+            const nextY = this.y + this.velocityY * deltaTime;
+            if (gameLevel && gameLevel.hasCollision(Math.floor(nextX / tileSize), Math.floor(this.y / tileSize))) this.velocityX = -this.velocityX;
+            else this.x = nextX;
+            if (gameLevel && gameLevel.hasCollision(Math.floor(this.x / tileSize), Math.floor(nextY / tileSize))) this.velocityY = -this.velocityY;
+            else this.y = nextY;
+
+            this.velocityZ -= DEBRIS_GRAVITY * deltaTime;
+            this.elevation = Math.max(this.floorElevation, this.elevation + this.velocityZ * deltaTime);
+        }
+
+        if (this.sprite) {
+            this.sprite.x = this.x;
+            this.sprite.y = this.y;
+            this.sprite.elevation = this.elevation;
+        }
+
+        if (gameTime - this.startTime > this.duration) {
+            this.deactivate();
+        }
+    }
+
+    /**
+     * Deactivates the particle, making it invisible and stopping updates.
+     * Note: Actual removal from global sprite lists is typically handled externally.
+     */
+    deactivate() {
+        this.isActive = false;
+        if (this.sprite) {
+            this.sprite.visible = false;
+        }
+    }
+}
@@ -0,0 +1,78 @@
+// js/door.js
+
+/**
+ * @fileoverview Defines the Door class, the state of one sliding door tile.
+ * A door is a thin panel across the middle of its tile that slides sideways into the wall next to it.
+ * Locked doors only open for a player holding the key card of their colour.
+ * Assumes global access to the `gameTime` simulation clock and the door constants from config.js.
+ */
+
+/**
+ * One door tile. The level owns its doors; see `Level.getDoor()`.
+ * @class Door
+ */
+class Door {
+    /**
+     * Creates an instance of Door. New doors are closed.
+     * @param {number} col - The tile column.
+     * @param {number} row - The tile row.
+     * @param {string} axis - 'x' if the panel runs along the x axis (walls to the left and right), 'y' if it runs along the y axis.
+     * @param {string | null} [requiredKey=null] - The key card colour the door is locked with, or null if anyone can open it.
+     */
+    constructor(col, row, axis, requiredKey = null) {
+        this.col = col;
+        this.row = row;
+        this.axis = axis;
+        this.requiredKey = requiredKey;
+        /** @type {number} How far the door has slid open, from 0 (closed) to 1 (open). */
+        this.openAmount = 0;
+        /** @type {number} 1 while opening, -1 while closing, 0 while standing still. */
+        this.slideDirection = 0;
+        /** @type {number} The `gameTime` at which an open door starts to close. */
+        this.closeTime = 0;
+    }
+
+    /**
+     * Starts opening the door. An open door stays open for another `DOOR_HOLD_OPEN_TIME`.
+     * Does not check the lock; see `requiredKey`.
+     */
+    open() {
+        if (this.openAmount >= 1) {
+            this.closeTime = gameTime + DOOR_HOLD_OPEN_TIME;
+            return;
+        }
+        this.slideDirection = 1;
+    }
+
+    /**
+     * Checks whether actors and projectiles can pass. Only a fully open door lets anything through.
+     * @returns {boolean} True if the door is open.
+     */
+    isPassable() {
+        return this.openAmount >= 1;
+    }
+
+    /**
+     * Slides the door and closes it once it has been open long enough.
+     * A door never closes on something standing in its doorway; a closing door opens again instead.
+     * @param {number} deltaTime - The simulation step, in seconds.
+     * @param {boolean} isDoorwayOccupied - True if an actor overlaps the door tile.
+     */
+    update(deltaTime, isDoorwayOccupied) {
+        if (this.slideDirection === -1 && isDoorwayOccupied) {
+            this.slideDirection = 1;
+        }
+        if (this.slideDirection === 1) {
+            this.openAmount = Math.min(1, this.openAmount + DOOR_SLIDE_SPEED * deltaTime);
+            if (this.openAmount === 1) {
+                this.slideDirection = 0;
+                this.closeTime = gameTime + DOOR_HOLD_OPEN_TIME;
+            }
+        } else if (this.slideDirection === -1) {
+            this.openAmount = Math.max(0, this.openAmount - DOOR_SLIDE_SPEED * deltaTime);
+            if (this.openAmount === 0) this.slideDirection = 0;
+        } else if (this.openAmount === 1 && gameTime >= this.closeTime && !isDoorwayOccupied) {
+            this.slideDirection = -1;
+        }
+    }
+}
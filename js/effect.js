@@ -0,0 +1,149 @@
+// js/effect.js
+
+/**
+ * @fileoverview Defines `EFFECT_DEFINITIONS`, the table of short-lived visual effects (rising spirits, impact sparks,
+ * muzzle flashes and blood puffs), and the Effect class, which plays one of them on a sprite.
+ * Effects are drawn like any other sprite, so walls in front hide them. Over its lifetime an effect rises and drifts
+ * along a movement curve, grows or shrinks, and fades out. Effects are reused rather than created for every spawn; see `EffectPool`.
+ * Assumes global access to `Sprite` class, `tileSize` constant, the `gameTime` simulation clock, `lerp` (from utils.js),
+ * the `gameSession` (its `sprites` list) and the images named in the definitions.
+ */
+
+/** @type {Object<string, function(number): number>} Movement curves: each maps the fraction of the lifetime passed to the fraction of the way travelled. */
+const EFFECT_CURVES = {
+    linear: progress => progress,
+    easeIn: progress => progress * progress,
+    easeOut: progress => 1 - (1 - progress) * (1 - progress)
+};
+
+/**
+ * @typedef {Object} EffectDefinition
+ * @property {string} id - The identifier, e.g. 'spark'.
+ * @property {string} image - The name of the global holding the image.
+ * @property {number} lifetime - Seconds the effect lasts.
+ * @property {number} startSize - The height of the effect when it appears, in world units.
+ * @property {number} endSize - The height of the effect when it disappears, in world units.
+ * @property {number} rise - How far the effect rises over its lifetime, in world units; negative values sink.
+ * @property {number} spread - How far the effect drifts over its lifetime, in world units, in a direction picked at random.
+ * @property {string} curve - How the rise and drift run over the lifetime; a key of `EFFECT_CURVES`.
+ * @property {number} startAlpha - The opacity when the effect appears, from 0 to 1.
+ * @property {number} endAlpha - The opacity when the effect disappears.
+ * @property {number} fadeStart - The fraction of the lifetime after which the opacity starts to change.
+ * @property {boolean} isFullBright - True for effects that glow, drawn at full brightness whatever the lighting.
+ */
+
+/** @type {Object<string, EffectDefinition>} The visual effects, by id. */
+const EFFECT_DEFINITIONS = {
+    spirit: {
+        id: 'spirit', image: 'enemyDeadAngelImage', lifetime: 4,
+        startSize: tileSize * 0.75, endSize: tileSize * 0.75, rise: tileSize * 0.8, spread: 0, curve: 'easeIn',
+        startAlpha: 1, endAlpha: 0, fadeStart: 0.4, isFullBright: true
+    },
+    spark: {
+        id: 'spark', image: 'sparkEffectImage', lifetime: 0.25,
+        startSize: tileSize * 0.15, endSize: tileSize * 0.05, rise: tileSize * 0.1, spread: tileSize * 0.3, curve: 'easeOut',
+        startAlpha: 1, endAlpha: 0, fadeStart: 0.3, isFullBright: true
+    },
+    muzzleFlash: {
+        id: 'muzzleFlash', image: 'muzzleFlashEffectImage', lifetime: 0.08,
+        startSize: tileSize * 0.12, endSize: tileSize * 0.18, rise: 0, spread: 0, curve: 'linear',
+        startAlpha: 1, endAlpha: 0.2, fadeStart: 0, isFullBright: true
+    },
+    bloodPuff: {
+        id: 'bloodPuff', image: 'bloodPuffEffectImage', lifetime: 0.45,
+        startSize: tileSize * 0.25, endSize: tileSize * 0.5, rise: tileSize * 0.1, spread: tileSize * 0.1, curve: 'easeOut',
+        startAlpha: 0.9, endAlpha: 0, fadeStart: 0.2, isFullBright: false
+    }
+};
+
+/**
+ * One visual effect. An effect is started, plays for its lifetime and stops; the pool then starts it again as another effect.
+ * @class Effect
+ */
+class Effect {
+    /**
+     * Creates an instance of Effect. New effects are inactive until `start()` is called.
+     * Effects only draw into the frame buffer, so their sprites need no canvas context.
+     */
+    constructor() {
+        this.isActive = false;
+        /** @type {EffectDefinition | null} What the effect is playing. */
+        this.definition = null;
+        this.startTime = 0;
+        /** @type {number} Where the effect started, in world units. */
+        this.startX = 0;
+        this.startY = 0;
+        this.startElevation = 0;
+        /** @type {number} The direction the effect drifts in, in radians. */
+        this.driftAngle = 0;
+
+        this.sprite = new Sprite(0, 0, null, null);
+        this.sprite.visible = false;
+    }
+
+    /**
+     * Starts the effect and adds its sprite to the game.
+     * @param {EffectDefinition} definition - What to play.
+     * @param {HTMLImageElement} image - The loaded image of the effect.
+     * @param {number} x - The x-coordinate, in world units.
+     * @param {number} y - The y-coordinate, in world units.
+     * @param {number} elevation - How far above the middle of the wall height it appears, in world units; see `Sprite.elevation`.
+     */
+    start(definition, image, x, y, elevation) {
+        this.isActive = true;
+        this.definition = definition;
+        this.startTime = gameTime;
+        this.startX = x;
+        this.startY = y;
+        this.startElevation = elevation;
+        this.driftAngle = Math.random() * 2 * Math.PI;
+
+        this.sprite.image = image;
+        this.sprite.isFullBright = definition.isFullBright;
+        this.sprite.flipped = Math.random() < 0.5;
+        this.sprite.visible = true;
+        this.showProgress(0);
+        this.sprite.savePreviousPosition(); // appear in place, not sliding over from where the sprite was last used
+        if (!gameSession.sprites.includes(this.sprite)) gameSession.sprites.push(this.sprite);
+    }
+
+    /**
+     * Moves, sizes and fades the effect for the time passed, and stops it at the end of its lifetime.
+     * Should be called once per simulation step.
+     * @param {number} deltaTime - The simulation step, in seconds.
+     */
+    update(deltaTime) {
+        if (!this.isActive) return;
+        const progress = (gameTime - this.startTime) / this.definition.lifetime;
+        if (progress >= 1) {
+            this.deactivate();
+            return;
+        }
+        this.showProgress(progress);
+    }
+
+    /**
+     * Sets the sprite to how the effect looks after a fraction of its lifetime.
+     * @param {number} progress - The fraction of the lifetime passed, from 0 to 1.
+     */
+    showProgress(progress) {
+        const definition = this.definition;
+        const travelled = EFFECT_CURVES[definition.curve](progress);
+        const fadeProgress = Math.max(0, (progress - definition.fadeStart) / (1 - definition.fadeStart));
+        this.sprite.x = this.startX + Math.cos(this.driftAngle) * definition.spread * travelled;
+        this.sprite.y = this.startY + Math.sin(this.driftAngle) * definition.spread * travelled;
+        this.sprite.elevation = this.startElevation + definition.rise * travelled;
+        this.sprite.worldHeight = lerp(definition.startSize, definition.endSize, progress);
+        this.sprite.alpha = lerp(definition.startAlpha, definition.endAlpha, fadeProgress);
+    }
+
+    /**
+     * Stops the effect and takes its sprite out of the game. The effect can be started again.
+     */
+    deactivate() {
+        this.isActive = false;
+        this.sprite.visible = false;
+        const spriteIndex = gameSession.sprites.indexOf(this.sprite);
+        if (spriteIndex > -1) gameSession.sprites.splice(spriteIndex, 1);
+    }
+}
@@ -0,0 +1,71 @@
+// js/effectPool.js
+
+/**
+ * @fileoverview Defines the EffectPool class, which keeps the visual effects of a game session and reuses them.
+ * Effects that have played out wait in the pool for the next spawn, so a burst of sparks does not create new objects.
+ * Assumes global access to `Effect` and `EFFECT_DEFINITIONS` (from effect.js) and the images named in the definitions.
+ */
+
+/**
+ * A fixed-size pool of effects. When every effect is playing, the oldest one is cut short for the new one.
+ * @class EffectPool
+ */
+class EffectPool {
+    /**
+     * Creates an instance of EffectPool. Effects are created as they are first needed.
+     * @param {number} maxEffects - The most effects that can play at once.
+     */
+    constructor(maxEffects) {
+        this.maxEffects = maxEffects;
+        /** @type {Effect[]} Every effect of the pool, playing or not. */
+        this.effects = [];
+    }
+
+    /**
+     * Starts an effect.
+     * @param {string} effectId - The effect, a key of `EFFECT_DEFINITIONS`.
+     * @param {number} x - The x-coordinate, in world units.
+     * @param {number} y - The y-coordinate, in world units.
+     * @param {number} [elevation=0] - How far above the middle of the wall height it appears, in world units.
+     * @returns {Effect | null} The effect, or null if its image has not loaded.
+     */
+    spawn(effectId, x, y, elevation = 0) {
+        const definition = EFFECT_DEFINITIONS[effectId];
+        const image = window[definition.image];
+        if (!image || !image.complete || !image.naturalHeight) return null;
+
+        let effect = this.effects.find(candidate => !candidate.isActive);
+        if (!effect && this.effects.length < this.maxEffects) {
+            effect = new Effect();
+            this.effects.push(effect);
+        }
+        if (!effect) {
+            effect = this.effects.reduce((oldest, candidate) => candidate.startTime < oldest.startTime ? candidate : oldest);
+        }
+        effect.start(definition, image, x, y, elevation);
+        return effect;
+    }
+
+    /**
+     * Advances every playing effect. Should be called once per simulation step.
+     * @param {number} deltaTime - The simulation step, in seconds.
+     */
+    update(deltaTime) {
+        this.effects.forEach(effect => effect.update(deltaTime));
+    }
+
+    /**
+     * Counts the effects playing.
+     * @returns {number} The number of active effects.
+     */
+    getActiveCount() {
+        return this.effects.filter(effect => effect.isActive).length;
+    }
+
+    /** Stops every effect, e.g. when the level is left. */
+    clear() {
+        this.effects.forEach(effect => {
+            if (effect.isActive) effect.deactivate();
+        });
+    }
+}
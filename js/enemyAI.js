@@ -1,66 +1,147 @@
 // js/enemyAI.js
 
+/** @type {number} How far enemies keep their centre away from walls, in world units. */
+const ENEMY_COLLISION_RADIUS = tileSize / 4;
+
+/**
+ * @typedef {Object} EnemySpriteImages
+ * @property {HTMLImageElement} alive - The image shown while walking.
+ * @property {HTMLImageElement} attack - The image shown while attacking.
+ * @property {HTMLImageElement} dead - The image of the corpse.
+ * @property {HTMLImageElement[]} [aliveViews] - The rotation set of the walking enemy, loaded from the view files of its `EnemySpriteSet`.
+ * Without it, the alive image is shown from every side.
+ * @property {HTMLImageElement[]} [attackViews] - The rotation set of the attacking enemy, if its type has view files.
+ */
+
+/** @type {number} How far an enemy walks per frame of its walk animation, in world units. */
+const ENEMY_WALK_FRAME_DISTANCE = tileSize / 5;
+
+/**
+ * Builds the animation sequences of an enemy type from its three images: walking alternates the image and its mirror
+ * (or, for enemies with rotation sets, just bobs), an attack rears up, a flinch flashes, and dying sinks down into the corpse.
+ * Where the type has rotation sets, the living frames show the enemy from the viewer's side; the corpse always looks the same.
+ * @param {EnemySpriteImages} spriteImages - The loaded images of the enemy type.
+ * @param {EnemyDefinition} definition - The enemy type; its speed, attack animation duration and pain time set the pace.
+ * @returns {Object<string, AnimationSequence>} The 'idle', 'walk', 'attack', 'pain' and 'death' sequences.
+ */
+function createEnemyAnimations(spriteImages, definition) {
+    const aliveViews = spriteImages.aliveViews || null;
+    const aliveFrame = changes => Object.assign({ image: spriteImages.alive, views: aliveViews }, changes);
+    // Mirroring would turn a side view around.
+    const isStrideMirrored = !aliveViews;
+    const attackFrame = { image: spriteImages.attack, views: spriteImages.attackViews || null };
+    return {
+        idle: { frames: [aliveFrame()], frameDuration: 1, loop: true },
+        walk: {
+            frames: [
+                aliveFrame(), aliveFrame({ heightScale: 0.96 }),
+                aliveFrame({ flipped: isStrideMirrored }), aliveFrame({ flipped: isStrideMirrored, heightScale: 0.96 })
+            ],
+            frameDuration: ENEMY_WALK_FRAME_DISTANCE / definition.speed, loop: true
+        },
+        attack: {
+            frames: [Object.assign({ heightScale: 1.06 }, attackFrame), attackFrame],
+            frameDuration: definition.attackAnimationDuration / 2, loop: false
+        },
+        pain: {
+            frames: [aliveFrame({ heightScale: 0.92, isFullBright: true }), aliveFrame({ flipped: isStrideMirrored, heightScale: 0.96 })],
+            frameDuration: definition.painTime / 2, loop: false
+        },
+        death: {
+            frames: [
+                aliveFrame({ heightScale: 0.9, isFullBright: true }), aliveFrame({ heightScale: 0.7 }),
+                aliveFrame({ heightScale: 0.45 }), { image: spriteImages.dead }
+            ],
+            frameDuration: 0.12, loop: false
+        }
+    };
+}
+
 /**
  * Represents an enemy entity in the game with AI behavior.
  * Enemies can wander, chase the player, attack, and take damage.
+ * What kind of enemy it is comes from its definition; see `ENEMY_DEFINITIONS`.
  * @class Enemy
  */
 class Enemy {
     /**
      * Creates an instance of an Enemy.
      * Assumes global access to `tileSize`, `gameLevel`, `player`, utility functions 
-     * like `normalizeAngle` and `distanceBetweenPoints`, sound functions like `playSoundEffect`,
-     * and image assets like `enemyDemonAttackImage`, `demonAttackOrbImage`, `enemyDeadImage`, `enemyDeadAngelImage`.
-     * Also assumes global arrays `enemyProjectiles`, `sprites`, `risingEffects`.
+     * like `normalizeAngle` and `distanceBetweenPoints`, the `gameTime` simulation clock, sound functions like `playSoundEffect`,
+     * and the projectile images named in the definitions.
+     * Also assumes the global `gameSession` (for its `enemyProjectiles` and `sprites` lists and its `effects`),
+     * the pathfinding functions from pathfinding.js, `SpriteAnimator` and `spawnDebris` (from raycasting.js).
      * @param {number} x - The initial x-coordinate of the enemy.
      * @param {number} y - The initial y-coordinate of the enemy.
-     * @param {HTMLImageElement} aliveImageSource - The image to use when the enemy is alive and not attacking.
+     * @param {EnemyDefinition} definition - The enemy type. Definitions are shared and never changed.
+     * @param {EnemySpriteImages} spriteImages - The loaded images of the enemy type.
      * @param {CanvasRenderingContext2D} renderingContext - The canvas rendering context.
      * @param {Sprite} [initialSpriteInstance] - An optional pre-existing Sprite instance for this enemy.
      */
-    constructor(x, y, aliveImageSource, renderingContext, initialSpriteInstance) {
+    constructor(x, y, definition, spriteImages, renderingContext, initialSpriteInstance) {
         this.x = x;
         this.y = y;
+        this.definition = definition;
+        this.spriteImages = spriteImages;
         this.renderingContext = renderingContext;
 
-        this.aliveBaseImage = aliveImageSource; 
-
         if (initialSpriteInstance) {
             this.sprite = initialSpriteInstance;
-            this.sprite.image = this.aliveBaseImage; 
+            this.sprite.image = spriteImages.alive; 
         } else {
-            this.sprite = new Sprite(this.x, this.y, this.aliveBaseImage, this.renderingContext);
+            this.sprite = new Sprite(this.x, this.y, spriteImages.alive, this.renderingContext);
         }
         this.sprite.x = this.x;
         this.sprite.y = this.y;
+        /** @type {SpriteAnimator} Plays the sequences from `createEnemyAnimations()` on the sprite; see `updateSprite()`. */
+        this.animator = new SpriteAnimator(createEnemyAnimations(spriteImages, definition));
+        this.sprite.animator = this.animator;
+        this.animator.play('idle');
 
-        this.speed = 0.7;
+        this.speed = definition.speed; // units per second
         this.wanderAngle = Math.random() * 2 * Math.PI;
+        /** @type {string} 'wandering', 'chasing', 'attacking' or 'searching' (looking around where the player was last known to be). */
         this.state = 'wandering'; 
+        /** @type {number} The direction the enemy looks in, in radians. Its view cone is centred on it, and its sprite turns with it. */
+        this.facingAngle = this.wanderAngle;
+        this.sprite.facingAngle = this.facingAngle;
 
-        this.viewDistance = 100;
-        this.attackRange = 100;      
-        this.attackStopDistance = 100; 
-        this.viewAngleSpread = Math.PI / 3; 
+        this.viewDistance = definition.viewDistance;
+        this.attackRange = definition.attackRange;
+        this.attackStopDistance = definition.attackStopDistance;
+        /** @type {number} Half the width of the view cone, in radians. */
+        this.viewAngleSpread = definition.viewAngleSpread;
 
-        this.wanderChangeInterval = 2000;
-        this.lastWanderChangeTime = Date.now();
+        this.wanderChangeInterval = 2.0; // seconds
+        this.lastWanderChangeTime = gameTime;
 
-        this.health = 100;
+        this.health = definition.health;
         this.isAlive = true;
-
-        this.walkCycleDistance = tileSize / 2.5; 
-        this.distanceMovedSinceLastFlip = 0;
-        this.isSpriteFlipped = false;
-        if (this.sprite) {
-            this.sprite.flipped = this.isSpriteFlipped;
-        }
-
-        this.attackCooldown = 1800; 
-        this.lastAttackTime = 0;
-        this.attackAnimationDuration = 400; 
+        /** @type {boolean} Whether a boss called the enemy in. Summoned enemies are not counted in the level's kills. */
+        this.isSummoned = false;
+        /** @type {number} The `gameTime` the enemy recovers from its flinch at; see `flinch()`. */
+        this.painEndTime = -Infinity;
+
+        this.attackCooldown = definition.attackCooldown; // seconds
+        this.lastAttackTime = -Infinity;
+        this.attackAnimationDuration = definition.attackAnimationDuration; // seconds
         this.isCurrentlyInAttackAnimation = false; 
         this.attackAnimationStartTime = 0;
+
+        /** @type {PathWaypoint | null} Where the player was last seen. Chasing enemies head there when the player is out of sight. */
+        this.lastKnownPlayerPosition = null;
+        /** @type {PathWaypoint[] | null} The waypoints still ahead on the planned path, or null if none is planned. */
+        this.path = null;
+        /** @type {number} The `gameTime` the path was planned at. */
+        this.lastPathTime = -Infinity;
+        /** @type {number} The tile index (row * map width + column) the path leads to. */
+        this.pathGoalIndex = -1;
+        /** @type {number} The `gameTime` the enemy started searching at. */
+        this.searchStartTime = 0;
+        /** @type {number | null} The `gameTime` a wound-up melee strike lands at, or null if none is coming. */
+        this.meleeStrikeTime = null;
+        /** @type {number} The direction the coming melee strike sweeps around, in radians. */
+        this.meleeStrikeAngle = 0;
     }
 
     /**
@@ -71,25 +152,11 @@ class Enemy {
      */
     canMoveTo(targetX, targetY) {
         if (!gameLevel) return false; 
-        const checkRadius = tileSize / 4; 
-        const pointsToCheck = [
-            { x: targetX, y: targetY }, { x: targetX + checkRadius, y: targetY },
-            { x: targetX - checkRadius, y: targetY }, { x: targetX, y: targetY + checkRadius },
-            { x: targetX, y: targetY - checkRadius },
-        ];
-        for (const point of pointsToCheck) {
-            const tileX = Math.floor(point.x / tileSize);
-            const tileY = Math.floor(point.y / tileSize);
-            if (tileX < 0 || tileX >= gameLevel.mapWidth || tileY < 0 || tileY >= gameLevel.mapHeight || gameLevel.hasCollision(tileX, tileY)) {
-                return false;
-            }
-        }
-        return true;
+        return isAreaClear(gameLevel, targetX, targetY, ENEMY_COLLISION_RADIUS);
     }
 
     /**
      * Moves the enemy by the given delta X and delta Y.
-     * Manages walk animation sprite flipping.
      * @param {number} dx - The change in x-coordinate.
      * @param {number} dy - The change in y-coordinate.
      * @returns {boolean} True if the move was successful, false if blocked.
@@ -100,15 +167,6 @@ class Enemy {
         if (this.canMoveTo(this.x + dx, this.y + dy)) {
             this.x += dx;
             this.y += dy;
-            this.distanceMovedSinceLastFlip += Math.sqrt(dx * dx + dy * dy);
-
-            if (this.distanceMovedSinceLastFlip >= this.walkCycleDistance) {
-                this.isSpriteFlipped = !this.isSpriteFlipped;
-                if (this.sprite) {
-                    this.sprite.flipped = this.isSpriteFlipped;
-                }
-                this.distanceMovedSinceLastFlip = 0;
-            }
             return true;
         }
         return false;
@@ -117,16 +175,18 @@ class Enemy {
     /**
      * Handles the enemy's wandering behavior.
      * Changes direction periodically or if an obstacle is hit.
+     * @param {number} deltaTime - The simulation step, in seconds.
      */
-    wander() {
-        const currentTime = Date.now();
+    wander(deltaTime) {
+        const currentTime = gameTime;
         if (currentTime - this.lastWanderChangeTime > this.wanderChangeInterval) {
             this.wanderAngle += (Math.random() - 0.5) * (Math.PI / 2);
             this.wanderAngle = normalizeAngle(this.wanderAngle); 
             this.lastWanderChangeTime = currentTime;
         }
-        let deltaX = Math.cos(this.wanderAngle) * this.speed;
-        let deltaY = Math.sin(this.wanderAngle) * this.speed;
+        this.facingAngle = this.wanderAngle;
+        let deltaX = Math.cos(this.wanderAngle) * this.speed * deltaTime;
+        let deltaY = Math.sin(this.wanderAngle) * this.speed * deltaTime;
         if (!this.move(deltaX, deltaY)) {
             this.wanderAngle = Math.random() * 2 * Math.PI;
             this.lastWanderChangeTime = currentTime;
@@ -135,51 +195,184 @@ class Enemy {
 
     /**
      * Handles the enemy's behavior when chasing the player.
-     * Moves towards the player if not in attack range.
+     * Heads for where the player was last seen, around corners if needed, and attacks once close enough to a visible player.
+     * @param {number} deltaTime - The simulation step, in seconds.
      */
-    chase() {
+    chase(deltaTime) {
         if (!player || !this.isAlive) return; 
+        if (!this.lastKnownPlayerPosition) {
+            this.loseTrack();
+            return;
+        }
         const distanceToPlayer = distanceBetweenPoints(this.x, this.y, player.x, player.y); 
 
-        if (distanceToPlayer <= this.attackStopDistance) {
+        if (distanceToPlayer <= this.attackStopDistance && this.canSeePlayer()) {
             this.state = 'attacking'; 
             return;
         }
 
-        const angleToPlayer = Math.atan2(player.y - this.y, player.x - this.x);
-        let deltaX = Math.cos(angleToPlayer) * this.speed;
-        let deltaY = Math.sin(angleToPlayer) * this.speed;
+        const waypoint = this.getNextWaypoint(this.lastKnownPlayerPosition);
+        if (!waypoint) {
+            // Reached the last known position without finding the player (look around there), or it cannot be reached at all.
+            const hasArrived = distanceBetweenPoints(this.x, this.y, this.lastKnownPlayerPosition.x, this.lastKnownPlayerPosition.y) <= PATH_WAYPOINT_REACHED_DISTANCE;
+            if (hasArrived) this.startSearch();
+            else this.loseTrack();
+            return;
+        }
 
-        if (!this.move(deltaX, deltaY)) {
-            this.state = 'wandering'; 
-            this.wanderAngle = Math.random() * 2 * Math.PI;
+        const angleToWaypoint = Math.atan2(waypoint.y - this.y, waypoint.x - this.x);
+        this.facingAngle = angleToWaypoint;
+        const stepLength = Math.min(this.speed * deltaTime, distanceBetweenPoints(this.x, this.y, waypoint.x, waypoint.y));
+        let deltaX = Math.cos(angleToWaypoint) * stepLength;
+        let deltaY = Math.sin(angleToWaypoint) * stepLength;
+
+        // Slide along a wall when the direct step is blocked, unless the step runs (nearly) straight into it.
+        const slideThreshold = stepLength / 4;
+        const hasMoved = this.move(deltaX, deltaY) ||
+            (Math.abs(deltaX) > slideThreshold && this.move(deltaX, 0)) ||
+            (Math.abs(deltaY) > slideThreshold && this.move(0, deltaY));
+        if (!hasMoved) {
+            if (this.openDoorAhead(angleToWaypoint)) return; // wait for the door to slide open
+            if (this.lastPathTime === gameTime) {
+                this.loseTrack(); // even a fresh path leads into a wall
+                return;
+            }
+            this.path = null; // plan again on the next step
         }
     }
 
+    /**
+     * Gets the point to walk towards on the way to a target. A target in plain reach is walked to directly;
+     * otherwise a path is planned with `findTilePath()`, smoothed, and followed waypoint by waypoint.
+     * The path is planned again every `PATH_REPLAN_INTERVAL` if the target has moved to another tile.
+     * @param {PathWaypoint} target - Where the enemy wants to go.
+     * @returns {PathWaypoint | null} The next point to walk towards, or null if the target is reached or cannot be reached.
+     */
+    getNextWaypoint(target) {
+        if (distanceBetweenPoints(this.x, this.y, target.x, target.y) <= PATH_WAYPOINT_REACHED_DISTANCE) {
+            this.path = null;
+            return null;
+        }
+        if (isSegmentClear(gameLevel, this.x, this.y, target.x, target.y, ENEMY_COLLISION_RADIUS)) {
+            this.path = null;
+            return target;
+        }
+
+        const goalCol = Math.floor(target.x / tileSize);
+        const goalRow = Math.floor(target.y / tileSize);
+        const goalIndex = goalRow * gameLevel.mapWidth + goalCol;
+        const isPathStale = gameTime - this.lastPathTime >= PATH_REPLAN_INTERVAL && goalIndex !== this.pathGoalIndex;
+        if (!this.path || this.path.length === 0 || isPathStale) {
+            const tilePath = findTilePath(
+                gameLevel, Math.floor(this.x / tileSize), Math.floor(this.y / tileSize), goalCol, goalRow, this.definition.opensDoors
+            );
+            this.lastPathTime = gameTime;
+            this.pathGoalIndex = goalIndex;
+            this.path = tilePath ? smoothPath(gameLevel, this.x, this.y, tilePath, target.x, target.y, ENEMY_COLLISION_RADIUS) : null;
+            if (!this.path) return null;
+        }
+
+        while (this.path.length > 1 && distanceBetweenPoints(this.x, this.y, this.path[0].x, this.path[0].y) <= PATH_WAYPOINT_REACHED_DISTANCE) {
+            this.path.shift();
+        }
+        return this.path[0];
+    }
+
+    /**
+     * Starts looking around on the spot for the player, who was last known to be here.
+     */
+    startSearch() {
+        this.state = 'searching';
+        this.searchStartTime = gameTime;
+        this.path = null;
+    }
+
+    /**
+     * Handles the enemy's behavior while searching: it turns on the spot, sweeping its view cone around,
+     * and goes back to wandering once `ENEMY_SEARCH_DURATION` has passed without a trace of the player.
+     * @param {number} deltaTime - The simulation step, in seconds.
+     */
+    search(deltaTime) {
+        this.facingAngle = normalizeAngle(this.facingAngle + ENEMY_SEARCH_TURN_SPEED * deltaTime);
+        if (gameTime - this.searchStartTime >= ENEMY_SEARCH_DURATION) this.loseTrack();
+    }
+
+    /**
+     * Makes the enemy hear a noise, such as a shot or the call of another enemy: it heads for where the noise came from.
+     * Enemies already fighting the player keep doing so.
+     * @param {number} x - The x-coordinate of the noise, in world units.
+     * @param {number} y - The y-coordinate of the noise, in world units.
+     */
+    hearNoise(x, y) {
+        if (!this.isAlive || this.state === 'attacking') return;
+        if (this.state === 'chasing' && this.canSeePlayer()) return;
+        this.state = 'chasing';
+        this.lastKnownPlayerPosition = { x: x, y: y };
+        this.path = null;
+    }
+
+    /**
+     * Calls the living enemies within `ENEMY_ALERT_RADIUS` to where the player was just spotted.
+     * Alerted enemies do not pass the call on.
+     */
+    alertNearbyEnemies() {
+        if (!gameSession || !player) return;
+        gameSession.enemies.forEach(enemy => {
+            if (enemy === this || !enemy.isAlive) return;
+            if (distanceBetweenPoints(this.x, this.y, enemy.x, enemy.y) <= ENEMY_ALERT_RADIUS) enemy.hearNoise(player.x, player.y);
+        });
+    }
+
+    /**
+     * Gives up the chase: forgets where the player was and goes back to wandering.
+     */
+    loseTrack() {
+        this.state = 'wandering';
+        this.lastKnownPlayerPosition = null;
+        this.path = null;
+        this.wanderAngle = Math.random() * 2 * Math.PI;
+    }
+
+    /**
+     * Opens a door that blocks the way in the given direction, if the enemy type opens doors at all.
+     * Enemies carry no key cards, so locked doors stay shut.
+     * @param {number} angle - The direction the enemy tries to move in, in radians.
+     * @returns {boolean} True if a door is in the way and still opening.
+     */
+    openDoorAhead(angle) {
+        if (!gameLevel || !this.definition.opensDoors) return false;
+        const reach = tileSize / 2;
+        const door = gameLevel.getDoor(
+            Math.floor((this.x + Math.cos(angle) * reach) / tileSize),
+            Math.floor((this.y + Math.sin(angle) * reach) / tileSize)
+        );
+        if (!door || door.isPassable() || door.requiredKey) return false;
+        door.open();
+        return true;
+    }
+
     /**
      * Handles the enemy's attack behavior.
-     * Manages attack cooldown, animation, and projectile firing.
+     * Manages attack cooldown, animation, projectile firing and the wind-up of melee strikes.
      */
     attack() {
         if (!player || !this.isAlive) return; 
-        const currentTime = Date.now();
+        const currentTime = gameTime;
+        if (this.meleeStrikeTime !== null) {
+            // A wound-up strike is carried through, and the enemy does not turn to follow the player meanwhile.
+            if (currentTime >= this.meleeStrikeTime) this.strikeMelee();
+            return;
+        }
+        this.facingAngle = Math.atan2(player.y - this.y, player.x - this.x);
 
         if (this.isCurrentlyInAttackAnimation && (currentTime - this.attackAnimationStartTime > this.attackAnimationDuration)) {
             this.isCurrentlyInAttackAnimation = false;
-            if (this.sprite && this.aliveBaseImage && this.aliveBaseImage.complete && this.aliveBaseImage.naturalHeight !== 0) {
-                this.sprite.image = this.aliveBaseImage;
-            }
         }
 
         const distanceToPlayer = distanceBetweenPoints(this.x, this.y, player.x, player.y); 
         if (distanceToPlayer > this.attackRange || !this.canSeePlayer()) {
             this.state = 'chasing';
-            if (this.isCurrentlyInAttackAnimation) {
-                this.isCurrentlyInAttackAnimation = false;
-                if (this.sprite && this.aliveBaseImage && this.aliveBaseImage.complete && this.aliveBaseImage.naturalHeight !== 0) {
-                    this.sprite.image = this.aliveBaseImage;
-                }
-            }
+            this.isCurrentlyInAttackAnimation = false;
             return;
         }
 
@@ -187,181 +380,267 @@ class Enemy {
             this.lastAttackTime = currentTime;
             this.isCurrentlyInAttackAnimation = true;
             this.attackAnimationStartTime = currentTime;
-
-            if (this.sprite && typeof enemyDemonAttackImage !== 'undefined' && enemyDemonAttackImage.complete && enemyDemonAttackImage.naturalHeight !== 0) {
-                this.sprite.image = enemyDemonAttackImage;
-                this.sprite.flipped = false; 
-            } else {
-                console.warn("Enemy attack sprite (enemyDemonAttackImage) not ready or loaded!");
-                if(typeof enemyDemonAttackImage !== 'undefined') console.log("enemyDemonAttackImage.complete:", enemyDemonAttackImage.complete, "naturalHeight:", enemyDemonAttackImage.naturalHeight);
-            }
+            this.animator.play('attack', true);
             
+            const sounds = this.definition.sounds;
             if (typeof playSoundEffect === 'function') {
-                const attackSoundPath = Math.random() < 0.5 ? "music/fireAttack.mp3" : "music/fireAttack2.mp3";
-                playSoundEffect(attackSoundPath, 0.35); 
+                const attackSoundPath = sounds.attack[Math.floor(Math.random() * sounds.attack.length)];
+                playSoundEffect(attackSoundPath, sounds.attackVolume); 
             }
 
-            let canFireProjectile = true;
-            let projectileWarningReasons = [];
+            this.performAttack();
+        }
+    }
+
+    /**
+     * Carries out one attack of the enemy type, once the cooldown allows it: fires its projectile or winds up its melee strike.
+     * Subclasses with other attacks override this; see `Boss`.
+     */
+    performAttack() {
+        if (this.definition.projectile) {
+            this.fireProjectile();
+        } else {
+            this.meleeStrikeTime = gameTime + this.definition.melee.windUpTime;
+            this.meleeStrikeAngle = this.facingAngle;
+        }
+    }
 
-            if (typeof EnemyProjectile === 'undefined') {
-                canFireProjectile = false; projectileWarningReasons.push("EnemyProjectile class is undefined.");
-            }
-            if (typeof demonAttackOrbImage === 'undefined') {
-                canFireProjectile = false; projectileWarningReasons.push("demonAttackOrbImage variable is undefined.");
-            } else {
-                if (!demonAttackOrbImage.complete) {
-                    canFireProjectile = false; projectileWarningReasons.push("demonAttackOrbImage is not complete.");
-                }
-                if (demonAttackOrbImage.naturalHeight === 0 && demonAttackOrbImage.complete) { 
-                    canFireProjectile = false; projectileWarningReasons.push("demonAttackOrbImage loaded but has 0 height (load error?).");
-                }
-            }
-            if (typeof enemyProjectiles === 'undefined') { 
-                canFireProjectile = false; projectileWarningReasons.push("Global 'enemyProjectiles' array is undefined.");
+    /**
+     * Lands the wound-up melee strike: it hits the player if they are still within reach, inside the arc of the strike
+     * and not behind a wall, and knocks them back away from the enemy.
+     */
+    strikeMelee() {
+        const melee = this.definition.melee;
+        this.meleeStrikeTime = null;
+        if (!player || player.health <= 0 || !gameLevel) return;
+        const angleToPlayer = Math.atan2(player.y - this.y, player.x - this.x);
+        const isInReach = distanceBetweenPoints(this.x, this.y, player.x, player.y) <= melee.reach;
+        if (!isInReach || angleBetween(angleToPlayer, this.meleeStrikeAngle) > melee.arc) return;
+        if (!gameLevel.hasLineOfSight(this.x, this.y, player.x, player.y)) return;
+        player.takeDamage(melee.damage);
+        player.applyKnockback(angleToPlayer, melee.knockback);
+    }
+
+    /**
+     * Fires a projectile, by default the one of the enemy type straight at the player.
+     * @param {number} [angle] - The direction to fire in, in radians. Defaults to the direction of the player.
+     * @param {EnemyProjectileType} [projectileType] - What to fire. Defaults to the projectile of the enemy type.
+     */
+    fireProjectile(angle = Math.atan2(player.y - this.y, player.x - this.x), projectileType = this.definition.projectile) {
+        const projectileImage = window[projectileType.image];
+        let canFireProjectile = true;
+        let projectileWarningReasons = [];
+
+        if (typeof EnemyProjectile === 'undefined') {
+            canFireProjectile = false; projectileWarningReasons.push("EnemyProjectile class is undefined.");
+        }
+        if (typeof projectileImage === 'undefined') {
+            canFireProjectile = false; projectileWarningReasons.push(`${projectileType.image} variable is undefined.`);
+        } else {
+            if (!projectileImage.complete) {
+                canFireProjectile = false; projectileWarningReasons.push(`${projectileType.image} is not complete.`);
             }
-            if (!this.renderingContext) {
-                canFireProjectile = false; projectileWarningReasons.push("this.renderingContext (canvas context) is undefined for enemy.");
+            if (projectileImage.naturalHeight === 0 && projectileImage.complete) { 
+                canFireProjectile = false; projectileWarningReasons.push(`${projectileType.image} loaded but has 0 height (load error?).`);
             }
+        }
+        if (!gameSession) { 
+            canFireProjectile = false; projectileWarningReasons.push("No game session is running.");
+        }
+        if (!this.renderingContext) {
+            canFireProjectile = false; projectileWarningReasons.push("this.renderingContext (canvas context) is undefined for enemy.");
+        }
 
-            if (canFireProjectile) {
-                const angleToPlayer = Math.atan2(player.y - this.y, player.x - this.x);
-                const projectileSpeed = 4.5;
-                const startOffsetX = Math.cos(angleToPlayer) * (tileSize * 0.4); 
-                const startOffsetY = Math.sin(angleToPlayer) * (tileSize * 0.4);
-
-                let newEnemyProjectile = new EnemyProjectile(
-                    this.x + startOffsetX, this.y + startOffsetY,
-                    angleToPlayer, projectileSpeed, demonAttackOrbImage, this.renderingContext
-                );
-                enemyProjectiles.push(newEnemyProjectile); 
-                sprites.push(newEnemyProjectile.sprite);   
-            } else {
-                console.warn("Could not fire enemy projectile. Reasons:", projectileWarningReasons.join(" "));
-            }
+        if (canFireProjectile) {
+            const startOffsetX = Math.cos(angle) * (tileSize * 0.4); 
+            const startOffsetY = Math.sin(angle) * (tileSize * 0.4);
+
+            let newEnemyProjectile = new EnemyProjectile(
+                this.x + startOffsetX, this.y + startOffsetY,
+                angle, projectileType.speed, projectileImage, this.renderingContext,
+                projectileType.damage, projectileType.splashRadius
+            );
+            gameSession.enemyProjectiles.push(newEnemyProjectile); 
+            gameSession.sprites.push(newEnemyProjectile.sprite);   
+            gameSession.effects.spawn('muzzleFlash', this.x + startOffsetX, this.y + startOffsetY);
+        } else {
+            console.warn("Could not fire enemy projectile. Reasons:", projectileWarningReasons.join(" "));
         }
     }
 
     /**
-     * Checks if the enemy has a clear line of sight to the player.
+     * Checks if the enemy can see the player: within `viewDistance`, inside the view cone around `facingAngle`
+     * and with a clear line of sight. A player closer than `ENEMY_PROXIMITY_SENSE_DISTANCE` is noticed whichever way the enemy faces.
      * @returns {boolean} True if the player is visible, false otherwise.
      */
     canSeePlayer() {
         if (!player || !gameLevel) return false; 
         const distanceToPlayer = distanceBetweenPoints(this.x, this.y, player.x, player.y); 
         if (distanceToPlayer > this.viewDistance) return false;
-
-        const lineOfSightSteps = Math.max(1, Math.floor(distanceToPlayer / (tileSize / 4))); 
-        const deltaXStep = (player.x - this.x) / lineOfSightSteps;
-        const deltaYStep = (player.y - this.y) / lineOfSightSteps;
-        for (let i = 1; i < lineOfSightSteps; i++) {
-            const checkX = this.x + deltaXStep * i;
-            const checkY = this.y + deltaYStep * i;
-            if (gameLevel.hasCollision(Math.floor(checkX / tileSize), Math.floor(checkY / tileSize))) {
-                return false;
-            }
+        if (distanceToPlayer > ENEMY_PROXIMITY_SENSE_DISTANCE) {
+            const angleToPlayer = Math.atan2(player.y - this.y, player.x - this.x);
+            if (angleBetween(angleToPlayer, this.facingAngle) > this.viewAngleSpread) return false;
         }
-        return true;
+        return gameLevel.hasLineOfSight(this.x, this.y, player.x, player.y);
     }
 
     /**
      * Updates the enemy's state and behavior.
-     * This method should be called in the game loop.
+     * This method should be called once per simulation step.
+     * @param {number} deltaTime - The simulation step, in seconds.
      */
-    update() {
-        if (!this.isAlive) {
-            if (this.sprite) {
-                if (typeof enemyDeadImage !== 'undefined' && enemyDeadImage.complete && this.sprite.image !== enemyDeadImage) {
-                    this.sprite.image = enemyDeadImage;
-                }
-                this.sprite.flipped = false;
-                this.sprite.visible = true;
-            }
+    update(deltaTime) {
+        if (!this.isAlive || gameTime < this.painEndTime) {
+            // The dead only play out their death, and a flinching enemy does nothing until it recovers.
+            this.updateSprite();
             return;
         }
 
         const playerIsVisible = this.canSeePlayer();
         const distanceToPlayer = playerIsVisible ? distanceBetweenPoints(this.x, this.y, player.x, player.y) : Infinity; 
+        if (playerIsVisible) this.lastKnownPlayerPosition = { x: player.x, y: player.y };
 
         if (this.state === 'attacking') {
-            if (!playerIsVisible || distanceToPlayer > this.attackRange) {
+            if ((!playerIsVisible || distanceToPlayer > this.attackRange) && this.meleeStrikeTime === null) {
                 this.state = 'chasing'; 
                 this.isCurrentlyInAttackAnimation = false; 
-                if(this.sprite && this.aliveBaseImage && this.aliveBaseImage.complete) this.sprite.image = this.aliveBaseImage;
             }
         } else if (this.state === 'chasing') {
-            if (!playerIsVisible) {
-                this.state = 'wandering'; 
-            } else if (distanceToPlayer <= this.attackStopDistance) {
+            // Out of sight, the chase goes on to the last known position; see chase().
+            if (playerIsVisible && distanceToPlayer <= this.attackStopDistance) {
                 this.state = 'attacking'; 
             }
-        } else if (this.state === 'wandering') {
-            if (playerIsVisible && distanceToPlayer <= this.attackRange) { 
-                 if (distanceToPlayer <= this.attackStopDistance) {
-                    this.state = 'attacking';
-                } else {
-                    this.state = 'chasing';
-                }
-            } else if (playerIsVisible) { 
-                this.state = 'chasing';
+        } else if (this.state === 'wandering' || this.state === 'searching') {
+            if (playerIsVisible) {
+                this.state = distanceToPlayer <= this.attackStopDistance ? 'attacking' : 'chasing';
+                this.alertNearbyEnemies();
             }
         }
         
-        if (this.state !== 'attacking' && this.isCurrentlyInAttackAnimation) {
-            this.isCurrentlyInAttackAnimation = false;
-            if (this.sprite && this.aliveBaseImage && this.aliveBaseImage.complete) {
-                this.sprite.image = this.aliveBaseImage;
-            }
-        }
+        if (this.state !== 'attacking') this.isCurrentlyInAttackAnimation = false;
 
         if (this.state === 'wandering') {
-            this.wander();
+            this.wander(deltaTime);
         } else if (this.state === 'chasing') {
-            this.chase();
+            this.chase(deltaTime);
         } else if (this.state === 'attacking') {
             this.attack();
+        } else if (this.state === 'searching') {
+            this.search(deltaTime);
         }
 
-        if (this.sprite) {
-            this.sprite.x = this.x;
-            this.sprite.y = this.y;
-            if (this.isAlive && !this.isCurrentlyInAttackAnimation && this.sprite.image !== this.aliveBaseImage) {
-                if (this.aliveBaseImage && this.aliveBaseImage.complete) {
-                    this.sprite.image = this.aliveBaseImage;
-                }
-            }
-        }
+        this.updateSprite();
+    }
+
+    /**
+     * Moves and turns the sprite with the enemy and shows the animation for what the enemy is doing:
+     * dying, flinching, attacking, or walking or standing depending on whether it moved this step.
+     */
+    updateSprite() {
+        if (!this.sprite) return;
+        this.sprite.x = this.x;
+        this.sprite.y = this.y;
+        this.sprite.facingAngle = this.facingAngle;
+        const hasMoved = this.sprite.x !== this.sprite.previousX || this.sprite.y !== this.sprite.previousY;
+        if (!this.isAlive) this.animator.play('death');
+        else if (gameTime < this.painEndTime) this.animator.play('pain');
+        else if (this.isCurrentlyInAttackAnimation) this.animator.play('attack');
+        else this.animator.play(hasMoved ? 'walk' : 'idle');
+        this.sprite.animate();
+    }
+
+    /**
+     * Makes the enemy flinch for the `painTime` of its type: it stops where it is, and a wound-up melee strike is lost.
+     */
+    flinch() {
+        this.painEndTime = gameTime + this.definition.painTime;
+        this.meleeStrikeTime = null;
+        this.isCurrentlyInAttackAnimation = false;
+        this.animator.play('pain', true);
     }
 
     /**
      * Draws the enemy representation on a minimap or debug view.
+     * Living enemies also show their view cone, the path they follow, where they think the player is,
+     * and their alert state: '!' while chasing or attacking, '?' while searching.
      * @param {CanvasRenderingContext2D} mapDrawingContext - The context to draw on.
      */
     drawOnMap(mapDrawingContext) {
         if (!mapDrawingContext) return;
-        let enemyColor = 'purple'; 
+        let enemyColor = this.definition.mapColor; 
         if (!this.isAlive) { enemyColor = 'darkred'; }
         else if (this.state === 'attacking') { enemyColor = 'red'; }
         else if (this.state === 'chasing') { enemyColor = 'orange'; }
-        
+        else if (this.state === 'searching') { enemyColor = 'yellow'; }
+
+        if (this.isAlive) {
+            mapDrawingContext.globalAlpha = 0.15;
+            mapDrawingContext.fillStyle = enemyColor;
+            mapDrawingContext.beginPath();
+            mapDrawingContext.moveTo(this.x, this.y);
+            mapDrawingContext.arc(this.x, this.y, this.viewDistance, this.facingAngle - this.viewAngleSpread, this.facingAngle + this.viewAngleSpread);
+            mapDrawingContext.closePath();
+            mapDrawingContext.fill();
+            mapDrawingContext.globalAlpha = 1;
+        }
+        if (this.isAlive && this.lastKnownPlayerPosition && (this.state === 'chasing' || this.state === 'searching')) {
+            const markX = this.lastKnownPlayerPosition.x;
+            const markY = this.lastKnownPlayerPosition.y;
+            const markSize = tileSize / 8;
+            mapDrawingContext.strokeStyle = enemyColor;
+            mapDrawingContext.lineWidth = 2;
+            mapDrawingContext.beginPath();
+            mapDrawingContext.moveTo(markX - markSize, markY - markSize); mapDrawingContext.lineTo(markX + markSize, markY + markSize);
+            mapDrawingContext.moveTo(markX + markSize, markY - markSize); mapDrawingContext.lineTo(markX - markSize, markY + markSize);
+            mapDrawingContext.stroke();
+        }
+
+        if (this.isAlive && this.state === 'chasing' && this.path) {
+            mapDrawingContext.strokeStyle = 'orange';
+            mapDrawingContext.lineWidth = 1;
+            mapDrawingContext.beginPath();
+            mapDrawingContext.moveTo(this.x, this.y);
+            this.path.forEach(waypoint => mapDrawingContext.lineTo(waypoint.x, waypoint.y));
+            mapDrawingContext.stroke();
+        }
+
         mapDrawingContext.fillStyle = enemyColor;
         mapDrawingContext.beginPath();
-        mapDrawingContext.arc(this.x, this.y, tileSize / 4, 0, 2 * Math.PI); 
+        const markerRadius = this.definition.isBoss ? tileSize / 2.5 : tileSize / 4;
+        mapDrawingContext.arc(this.x, this.y, markerRadius, 0, 2 * Math.PI); 
         mapDrawingContext.fill();
+
+        const alertMark = this.state === 'searching' ? '?' : (this.state === 'chasing' || this.state === 'attacking') ? '!' : '';
+        if (this.isAlive && alertMark) {
+            mapDrawingContext.fillStyle = enemyColor;
+            mapDrawingContext.font = 'bold 14px Arial';
+            mapDrawingContext.textAlign = 'center';
+            mapDrawingContext.fillText(alertMark, this.x, this.y - markerRadius - 4);
+            mapDrawingContext.textAlign = 'left';
+        }
     }
 
     /**
      * Applies damage to the enemy.
-     * Handles death and associated effects.
+     * Handles flinching, death and associated effects, and throws off debris.
      * @param {number} damageAmount - The amount of damage to inflict.
      */
     takeDamage(damageAmount) {
         if (!this.isAlive) return;
         this.health -= damageAmount;
+        // Getting hurt gives the player away, even from behind.
+        if (player && this.health > 0) this.hearNoise(player.x, player.y);
+        if (this.health > 0 && Math.random() < this.definition.painChance) this.flinch();
+        if (typeof spawnDebris === 'function') spawnDebris(this.x, this.y, this.health > 0 ? ENEMY_HIT_DEBRIS_COUNT : ENEMY_DEATH_DEBRIS_COUNT);
+        if (gameSession && player) {
+            // The puff goes off on the side facing the player, so the enemy's own sprite does not hide it.
+            const angleToPlayer = Math.atan2(player.y - this.y, player.x - this.x);
+            gameSession.effects.spawn('bloodPuff', this.x + Math.cos(angleToPlayer) * tileSize * 0.2, this.y + Math.sin(angleToPlayer) * tileSize * 0.2);
+        }
         
         if (this.isAlive || this.health <=0) { 
              if (typeof playSoundEffect === 'function') {
-                playSoundEffect("music/enemyDamage.mp3", 0.6); 
+                playSoundEffect(this.definition.sounds.pain, this.definition.sounds.painVolume); 
             }
         }
 
@@ -370,21 +649,11 @@ class Enemy {
             this.isAlive = false;
             
             if (this.sprite) {
-                if (typeof enemyDeadImage !== 'undefined' && enemyDeadImage.complete) {
-                    this.sprite.image = enemyDeadImage;
-                    this.sprite.flipped = false;
-                    this.sprite.visible = true;
-                } else {
-                    this.sprite.visible = false; 
-                }
-            }
-            if (typeof RisingSpriteEffect !== 'undefined' &&
-                typeof enemyDeadAngelImage !== 'undefined' && enemyDeadAngelImage.complete &&
-                typeof risingEffects !== 'undefined' && this.renderingContext) {
-                let angelDeathEffect = new RisingSpriteEffect(this.x, this.y, enemyDeadAngelImage, this.renderingContext, 0.3, 4000);
-                risingEffects.push(angelDeathEffect);
-                sprites.push(angelDeathEffect.sprite);
+                this.sprite.visible = true;
+                this.animator.play('death', true);
+                this.sprite.animate();
             }
+            if (gameSession) gameSession.effects.spawn('spirit', this.x, this.y);
         }
     }
 }
\ No newline at end of file
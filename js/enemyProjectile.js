@@ -3,7 +3,8 @@
 /**
  * @fileoverview Defines the EnemyProjectile class for projectiles fired by enemies.
  * Assumes global access to `Sprite` class, `distanceBetweenPoints` utility,
- * `player` object, `tileSize` constant, and `gameLevel` object.
+ * `player` object, `tileSize` constant, `gameLevel` object, the `gameSession` (its `effects`, for sparks)
+ * and `triggerExplosion()` (for projectiles with a splash radius).
  */
 
 /**
@@ -16,20 +17,28 @@ class EnemyProjectile {
      * @param {number} startX - The initial x-coordinate.
      * @param {number} startY - The initial y-coordinate.
      * @param {number} angle - The angle of movement in radians.
-     * @param {number} speed - The speed of the projectile.
+     * @param {number} speed - The speed of the projectile, in units per second.
      * @param {HTMLImageElement} image - The image for the projectile's sprite.
      * @param {CanvasRenderingContext2D} renderingContext - The canvas rendering context.
+     * @param {number} [damage=2] - The damage dealt to the player on a hit.
+     * @param {number} [splashRadius=0] - The radius of the explosion on impact; 0 for a projectile that only hits what it touches.
      */
-    constructor(startX, startY, angle, speed, image, renderingContext) {
+    constructor(startX, startY, angle, speed, image, renderingContext, damage = 2, splashRadius = 0) {
         this.x = startX;
         this.y = startY;
         this.angle = angle;
         this.speed = speed;
         this.image = image;
         this.renderingContext = renderingContext;
+        this.damage = damage;
+        this.splashRadius = splashRadius;
 
         this.radius = tileSize / 9; 
         this.isActive = true;
+        /** @type {number} The x-coordinate before the last step. Explosions against walls go off there, in front of the wall. */
+        this.previousX = startX;
+        /** @type {number} The y-coordinate before the last step. */
+        this.previousY = startY;
 
         this.sprite = new Sprite(this.x, this.y, this.image, this.renderingContext);
         this.sprite.worldHeight = tileSize / 3.5; 
@@ -38,13 +47,16 @@ class EnemyProjectile {
 
     /**
      * Updates the projectile's position and checks for collisions.
-     * Should be called in the game loop.
+     * Should be called once per simulation step.
+     * @param {number} deltaTime - The simulation step, in seconds.
      */
-    update() {
+    update(deltaTime) {
         if (!this.isActive) return;
 
-        const deltaX = Math.cos(this.angle) * this.speed;
-        const deltaY = Math.sin(this.angle) * this.speed;
+        const deltaX = Math.cos(this.angle) * this.speed * deltaTime;
+        const deltaY = Math.sin(this.angle) * this.speed * deltaTime;
+        this.previousX = this.x;
+        this.previousY = this.y;
         this.x += deltaX;
         this.y += deltaY;
 
@@ -60,7 +72,7 @@ class EnemyProjectile {
 
     /**
      * Checks if the projectile has collided with a wall in the game level.
-     * Deactivates the projectile on collision.
+     * Deactivates the projectile on collision; a projectile with a splash radius explodes, any other strikes sparks off the wall.
      */
     checkWallCollision() {
         if (!this.isActive || !gameLevel) return;
@@ -68,12 +80,14 @@ class EnemyProjectile {
         const tileY = Math.floor(this.y / tileSize);
         if (tileX < 0 || tileX >= gameLevel.mapWidth || tileY < 0 || tileY >= gameLevel.mapHeight || gameLevel.hasCollision(tileX, tileY)) {
             this.deactivate();
+            if (this.splashRadius > 0) this.explode(this.previousX, this.previousY);
+            else if (gameSession) gameSession.effects.spawn('spark', this.previousX, this.previousY);
         }
     }
 
     /**
      * Checks if the projectile has collided with the player.
-     * Deactivates the projectile and damages the player on collision.
+     * Deactivates the projectile and damages the player on collision, or explodes on the player if the projectile has a splash radius.
      */
     checkPlayerCollision() {
         if (!this.isActive || !player || !player.health) return; 
@@ -83,10 +97,20 @@ class EnemyProjectile {
 
         if (distance < this.radius + playerCollisionRadius) {
             this.deactivate();
-            player.takeDamage(2); 
+            if (this.splashRadius > 0) this.explode(player.x, player.y);
+            else player.takeDamage(this.damage);
         }
     }
 
+    /**
+     * Sets off the projectile's explosion, which can hurt enemies as well; see `triggerExplosion()`.
+     * @param {number} centerX - The x-coordinate of the centre of the explosion.
+     * @param {number} centerY - The y-coordinate of the centre of the explosion.
+     */
+    explode(centerX, centerY) {
+        triggerExplosion(centerX, centerY, this.splashRadius, this.damage, false);
+    }
+
     /**
      * Checks if the projectile has gone out of the game bounds.
      * Deactivates the projectile if it's out of bounds.
@@ -0,0 +1,153 @@
+// js/enemyTypes.js
+
+/**
+ * @fileoverview Defines `ENEMY_DEFINITIONS`, the table of enemy types. Each entry is plain data:
+ * the stats, the sprite set, how the enemy attacks, its sounds and its behaviour flags, and for bosses the phases of the fight.
+ * The Enemy class reads everything type-specific from its definition; levels name the type of each
+ * enemy they place (see `LevelSpawnPoint.type`). Requires `tileSize` from config.js.
+ */
+
+/**
+ * @typedef {Object} EnemySpriteSet
+ * @property {string} alive - The image file shown while walking.
+ * @property {string} attack - The image file shown while attacking.
+ * @property {string} dead - The image file of the corpse.
+ * @property {string[]} [aliveViews] - Image files of the walking enemy seen from evenly spaced directions, starting in front of it
+ * and going round in the direction of increasing angles; see `Sprite.views`. Without them, `alive` is shown from every side.
+ * @property {string[]} [attackViews] - The same for the attacking enemy; without them, `attack` is shown from every side.
+ * @property {number[] | null} tint - The colour the images are tinted with, as [red, green, blue], or null for the plain images.
+ */
+
+/**
+ * @typedef {Object} EnemyProjectileType
+ * @property {string} image - The name of the global holding the projectile image.
+ * @property {number} speed - The projectile speed, in units per second.
+ * @property {number} damage - The damage dealt to the player on a hit.
+ * @property {number} splashRadius - The radius of the explosion on impact, or 0 for none.
+ */
+
+/**
+ * @typedef {Object} EnemyMeleeAttack
+ * @property {number} damage - The damage of a strike that connects.
+ * @property {number} reach - How far the strike reaches from the enemy's centre, in world units.
+ * @property {number} arc - Half the width of the arc the strike sweeps, in radians, around the direction the enemy faced when it wound up.
+ * @property {number} windUpTime - Seconds between raising the claws and the strike; the player can step out of reach meanwhile.
+ * @property {number} knockback - The speed the player is knocked back with, in units per second.
+ */
+
+/**
+ * @typedef {Object} BossPhase
+ * @property {number} healthFraction - The phase begins once the boss is down to this fraction of its full health; 1 for the first phase.
+ * @property {string[]} attackPatterns - The attacks of the phase, used in turn: 'aimed' (one projectile at the player),
+ * 'burst' (a ring of projectiles), 'summon' (calls minions) or 'charge' (a rush at the player).
+ * @property {number} attackCooldown - The least time between two attacks in this phase, in seconds.
+ * @property {number} speed - The movement speed in this phase, in units per second.
+ */
+
+/**
+ * @typedef {Object} BossFight
+ * @property {BossPhase[]} phases - The phases of the fight, from full health down.
+ * @property {{count: number, projectile: EnemyProjectileType}} burst - The ring of projectiles: how many, evenly spaced, and what they are.
+ * @property {{type: string, count: number, maxMinions: number}} summon - The enemy type called in, how many at a time,
+ * and how many may be alive at once; the boss shoots instead while that many are alive.
+ * @property {{speed: number, windUpTime: number, duration: number, damage: number, knockback: number}} charge - The rush:
+ * its speed in units per second, the seconds the boss braces before it (the direction is fixed then), how long it lasts,
+ * and the damage and knockback speed of running into the player.
+ */
+
+/**
+ * @typedef {Object} EnemySounds
+ * @property {string[]} attack - The sounds of an attack; one is picked at random.
+ * @property {number} attackVolume - The volume of the attack sound.
+ * @property {string} pain - The sound played when the enemy is hurt.
+ * @property {number} painVolume - The volume of the pain sound.
+ */
+
+/**
+ * @typedef {Object} EnemyDefinition
+ * @property {string} id - The identifier levels refer to, e.g. 'caster'.
+ * @property {string} name - The display name.
+ * @property {number} health - The health the enemy starts with.
+ * @property {number} speed - The movement speed, in units per second.
+ * @property {number} viewDistance - How far the enemy sees the player, in world units.
+ * @property {number} viewAngleSpread - Half the width of the view cone, in radians.
+ * @property {number} attackRange - How close the player must be for an attack, in world units.
+ * @property {number} attackStopDistance - How close the enemy comes before it stops to attack, in world units.
+ * @property {number} attackCooldown - The least time between two attacks, in seconds.
+ * @property {number} attackAnimationDuration - Seconds the attack animation lasts.
+ * @property {number} painChance - The chance, from 0 to 1, that a hit makes the enemy flinch instead of carrying on.
+ * @property {number} painTime - Seconds a flinch lasts; the enemy neither moves nor attacks meanwhile.
+ * @property {EnemySpriteSet} sprites - The images of the enemy.
+ * @property {EnemyProjectileType | null} projectile - What the enemy shoots, or null for an enemy that strikes in melee.
+ * @property {EnemyMeleeAttack | null} melee - How the enemy strikes in melee, or null for an enemy that shoots.
+ * @property {EnemySounds} sounds - The sounds of the enemy.
+ * @property {boolean} opensDoors - True if the enemy opens unlocked doors that are in its way.
+ * @property {boolean} isBoss - True for a boss.
+ * @property {BossFight | null} bossFight - How a boss fights; see `Boss`. Null for other enemies.
+ * @property {string} mapColor - The colour of the enemy on the map and in the level editor while it wanders.
+ */
+
+/** @type {string} The type of enemies whose level placement names none. */
+const DEFAULT_ENEMY_TYPE = 'demon';
+
+/** @type {Object<string, EnemyDefinition>} The enemy types, by id. */
+const ENEMY_DEFINITIONS = {
+    demon: {
+        id: 'demon', name: 'Demon',
+        health: 100, speed: 42,
+        viewDistance: 250, viewAngleSpread: Math.PI / 3, attackRange: 100, attackStopDistance: 100,
+        attackCooldown: 1.8, attackAnimationDuration: 0.4,
+        painChance: 0.6, painTime: 0.3,
+        sprites: { alive: "img/enemyDemon.png", attack: "img/enemyDemonAttack.png", dead: "img/enemyDemonDead.png", tint: null },
+        projectile: { image: 'demonAttackOrbImage', speed: 270, damage: 2, splashRadius: 0 },
+        melee: null,
+        sounds: { attack: ["music/fireAttack.mp3", "music/fireAttack2.mp3"], attackVolume: 0.35, pain: "music/enemyDamage.mp3", painVolume: 0.6 },
+        opensDoors: true, isBoss: false, bossFight: null, mapColor: 'purple'
+    },
+    charger: {
+        id: 'charger', name: 'Charger',
+        health: 60, speed: 100,
+        viewDistance: 220, viewAngleSpread: Math.PI / 3, attackRange: tileSize * 0.7, attackStopDistance: tileSize * 0.6,
+        attackCooldown: 0.9, attackAnimationDuration: 0.5,
+        painChance: 0.4, painTime: 0.2,
+        sprites: { alive: "img/enemyDemon.png", attack: "img/enemyDemonAttack.png", dead: "img/enemyDemonDead.png", tint: [230, 60, 40] },
+        projectile: null,
+        melee: { damage: 8, reach: tileSize * 0.9, arc: Math.PI / 4, windUpTime: 0.35, knockback: 260 },
+        sounds: { attack: ["music/enemyLaugh.mp3"], attackVolume: 0.3, pain: "music/enemyDamage.mp3", painVolume: 0.6 },
+        opensDoors: true, isBoss: false, bossFight: null, mapColor: '#E03C28'
+    },
+    caster: {
+        id: 'caster', name: 'Caster',
+        health: 80, speed: 24,
+        viewDistance: 300, viewAngleSpread: Math.PI / 4, attackRange: 260, attackStopDistance: 240,
+        attackCooldown: 2.6, attackAnimationDuration: 0.6,
+        painChance: 0.8, painTime: 0.4,
+        sprites: { alive: "img/enemyDemon.png", attack: "img/enemyDemonAttack.png", dead: "img/enemyDemonDead.png", tint: [150, 80, 255] },
+        projectile: { image: 'demonAttackOrbImage', speed: 190, damage: 6, splashRadius: tileSize * 0.8 },
+        melee: null,
+        sounds: { attack: ["music/magicAttack.mp3"], attackVolume: 0.35, pain: "music/enemyDamage.mp3", painVolume: 0.5 },
+        opensDoors: false, isBoss: false, bossFight: null, mapColor: '#9650FF'
+    },
+    boss: {
+        id: 'boss', name: 'Archdemon',
+        health: 1200, speed: 30,
+        viewDistance: 350, viewAngleSpread: Math.PI / 2, attackRange: 280, attackStopDistance: 120,
+        attackCooldown: 1.2, attackAnimationDuration: 0.5,
+        painChance: 0.1, painTime: 0.25,
+        sprites: { alive: "img/enemyDemon.png", attack: "img/enemyDemonAttack.png", dead: "img/enemyDemonDead.png", tint: [90, 20, 30] },
+        projectile: { image: 'demonAttackOrbImage', speed: 230, damage: 10, splashRadius: tileSize * 1.2 },
+        melee: null,
+        sounds: { attack: ["music/fireAttack.mp3", "music/fireAttack2.mp3"], attackVolume: 0.5, pain: "music/enemyDamage.mp3", painVolume: 0.8 },
+        opensDoors: true, isBoss: true, mapColor: '#5A141E',
+        bossFight: {
+            phases: [
+                { healthFraction: 1, attackPatterns: ['aimed', 'aimed', 'burst'], attackCooldown: 1.2, speed: 30 },
+                { healthFraction: 0.6, attackPatterns: ['burst', 'summon', 'aimed', 'charge'], attackCooldown: 1.0, speed: 40 },
+                { healthFraction: 0.3, attackPatterns: ['charge', 'burst', 'aimed', 'burst', 'summon'], attackCooldown: 0.7, speed: 55 }
+            ],
+            burst: { count: 12, projectile: { image: 'demonAttackOrbImage', speed: 160, damage: 6, splashRadius: 0 } },
+            summon: { type: 'charger', count: 2, maxMinions: 4 },
+            charge: { speed: 260, windUpTime: 0.6, duration: 1.2, damage: 20, knockback: 420 }
+        }
+    }
+};
@@ -0,0 +1,72 @@
+// js/explosionEffect.js
+
+/**
+ * @fileoverview Defines the ExplosionEffect class, the fireball that flares up where a projectile explodes.
+ * Assumes global access to `Sprite` and `SpriteAnimator` classes, `tileSize` constant and the `gameTime` simulation clock.
+ * The frames (e.g., `explosionFrameImages`) must be loaded.
+ */
+
+/** @type {number} The number of frames of the explosion animation. */
+const EXPLOSION_FRAME_COUNT = 6;
+/** @type {number} Seconds the explosion animation lasts. */
+const EXPLOSION_DURATION = 0.4;
+
+/**
+ * Represents an explosion that plays its frames once and then disappears.
+ * @class ExplosionEffect
+ */
+class ExplosionEffect {
+    /**
+     * Creates an instance of ExplosionEffect.
+     * @param {number} x - The x-coordinate of the centre of the explosion.
+     * @param {number} y - The y-coordinate of the centre of the explosion.
+     * @param {HTMLImageElement[]} frames - The frames of the animation, in order.
+     * @param {CanvasRenderingContext2D} renderingContext - The canvas rendering context.
+     * @param {number} [worldHeight=tileSize] - The size of the explosion, in world units.
+     * @param {number} [duration=EXPLOSION_DURATION] - The duration the effect lasts, in seconds.
+     */
+    constructor(x, y, frames, renderingContext, worldHeight = tileSize, duration = EXPLOSION_DURATION) {
+        this.x = x;
+        this.y = y;
+        this.frames = frames;
+        this.renderingContext = renderingContext;
+
+        this.isActive = true;
+        this.startTime = gameTime;
+        this.duration = duration;
+
+        this.sprite = new Sprite(this.x, this.y, this.frames[0], this.renderingContext);
+        this.sprite.worldHeight = worldHeight;
+        this.sprite.visible = true;
+        this.sprite.animator = new SpriteAnimator({
+            explode: { frames: frames.map(frame => ({ image: frame, isFullBright: true })), frameDuration: duration / frames.length, loop: false }
+        });
+        this.sprite.animator.play('explode');
+        this.sprite.animate();
+    }
+
+    /**
+     * Shows the frame for the time passed and deactivates the effect once the last frame has been shown.
+     * Should be called once per simulation step.
+     * @param {number} deltaTime - The simulation step, in seconds.
+     */
+    update(deltaTime) {
+        if (!this.isActive) return;
+        if (this.sprite.animator.isFinished()) {
+            this.deactivate();
+            return;
+        }
+        this.sprite.animate();
+    }
+
+    /**
+     * Deactivates the effect, making it invisible and stopping updates.
+     * Note: Actual removal from global sprite lists is typically handled externally.
+     */
+    deactivate() {
+        this.isActive = false;
+        if (this.sprite) {
+            this.sprite.visible = false;
+        }
+    }
+}
@@ -0,0 +1,186 @@
+// js/framebuffer.js
+
+/**
+ * @fileoverview Defines the Framebuffer class, the software frame buffer the 3D view is drawn into,
+ * and `getTexturePixels()`, which decodes an image into a pixel array once.
+ * Walls, floors, ceilings and sprites write 32-bit pixels straight into one `Uint32Array`; the finished frame
+ * reaches the canvas with a single `putImageData`, scaled from the internal resolution to the canvas size.
+ * Pixels are packed as 0xAABBGGRR, the byte order of ImageData on little-endian machines.
+ */
+
+/**
+ * @typedef {Object} TexturePixels
+ * @property {number} width - The width of the image, in pixels.
+ * @property {number} height - The height of the image, in pixels.
+ * @property {Uint32Array} pixels - The pixels row by row, packed as 0xAABBGGRR.
+ */
+
+/** @type {number} Texels with less alpha than this are transparent; everything else is drawn opaque. */
+const TEXTURE_ALPHA_THRESHOLD = 128;
+/** @type {number} The colour used for textures whose pixels cannot be read. */
+const UNREADABLE_TEXTURE_COLOR = 0xff808080;
+
+/** @type {WeakMap<HTMLImageElement, TexturePixels>} Decoded textures, per image. */
+const texturePixelCache = new WeakMap();
+
+/**
+ * Gets the pixels of an image, decoding it on first use.
+ * Browsers refuse to hand out the pixels of images from another origin (and, in some browsers, from disk);
+ * such images are replaced by a flat grey texture and a warning suggests serving the game over HTTP.
+ * @param {HTMLImageElement} image - A loaded image.
+ * @returns {TexturePixels | null} The decoded texture, or null if the image has not loaded.
+ */
+function getTexturePixels(image) {
+    if (!image || !image.complete || !image.naturalWidth) return null;
+    const cachedTexture = texturePixelCache.get(image);
+    if (cachedTexture) return cachedTexture;
+
+    const width = image.naturalWidth;
+    const height = image.naturalHeight;
+    let texture;
+    try {
+        const decodeCanvas = document.createElement('canvas');
+        decodeCanvas.width = width;
+        decodeCanvas.height = height;
+        const decodeContext = decodeCanvas.getContext('2d');
+        decodeContext.drawImage(image, 0, 0);
+        const imageData = decodeContext.getImageData(0, 0, width, height);
+        texture = { width: width, height: height, pixels: new Uint32Array(imageData.data.buffer) };
+    } catch (error) {
+        console.warn(`TEXTURES: Pixels of ${image.src} cannot be read (serve the game over HTTP); it is drawn flat grey.`, error.name);
+        texture = { width: width, height: height, pixels: new Uint32Array(width * height).fill(UNREADABLE_TEXTURE_COLOR) };
+    }
+    texturePixelCache.set(image, texture);
+    return texture;
+}
+
+/**
+ * Packs an opaque colour into a pixel.
+ * @param {number[]} rgb - The colour as [red, green, blue], each 0-255.
+ * @returns {number} The pixel, packed as 0xAABBGGRR.
+ */
+function packColor(rgb) {
+    return (0xff000000 | (rgb[2] << 16) | (rgb[1] << 8) | rgb[0]) >>> 0;
+}
+
+/**
+ * Darkens a packed pixel.
+ * @param {number} color - The pixel, packed as 0xAABBGGRR.
+ * @param {number} brightness - The brightness, between 0 and 1.
+ * @returns {number} The opaque, darkened pixel.
+ */
+function shadeColor(color, brightness) {
+    const red = (color & 0xff) * brightness;
+    const green = ((color >>> 8) & 0xff) * brightness;
+    const blue = ((color >>> 16) & 0xff) * brightness;
+    return 0xff000000 | (blue << 16) | (green << 8) | red;
+}
+
+/**
+ * Mixes a colour over a packed pixel.
+ * @param {number} background - The pixel underneath, packed as 0xAABBGGRR.
+ * @param {number} color - The pixel drawn over it, packed as 0xAABBGGRR.
+ * @param {number} alpha - The opacity of `color`, between 0 and 1.
+ * @returns {number} The opaque, mixed pixel.
+ */
+function blendColor(background, color, alpha) {
+    const red = (background & 0xff) + ((color & 0xff) - (background & 0xff)) * alpha;
+    const green = ((background >>> 8) & 0xff) + (((color >>> 8) & 0xff) - ((background >>> 8) & 0xff)) * alpha;
+    const blue = ((background >>> 16) & 0xff) + (((color >>> 16) & 0xff) - ((background >>> 16) & 0xff)) * alpha;
+    return 0xff000000 | (blue << 16) | (green << 8) | red;
+}
+
+/**
+ * A frame buffer of 32-bit pixels with its own off-screen canvas to present it through.
+ * @class Framebuffer
+ */
+class Framebuffer {
+    /**
+     * Creates an instance of Framebuffer.
+     * @param {number} width - The internal width, in pixels.
+     * @param {number} height - The internal height, in pixels.
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.context = this.canvas.getContext('2d');
+        /** @type {ImageData} The frame as ImageData, sharing its memory with `pixels`. */
+        this.imageData = this.context.createImageData(width, height);
+        /** @type {Uint32Array} The frame, row by row, packed as 0xAABBGGRR. */
+        this.pixels = new Uint32Array(this.imageData.data.buffer);
+    }
+
+    /**
+     * Fills the whole frame with one colour.
+     * @param {number} [color=0xff000000] - The pixel, packed as 0xAABBGGRR. Opaque black by default.
+     */
+    clear(color = 0xff000000) {
+        this.pixels.fill(color);
+    }
+
+    /**
+     * Draws one column of a texture, stretched to a vertical strip of the frame. Transparent texels are skipped.
+     * A see-through strip is mixed with what is already drawn, texel by texel, according to the texel's own alpha as well.
+     * @param {number} screenX - The frame column.
+     * @param {number} screenTop - The frame row of the top of the strip; may be above the frame.
+     * @param {number} screenHeight - The height of the strip, in frame pixels.
+     * @param {TexturePixels} texture - The texture.
+     * @param {number} sourceX - The texture column.
+     * @param {number} sourceY - The texture row the strip starts at.
+     * @param {number} sourceHeight - The number of texture rows the strip covers.
+     * @param {number} brightness - The brightness, between 0 and 1.
+     * @param {number} [alpha=1] - The opacity of the strip, between 0 and 1.
+     */
+    drawTextureColumn(screenX, screenTop, screenHeight, texture, sourceX, sourceY, sourceHeight, brightness, alpha = 1) {
+        if (screenX < 0 || screenX >= this.width || screenHeight <= 0) return;
+        const firstRow = Math.max(0, Math.floor(screenTop));
+        const endRow = Math.min(this.height, Math.ceil(screenTop + screenHeight));
+        const texelsPerRow = sourceHeight / screenHeight;
+        const texturePixels = texture.pixels;
+        const textureWidth = texture.width;
+        const pixels = this.pixels;
+        const frameWidth = this.width;
+
+        for (let row = firstRow; row < endRow; row++) {
+            const sourceRow = sourceY + Math.min(sourceHeight - 1, Math.floor((row + 0.5 - screenTop) * texelsPerRow));
+            const color = texturePixels[sourceRow * textureWidth + sourceX];
+            if ((color >>> 24) < TEXTURE_ALPHA_THRESHOLD) continue;
+            const pixelIndex = row * frameWidth + screenX;
+            pixels[pixelIndex] = alpha < 1
+                ? blendColor(pixels[pixelIndex], shadeColor(color, brightness), alpha * (color >>> 24) / 255)
+                : shadeColor(color, brightness);
+        }
+    }
+
+    /**
+     * Fills a vertical strip of the frame with one colour.
+     * @param {number} screenX - The frame column.
+     * @param {number} screenTop - The frame row of the top of the strip; may be above the frame.
+     * @param {number} screenHeight - The height of the strip, in frame pixels.
+     * @param {number} color - The pixel, packed as 0xAABBGGRR.
+     */
+    fillColumn(screenX, screenTop, screenHeight, color) {
+        if (screenX < 0 || screenX >= this.width || screenHeight <= 0) return;
+        const firstRow = Math.max(0, Math.floor(screenTop));
+        const endRow = Math.min(this.height, Math.ceil(screenTop + screenHeight));
+        for (let row = firstRow; row < endRow; row++) {
+            this.pixels[row * this.width + screenX] = color;
+        }
+    }
+
+    /**
+     * Copies the frame onto a canvas, scaled to the given size without smoothing.
+     * @param {CanvasRenderingContext2D} targetContext - The context of the visible canvas.
+     * @param {number} width - The width to draw the frame at.
+     * @param {number} height - The height to draw the frame at.
+     */
+    present(targetContext, width, height) {
+        this.context.putImageData(this.imageData, 0, 0);
+        targetContext.imageSmoothingEnabled = false;
+        targetContext.drawImage(this.canvas, 0, 0, width, height);
+    }
+}
@@ -0,0 +1,173 @@
+// js/gameSession.js
+
+/**
+ * @fileoverview Defines the GameSession class, which owns everything a running game needs to clean up:
+ * the animation frame loop, pending timers, input listeners, the in-game music and the entity lists.
+ * One session exists per started game; `dispose()` releases all of it, so the menu can start and
+ * stop games any number of times without leaving loops or listeners behind.
+ * Assumes global access to `requestAnimationFrame`, `cancelAnimationFrame`, `EffectPool` and `EFFECT_POOL_SIZE`.
+ */
+
+/**
+ * Handles a rejected music playback. Browsers refuse playback until the user has interacted with the page
+ * (a `NotAllowedError`); that is expected, and the music starts on a later key press. Other failures are logged.
+ * @param {Error} error - The error the play promise rejected with.
+ */
+function handleMusicPlayError(error) {
+    if (error && error.name === 'NotAllowedError') return;
+    console.warn("MUSIC: In-game music failed to play.", error && error.name, error && error.message);
+}
+
+/**
+ * A single run of the game, from pressing Start until returning to the menu.
+ * @class GameSession
+ */
+class GameSession {
+    /**
+     * Creates an instance of GameSession. The session does not run until `start()` is called.
+     * @param {function(number): void} frameCallback - Called once per display frame with the real time since the previous frame, in seconds.
+     */
+    constructor(frameCallback) {
+        this.frameCallback = frameCallback;
+
+        /** @type {Sprite[]} Array of ALL Sprite objects in the game. */
+        this.sprites = [];
+        /** @type {Enemy[]} Array of Enemy AI/logic objects. */
+        this.enemies = [];
+        /** @type {Projectile[]} Array of active player Projectile objects. */
+        this.playerProjectiles = [];
+        /** @type {EnemyProjectile[]} Array for active enemy projectiles. */
+        this.enemyProjectiles = [];
+        /** @type {EffectPool} The visual effects: rising spirits, impact sparks, muzzle flashes and blood puffs. */
+        this.effects = new EffectPool(EFFECT_POOL_SIZE);
+        /** @type {ExplosionEffect[]} Array of the explosions currently playing. */
+        this.explosionEffects = [];
+        /** @type {DebrisParticle[]} Array of the debris thrown off hit enemies. */
+        this.debrisParticles = [];
+        /** @type {Object<string, HTMLImageElement[]>} The frames of each weapon's viewmodel animation, by weapon id. */
+        this.viewmodelFrames = {};
+        /** @type {Object<string, EnemySpriteImages>} The images of each enemy type, by type id. */
+        this.enemySpriteImages = {};
+
+        /** @type {number | null} The handle of the pending animation frame, or null while not running. */
+        this.animationFrameId = null;
+        /** @type {number | null} The timestamp of the previous frame, or null before the first frame after `start()`. */
+        this.lastFrameTimestamp = null;
+        /** @type {number} Real time, in seconds, not yet consumed by simulation steps. */
+        this.simulationAccumulator = 0;
+        /** @type {Set<number>} Handles of the pending timeouts started through `setTimeout()`. */
+        this.timeoutIds = new Set();
+        /** @type {{target: EventTarget, type: string, handler: function(Event): void, options: (Object | undefined)}[]} The listeners added through `addListener()`. */
+        this.listeners = [];
+        /** @type {HTMLAudioElement | null} The in-game music element. */
+        this.musicElement = document.getElementById('inGameMusic');
+        /** @type {boolean} True if the music should play while the session runs. */
+        this.musicRequested = false;
+
+        this.isRunning = false;
+        this.isDisposed = false;
+
+        this.runFrame = this.runFrame.bind(this);
+    }
+
+    /** Empties all entity lists. */
+    clearEntities() {
+        this.effects.clear();
+        this.sprites = [];
+        this.enemies = [];
+        this.playerProjectiles = [];
+        this.enemyProjectiles = [];
+        this.explosionEffects = [];
+        this.debrisParticles = [];
+    }
+
+    /**
+     * Adds an event listener that stays attached until the session is disposed.
+     * @param {EventTarget} target - The element, document or window to listen on.
+     * @param {string} type - The event type, e.g. 'keydown'.
+     * @param {function(Event): void} handler - The listener.
+     * @param {Object} [options] - Listener options, e.g. `{ passive: false }` for touch handlers that prevent scrolling.
+     */
+    addListener(target, type, handler, options) {
+        if (this.isDisposed) return;
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target: target, type: type, handler: handler, options: options });
+    }
+
+    /**
+     * Runs a callback after a delay, unless the session is disposed first.
+     * @param {function(): void} callback - The callback.
+     * @param {number} delayMs - The delay, in milliseconds.
+     * @returns {number | null} The timeout handle, or null if the session is already disposed.
+     */
+    setTimeout(callback, delayMs) {
+        if (this.isDisposed) return null;
+        const timeoutId = setTimeout(() => {
+            this.timeoutIds.delete(timeoutId);
+            callback();
+        }, delayMs);
+        this.timeoutIds.add(timeoutId);
+        return timeoutId;
+    }
+
+    /**
+     * Starts the in-game music, or asks for it to start with the session if the session is paused.
+     * Browsers may refuse playback until the user has interacted with the page.
+     * @returns {Promise<void>} Resolves once the music plays; rejects if the browser refused.
+     */
+    playMusic() {
+        this.musicRequested = true;
+        if (!this.musicElement || !this.isRunning) return Promise.resolve();
+        const playPromise = this.musicElement.play();
+        return playPromise !== undefined ? playPromise : Promise.resolve();
+    }
+
+    /** Starts or resumes the frame loop and the music. Does nothing once disposed. */
+    start() {
+        if (this.isRunning || this.isDisposed) return;
+        this.isRunning = true;
+        this.lastFrameTimestamp = null;
+        this.simulationAccumulator = 0;
+        this.animationFrameId = requestAnimationFrame(this.runFrame);
+        if (this.musicRequested) this.playMusic().catch(handleMusicPlayError);
+    }
+
+    /** Stops the frame loop and the music. Listeners stay attached, so the game can still react to input. */
+    pause() {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+        if (this.musicElement) this.musicElement.pause();
+    }
+
+    /** Stops the session for good: the loop, music, timeouts and listeners are released and the entity lists emptied. */
+    dispose() {
+        if (this.isDisposed) return;
+        this.pause();
+        this.musicRequested = false;
+        this.isDisposed = true;
+
+        this.timeoutIds.forEach(timeoutId => clearTimeout(timeoutId));
+        this.timeoutIds.clear();
+        this.listeners.forEach(({ target, type, handler, options }) => target.removeEventListener(type, handler, options));
+        this.listeners = [];
+        this.clearEntities();
+        this.viewmodelFrames = {};
+        this.enemySpriteImages = {};
+    }
+
+    /**
+     * The animation frame callback. Schedules the next frame and hands the elapsed time to `frameCallback`.
+     * @param {DOMHighResTimeStamp} timestamp - The frame time provided by requestAnimationFrame, in milliseconds.
+     */
+    runFrame(timestamp) {
+        if (!this.isRunning) return;
+        this.animationFrameId = requestAnimationFrame(this.runFrame);
+
+        if (this.lastFrameTimestamp === null) this.lastFrameTimestamp = timestamp;
+        const frameTime = (timestamp - this.lastFrameTimestamp) / 1000;
+        this.lastFrameTimestamp = timestamp;
+        this.frameCallback(frameTime);
+    }
+}
@@ -0,0 +1,131 @@
+// js/generatedArt.js
+
+/**
+ * @fileoverview Images the game draws on a canvas at load time. Some assets have no image files:
+ * they are generated here and returned as data URLs, which `loadGameImage()` loads like image files.
+ * Also makes the tinted copies of loaded images.
+ * Assumes global access to `rgbToCss` (utils.js) and the constants describing the generated images (e.g. `KEY_CARD_COLORS`).
+ */
+
+/**
+ * Makes a copy of an image with its opaque pixels tinted towards a colour.
+ * Returns null, and the image stays untinted, if the browser refuses to export it (e.g. when the game is opened from disk).
+ * @param {HTMLImageElement} image - A loaded image.
+ * @param {number[]} rgb - The tint as [red, green, blue], each 0-255.
+ * @returns {string | null} The tinted image as a data URL, or null.
+ */
+function createTintedImageSource(image, rgb) {
+    const tintCanvas = document.createElement('canvas');
+    tintCanvas.width = image.naturalWidth;
+    tintCanvas.height = image.naturalHeight;
+    const tintContext = tintCanvas.getContext('2d');
+    tintContext.drawImage(image, 0, 0);
+    tintContext.globalCompositeOperation = 'source-atop';
+    tintContext.globalAlpha = 0.5;
+    tintContext.fillStyle = rgbToCss(rgb);
+    tintContext.fillRect(0, 0, tintCanvas.width, tintCanvas.height);
+    try {
+        return tintCanvas.toDataURL();
+    } catch (error) {
+        console.warn(`ASSET_LOAD: Cannot tint ${image.src} (serve the game over HTTP); it is used untinted.`, error.name);
+        return null;
+    }
+}
+
+/**
+ * Draws a key card: a coloured card with a light stripe and a gold chip.
+ * @param {string} keyColor - The key colour, one of the keys of `KEY_CARD_COLORS`.
+ * @returns {string} The image as a data URL.
+ */
+function createKeyCardImageSource(keyColor) {
+    const cardCanvas = document.createElement('canvas');
+    cardCanvas.width = 32;
+    cardCanvas.height = 24;
+    const cardContext = cardCanvas.getContext('2d');
+    const rgb = KEY_CARD_COLORS[keyColor];
+
+    cardContext.fillStyle = rgbToCss(rgb.map(channel => Math.floor(channel * 0.5)));
+    cardContext.fillRect(0, 0, 32, 24);
+    cardContext.fillStyle = rgbToCss(rgb);
+    cardContext.fillRect(2, 2, 28, 20);
+    cardContext.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    cardContext.fillRect(2, 6, 28, 4);
+    cardContext.fillStyle = '#D8B040';
+    cardContext.fillRect(5, 13, 8, 6);
+    return cardCanvas.toDataURL();
+}
+
+/**
+ * Draws one frame of the explosion animation: a fireball that swells and fades.
+ * @param {number} frameIndex - The frame, from 0 to `EXPLOSION_FRAME_COUNT - 1`.
+ * @returns {string} The image as a data URL.
+ */
+function createExplosionFrameSource(frameIndex) {
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = 64;
+    frameCanvas.height = 64;
+    const frameContext = frameCanvas.getContext('2d');
+    const progress = (frameIndex + 1) / EXPLOSION_FRAME_COUNT;
+    const radius = 10 + 22 * Math.sqrt(progress);
+
+    const gradient = frameContext.createRadialGradient(32, 32, 0, 32, 32, radius);
+    gradient.addColorStop(0, `rgba(255, 250, 200, ${1 - progress * 0.4})`);
+    gradient.addColorStop(0.45, `rgba(255, 150, 30, ${1 - progress * 0.45})`);
+    gradient.addColorStop(1, 'rgba(180, 30, 0, 0)');
+    frameContext.fillStyle = gradient;
+    frameContext.beginPath();
+    frameContext.arc(32, 32, radius, 0, 2 * Math.PI);
+    frameContext.fill();
+    return frameCanvas.toDataURL();
+}
+
+/**
+ * Draws one kind of debris: a dark red scrap of irregular shape.
+ * @param {number} imageIndex - The kind, from 0 to `DEBRIS_IMAGE_COUNT - 1`.
+ * @returns {string} The image as a data URL.
+ */
+function createDebrisImageSource(imageIndex) {
+    const debrisCanvas = document.createElement('canvas');
+    debrisCanvas.width = 16;
+    debrisCanvas.height = 16;
+    const debrisContext = debrisCanvas.getContext('2d');
+    const cornerCount = 5 + imageIndex;
+
+    debrisContext.fillStyle = ['#7A0A0A', '#5C0808', '#96201A'][imageIndex % 3];
+    debrisContext.beginPath();
+    for (let i = 0; i < cornerCount; i++) {
+        const angle = i / cornerCount * 2 * Math.PI;
+        const radius = 4 + ((i * 7 + imageIndex * 3) % 5) * 0.8; // irregular, but the same on every load
+        debrisContext.lineTo(8 + Math.cos(angle) * radius, 8 + Math.sin(angle) * radius);
+    }
+    debrisContext.closePath();
+    debrisContext.fill();
+    debrisContext.fillStyle = 'rgba(255, 180, 160, 0.35)';
+    debrisContext.fillRect(6, 6, 3, 2);
+    return debrisCanvas.toDataURL();
+}
+
+/** @type {Object<string, {size: number, colorStops: string[]}>} How the generated effect images look: their size in pixels and the colours from the centre out. */
+const GENERATED_EFFECT_IMAGES = {
+    sparkEffectImage: { size: 16, colorStops: ['rgba(255, 255, 230, 1)', 'rgba(255, 210, 80, 0.9)', 'rgba(255, 120, 0, 0)'] },
+    muzzleFlashEffectImage: { size: 32, colorStops: ['rgba(255, 255, 255, 1)', 'rgba(200, 230, 255, 0.8)', 'rgba(120, 160, 255, 0)'] },
+    bloodPuffEffectImage: { size: 32, colorStops: ['rgba(150, 10, 10, 1)', 'rgba(110, 5, 5, 0.8)', 'rgba(60, 0, 0, 0)'] }
+};
+
+/**
+ * Draws the image of an effect: a soft round blob fading out from its centre.
+ * @param {string} imageName - The name of the image, a key of `GENERATED_EFFECT_IMAGES`.
+ * @returns {string} The image as a data URL.
+ */
+function createEffectImageSource(imageName) {
+    const { size, colorStops } = GENERATED_EFFECT_IMAGES[imageName];
+    const effectCanvas = document.createElement('canvas');
+    effectCanvas.width = size;
+    effectCanvas.height = size;
+    const effectContext = effectCanvas.getContext('2d');
+    const gradient = effectContext.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+    colorStops.forEach((color, index) => gradient.addColorStop(index / (colorStops.length - 1), color));
+    effectContext.fillStyle = gradient;
+    effectContext.fillRect(0, 0, size, size);
+    return effectCanvas.toDataURL();
+}
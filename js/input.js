@@ -0,0 +1,353 @@
+// js/input.js
+
+/**
+ * @fileoverview Input action layer. Keys, mouse buttons and gamepad buttons are bound to named actions
+ * (forward, strafe left, fire, ...) instead of being checked directly by the game code.
+ * Bindings and the mouse look sensitivity can be changed by the player and are persisted in localStorage.
+ * Input codes are `KeyboardEvent.code` values (e.g. 'KeyW', 'ArrowUp', 'Space'); mouse buttons use 'Mouse0', 'Mouse1', ...,
+ * the mouse wheel 'WheelUp' and 'WheelDown', and gamepad buttons 'Gamepad0', 'Gamepad1', ... (indices of the standard Gamepad API mapping).
+ * Gamepad sticks are read by `pollGamepad()`, a pure function of the gamepad snapshot.
+ */
+
+/** @type {string[]} All input actions, in the order they are listed on the controls screen. */
+const INPUT_ACTIONS = ['forward', 'back', 'strafeLeft', 'strafeRight', 'turnLeft', 'turnRight', 'fire', 'use', 'nextWeapon', 'previousWeapon', 'toggleMap'];
+
+/** @type {Object<string, string>} Display names of the input actions. */
+const INPUT_ACTION_LABELS = {
+    forward: 'Forward',
+    back: 'Back',
+    strafeLeft: 'Strafe Left',
+    strafeRight: 'Strafe Right',
+    turnLeft: 'Turn Left',
+    turnRight: 'Turn Right',
+    fire: 'Fire',
+    use: 'Use',
+    nextWeapon: 'Next Weapon',
+    previousWeapon: 'Previous Weapon',
+    toggleMap: 'Toggle Map'
+};
+
+/** @type {Object<string, string[]>} The bindings used until the player remaps them. */
+const DEFAULT_KEY_BINDINGS = {
+    forward: ['KeyW', 'ArrowUp', 'Gamepad12'],
+    back: ['KeyS', 'ArrowDown', 'Gamepad13'],
+    strafeLeft: ['KeyA'],
+    strafeRight: ['KeyD'],
+    turnLeft: ['ArrowLeft', 'Gamepad14'],
+    turnRight: ['ArrowRight', 'Gamepad15'],
+    fire: ['Space', 'Mouse0', 'Gamepad7', 'Gamepad6'],
+    use: ['KeyE', 'Gamepad0'],
+    nextWeapon: ['WheelDown', 'BracketRight', 'Gamepad5'],
+    previousWeapon: ['WheelUp', 'BracketLeft', 'Gamepad4'],
+    toggleMap: ['Period', 'Tab', 'Gamepad3']
+};
+
+/** @type {string[]} Codes that cannot be bound because the game reserves them (Escape, and B or Start on a gamepad, open the pause menu). */
+const RESERVED_INPUT_CODES = ['Escape', 'Gamepad1', 'Gamepad9'];
+
+/** @type {string[]} Short names of the buttons of the standard gamepad mapping, by button index. */
+const GAMEPAD_BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'D-Up', 'D-Down', 'D-Left', 'D-Right'];
+/** @type {number} Stick deflection below which a gamepad axis reads as 0. */
+const GAMEPAD_DEAD_ZONE = 0.2;
+/** @type {number} Value above which an analog gamepad button (e.g. a trigger) counts as pressed. */
+const GAMEPAD_BUTTON_THRESHOLD = 0.5;
+
+/** @type {string} localStorage key holding the JSON object of key bindings. */
+const KEY_BINDINGS_STORAGE_KEY = 'damonenheil.keyBindings';
+/** @type {string} localStorage key holding the mouse sensitivity level. */
+const MOUSE_SENSITIVITY_STORAGE_KEY = 'damonenheil.mouseSensitivity';
+
+const MOUSE_SENSITIVITY_MIN = 1;
+const MOUSE_SENSITIVITY_MAX = 20;
+const DEFAULT_MOUSE_SENSITIVITY = 5;
+/** @type {number} Radians turned per pixel of mouse movement, per sensitivity level. */
+const MOUSE_RADIANS_PER_PIXEL_PER_LEVEL = 0.0005;
+
+/**
+ * Reads the key bindings from localStorage, falling back to `DEFAULT_KEY_BINDINGS`
+ * for actions that have no stored binding. Stored reserved codes are dropped.
+ * @returns {Object<string, string[]>} The bindings, one array of input codes per action.
+ */
+function loadKeyBindings() {
+    const bindings = {};
+    let storedBindings = {};
+    try {
+        const storedValue = localStorage.getItem(KEY_BINDINGS_STORAGE_KEY);
+        if (storedValue) storedBindings = JSON.parse(storedValue) || {};
+    } catch (error) {
+        console.warn("INPUT: Could not read key bindings from storage.", error.name);
+    }
+    INPUT_ACTIONS.forEach(action => {
+        const storedCodes = storedBindings[action];
+        bindings[action] = Array.isArray(storedCodes)
+            ? storedCodes.filter(code => typeof code === 'string' && !RESERVED_INPUT_CODES.includes(code))
+            : DEFAULT_KEY_BINDINGS[action].slice();
+    });
+    return bindings;
+}
+
+/**
+ * Persists the key bindings.
+ * @param {Object<string, string[]>} bindings - The bindings to store.
+ */
+function saveKeyBindings(bindings) {
+    try {
+        localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+    } catch (error) {
+        console.warn("INPUT: Could not persist key bindings.", error.name);
+    }
+}
+
+/**
+ * Reads the mouse sensitivity level from localStorage.
+ * @returns {number} The level, between `MOUSE_SENSITIVITY_MIN` and `MOUSE_SENSITIVITY_MAX`.
+ */
+function loadMouseSensitivity() {
+    let level = DEFAULT_MOUSE_SENSITIVITY;
+    try {
+        const storedValue = Number(localStorage.getItem(MOUSE_SENSITIVITY_STORAGE_KEY));
+        if (storedValue) level = storedValue;
+    } catch (error) {
+        console.warn("INPUT: Could not read mouse sensitivity from storage.", error.name);
+    }
+    return Math.max(MOUSE_SENSITIVITY_MIN, Math.min(MOUSE_SENSITIVITY_MAX, Math.round(level)));
+}
+
+/**
+ * Persists the mouse sensitivity level.
+ * @param {number} level - The level to store.
+ */
+function saveMouseSensitivity(level) {
+    try {
+        localStorage.setItem(MOUSE_SENSITIVITY_STORAGE_KEY, String(level));
+    } catch (error) {
+        console.warn("INPUT: Could not persist mouse sensitivity.", error.name);
+    }
+}
+
+/**
+ * Turns an input code into a short name for the controls screen, e.g. 'KeyW' into 'W'.
+ * @param {string} code - The input code.
+ * @returns {string} The display name.
+ */
+function formatInputCode(code) {
+    const codeNames = {
+        Space: 'Space', Period: '.', Comma: ',', Tab: 'Tab', Enter: 'Enter',
+        ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right',
+        ShiftLeft: 'Shift', ShiftRight: 'R-Shift', ControlLeft: 'Ctrl', ControlRight: 'R-Ctrl',
+        AltLeft: 'Alt', AltRight: 'R-Alt', Mouse0: 'Left Click', Mouse1: 'Middle Click', Mouse2: 'Right Click',
+        WheelUp: 'Wheel Up', WheelDown: 'Wheel Down', BracketLeft: '[', BracketRight: ']'
+    };
+    if (codeNames[code]) return codeNames[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Mouse')) return `Mouse ${Number(code.slice(5)) + 1}`;
+    if (code.startsWith('Gamepad')) return GAMEPAD_BUTTON_NAMES[Number(code.slice(7))] || `Button ${code.slice(7)}`;
+    return code;
+}
+
+/**
+ * Removes the dead zone from a stick axis and rescales the rest, so values start at 0 just outside the dead zone.
+ * @param {number} value - The raw axis value, in [-1, 1].
+ * @param {number} deadZone - The dead zone, in [0, 1).
+ * @returns {number} The adjusted value, in [-1, 1].
+ */
+function applyGamepadDeadZone(value, deadZone) {
+    const magnitude = Math.abs(value);
+    if (magnitude < deadZone) return 0;
+    return Math.sign(value) * Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+}
+
+/**
+ * @typedef {Object} GamepadSnapshot
+ * @property {number} move - Forward (1) to backward (-1), from the left stick.
+ * @property {number} strafe - Right (1) to left (-1), from the left stick.
+ * @property {number} turn - Right (1) to left (-1), from the right stick.
+ * @property {boolean[]} buttons - Whether each button is pressed, by button index.
+ * @property {number[]} pressedButtons - Indices of the buttons pressed since the previous poll.
+ * @property {number[]} releasedButtons - Indices of the buttons released since the previous poll.
+ */
+
+/**
+ * Reads a gamepad in the standard mapping. Has no side effects and only reads `axes` and `buttons`,
+ * so it works with a plain mock object such as `{ axes: [0, -1, 0, 0], buttons: [{ pressed: true, value: 1 }] }`.
+ * @param {Gamepad} gamepad - The gamepad to read.
+ * @param {boolean[]} [previousButtons=[]] - The `buttons` of the previous snapshot, to find presses and releases.
+ * @param {number} [deadZone=GAMEPAD_DEAD_ZONE] - The stick dead zone.
+ * @returns {GamepadSnapshot} The stick positions and button states.
+ */
+function pollGamepad(gamepad, previousButtons = [], deadZone = GAMEPAD_DEAD_ZONE) {
+    const axes = gamepad.axes || [];
+    const buttons = (gamepad.buttons || []).map(button => (typeof button === 'object')
+        ? Boolean(button.pressed) || button.value > GAMEPAD_BUTTON_THRESHOLD
+        : button > GAMEPAD_BUTTON_THRESHOLD);
+
+    const pressedButtons = [];
+    const releasedButtons = [];
+    const buttonCount = Math.max(buttons.length, previousButtons.length);
+    for (let i = 0; i < buttonCount; i++) {
+        if (buttons[i] && !previousButtons[i]) pressedButtons.push(i);
+        if (!buttons[i] && previousButtons[i]) releasedButtons.push(i);
+    }
+
+    return {
+        move: -applyGamepadDeadZone(axes[1] || 0, deadZone),
+        strafe: applyGamepadDeadZone(axes[0] || 0, deadZone),
+        turn: applyGamepadDeadZone(axes[2] || 0, deadZone),
+        buttons: buttons,
+        pressedButtons: pressedButtons,
+        releasedButtons: releasedButtons
+    };
+}
+
+/**
+ * Tracks which inputs are held and maps them to actions through the (remappable) bindings.
+ * Knows nothing about the DOM: the game feeds it input codes and mouse movement.
+ * @class InputController
+ */
+class InputController {
+    /**
+     * Creates an instance of InputController with the stored bindings and sensitivity.
+     */
+    constructor() {
+        /** @type {Object<string, string[]>} The input codes bound to each action. */
+        this.bindings = loadKeyBindings();
+        /** @type {number} The mouse look sensitivity level. */
+        this.mouseSensitivity = loadMouseSensitivity();
+        /** @type {Set<string>} The input codes currently held down. */
+        this.heldCodes = new Set();
+        /** @type {number} Horizontal mouse movement, in pixels, not yet applied to the player. */
+        this.pendingMouseMovementX = 0;
+        /** @type {Object<string, {move: number, strafe: number, turn: number}>} The latest analog positions, per source (e.g. 'gamepad', 'touch'). */
+        this.analogAxes = {};
+    }
+
+    /**
+     * Finds the action an input code is bound to.
+     * @param {string} code - The input code.
+     * @returns {string | null} The action, or null if the code is not bound.
+     */
+    getActionForCode(code) {
+        return INPUT_ACTIONS.find(action => this.bindings[action].includes(code)) || null;
+    }
+
+    /**
+     * Records an input being pressed.
+     * @param {string} code - The input code.
+     * @returns {string | null} The bound action if this press starts it (no other input for it was held), otherwise null.
+     */
+    press(code) {
+        const action = this.getActionForCode(code);
+        const wasHeld = action !== null && this.isActionHeld(action);
+        this.heldCodes.add(code);
+        return (action !== null && !wasHeld) ? action : null;
+    }
+
+    /**
+     * Records an input being released.
+     * @param {string} code - The input code.
+     * @returns {string | null} The bound action if this release ends it (no other input for it is still held), otherwise null.
+     */
+    release(code) {
+        if (!this.heldCodes.delete(code)) return null;
+        const action = this.getActionForCode(code);
+        return (action !== null && !this.isActionHeld(action)) ? action : null;
+    }
+
+    /** Forgets all held inputs, stick positions and pending mouse movement, e.g. when the game is paused. */
+    releaseAll() {
+        this.heldCodes.clear();
+        this.pendingMouseMovementX = 0;
+        this.analogAxes = {};
+    }
+
+    /**
+     * Records the analog positions of one source. Sources are summed, so a gamepad and the touch joystick can be used together.
+     * @param {string} source - The analog source, e.g. 'gamepad' or 'touch'.
+     * @param {number} move - Forward (1) to backward (-1).
+     * @param {number} strafe - Right (1) to left (-1).
+     * @param {number} turn - Right (1) to left (-1).
+     */
+    setAnalogAxes(source, move, strafe, turn) {
+        this.analogAxes[source] = { move: move, strafe: strafe, turn: turn };
+    }
+
+    /**
+     * Checks whether any input bound to an action is held.
+     * @param {string} action - The action.
+     * @returns {boolean} True if the action is held.
+     */
+    isActionHeld(action) {
+        return this.bindings[action].some(code => this.heldCodes.has(code));
+    }
+
+    /**
+     * Combines two opposing actions, and optionally an analog stick axis, into an axis value.
+     * @param {string} negativeAction - The action for -1, e.g. 'back'.
+     * @param {string} positiveAction - The action for 1, e.g. 'forward'.
+     * @param {string} [analogAxis] - The analog axis to add, from all sources: 'move', 'strafe' or 'turn'.
+     * @returns {number} The axis value, in [-1, 1].
+     */
+    getAxis(negativeAction, positiveAction, analogAxis) {
+        const digitalValue = (this.isActionHeld(positiveAction) ? 1 : 0) - (this.isActionHeld(negativeAction) ? 1 : 0);
+        const analogValue = analogAxis
+            ? Object.values(this.analogAxes).reduce((sum, axes) => sum + axes[analogAxis], 0)
+            : 0;
+        return Math.max(-1, Math.min(1, digitalValue + analogValue));
+    }
+
+    /**
+     * Records horizontal mouse movement for mouse look.
+     * @param {number} movementX - The movement, in pixels.
+     */
+    addMouseMovement(movementX) {
+        this.pendingMouseMovementX += movementX;
+    }
+
+    /**
+     * Returns the mouse look turn since the last call and resets it.
+     * @returns {number} The angle to turn by, in radians. Positive turns right.
+     */
+    consumeMouseTurn() {
+        const turnAngle = this.pendingMouseMovementX * this.mouseSensitivity * MOUSE_RADIANS_PER_PIXEL_PER_LEVEL;
+        this.pendingMouseMovementX = 0;
+        return turnAngle;
+    }
+
+    /**
+     * Binds an input code to an action, replacing the action's other bindings of the same kind
+     * (keyboard, mouse or gamepad) and removing the code from any other action. The change is persisted.
+     * @param {string} action - The action to rebind.
+     * @param {string} code - The new input code.
+     * @returns {boolean} False if the code is reserved and was not bound.
+     */
+    rebind(action, code) {
+        if (RESERVED_INPUT_CODES.includes(code)) return false;
+        const getCodeKind = inputCode => (inputCode.startsWith('Mouse') || inputCode.startsWith('Wheel')) ? 'mouse' : inputCode.startsWith('Gamepad') ? 'gamepad' : 'keyboard';
+        INPUT_ACTIONS.forEach(otherAction => {
+            this.bindings[otherAction] = this.bindings[otherAction].filter(boundCode => boundCode !== code);
+        });
+        this.bindings[action] = this.bindings[action]
+            .filter(boundCode => getCodeKind(boundCode) !== getCodeKind(code))
+            .concat(code);
+        this.heldCodes.clear();
+        saveKeyBindings(this.bindings);
+        return true;
+    }
+
+    /** Restores `DEFAULT_KEY_BINDINGS` and persists them. */
+    resetBindings() {
+        INPUT_ACTIONS.forEach(action => { this.bindings[action] = DEFAULT_KEY_BINDINGS[action].slice(); });
+        this.heldCodes.clear();
+        saveKeyBindings(this.bindings);
+    }
+
+    /**
+     * Changes the mouse look sensitivity and persists it.
+     * @param {number} level - The new level; clamped to the allowed range.
+     */
+    setMouseSensitivity(level) {
+        this.mouseSensitivity = Math.max(MOUSE_SENSITIVITY_MIN, Math.min(MOUSE_SENSITIVITY_MAX, Math.round(level)));
+        saveMouseSensitivity(this.mouseSensitivity);
+    }
+}
@@ -2,7 +2,10 @@
 
 /**
  * @fileoverview Defines the Level class for managing game map data and rendering a minimap.
- * Requires `tileSize` from config.js.
+ * Requires `tileSize` and the wall atlas constants from config.js, and `distanceBetweenPoints` from utils.js.
+ * Levels can be built from a bare tile grid or from the JSON level format (see levelFormat.js).
+ * Besides the tile grid, a level has a floor layer and a ceiling layer with a wall atlas slot per tile.
+ * Door tiles (`DOOR_TILE_ID` and `LOCKED_DOOR_TILE_IDS`) get a Door each, which tracks how far the door has slid open.
  */
 
 /**
@@ -35,19 +38,168 @@ class Level {
         this.tileHeight = tileSize;
         /** @type {number} The width of each tile in pixels. */
         this.tileWidth = tileSize;
+
+        /** @type {string} The display name of the level. */
+        this.name = 'Untitled';
+        /**
+         * @type {Object<string, number>} Maps tile IDs to 0-based slots in the wall texture atlas.
+         * Tile IDs without an entry fall back to slot `tileId - 1`.
+         */
+        this.textureMap = {};
+        /** @type {number[][]} The wall atlas slot of each tile's floor, or `NO_SURFACE_TEXTURE`. Indexed [row][column]. */
+        this.floorLayer = Level.createSurfaceLayer(this.mapWidth, this.mapHeight, DEFAULT_FLOOR_TEXTURE_INDEX);
+        /** @type {number[][]} The wall atlas slot of each tile's ceiling, or `NO_SURFACE_TEXTURE`. Indexed [row][column]. */
+        this.ceilingLayer = Level.createSurfaceLayer(this.mapWidth, this.mapHeight, DEFAULT_CEILING_TEXTURE_INDEX);
+        /** @type {number} Light level applied to everything outside the player's light radius. */
+        this.ambientLight = (typeof AMBIENT_LIGHT_LEVEL !== 'undefined') ? AMBIENT_LIGHT_LEVEL : 0.05;
+        /** @type {string | null} The music track to play in this level, or null to keep the default. */
+        this.musicTrack = null;
+        /** @type {Object<string, {row: number, col: number, angle: number}>} Named player start positions. */
+        this.playerStarts = {};
+        /** @type {string | null} The name of the player start used when the level begins. */
+        this.defaultPlayerStart = null;
+        /** @type {{row: number, col: number, type: (string | undefined)}[] | null} Fixed enemy placements, or null to place enemies at random. */
+        this.enemyPlacements = null;
+        /** @type {{type: string, row: number, col: number}[] | null} Fixed pickup placements, or null to place pickups at random. */
+        this.pickupPlacements = null;
+        /** @type {boolean} Whether every enemy must be dead before the exit can be used. */
+        this.exitRequiresAllKills = false;
+
+        /** @type {Door[]} The doors of the level. */
+        this.doors = [];
+        /** @type {Map<number, Door>} The doors, keyed by `row * mapWidth + col`. */
+        this.doorsByTile = new Map();
+        this.createDoors();
+    }
+
+    /**
+     * Creates a closed Door for every door tile. A door with walls to its left and right slides along the x axis;
+     * any other door slides along the y axis.
+     */
+    createDoors() {
+        const isWall = (tileX, tileY) => !this.isDoorTile(tileX, tileY) && this.hasCollision(tileX, tileY);
+        for (let row = 0; row < this.mapHeight; row++) {
+            for (let col = 0; col < this.mapWidth; col++) {
+                const tileId = this.mapData[row][col];
+                if (!isDoorTileId(tileId)) continue;
+                const axis = isWall(col - 1, row) && isWall(col + 1, row) ? 'x' : 'y';
+                const door = new Door(col, row, axis, getDoorKeyColor(tileId));
+                this.doors.push(door);
+                this.doorsByTile.set(row * this.mapWidth + col, door);
+            }
+        }
+    }
+
+    /**
+     * Creates a Level from data in the JSON level format.
+     * The data is expected to have passed `validateLevelData()`.
+     * @param {HTMLCanvasElement} canvasElement - The HTML canvas element.
+     * @param {CanvasRenderingContext2D} renderingContext - The 2D rendering context for drawing the minimap.
+     * @param {LevelData} levelData - The parsed level data.
+     * @returns {Level} The new level.
+     */
+    static fromData(canvasElement, renderingContext, levelData) {
+        const level = new Level(canvasElement, renderingContext, levelData.tiles.map(row => row.slice()));
+
+        if (typeof levelData.name === 'string') level.name = levelData.name;
+        if (levelData.textures) level.textureMap = Object.assign({}, levelData.textures);
+        if (Array.isArray(levelData.floor)) level.floorLayer = levelData.floor.map(row => row.slice());
+        if (Array.isArray(levelData.ceiling)) level.ceilingLayer = levelData.ceiling.map(row => row.slice());
+        if (typeof levelData.ambientLight === 'number') level.ambientLight = levelData.ambientLight;
+        if (typeof levelData.music === 'string') level.musicTrack = levelData.music;
+        if (levelData.playerStarts) {
+            level.playerStarts = levelData.playerStarts;
+            level.defaultPlayerStart = levelData.playerStart || Object.keys(levelData.playerStarts)[0] || null;
+        }
+        if (Array.isArray(levelData.enemies)) level.enemyPlacements = levelData.enemies;
+        if (Array.isArray(levelData.pickups)) level.pickupPlacements = levelData.pickups;
+        if (levelData.completion) level.exitRequiresAllKills = !!levelData.completion.requireAllKills;
+        return level;
+    }
+
+    /**
+     * Creates a floor or ceiling layer that uses the same texture on every tile.
+     * @param {number} width - The width in tiles.
+     * @param {number} height - The height in tiles.
+     * @param {number} textureIndex - The wall atlas slot, or `NO_SURFACE_TEXTURE`.
+     * @returns {number[][]} The layer.
+     */
+    static createSurfaceLayer(width, height, textureIndex) {
+        return Array.from({ length: height }, () => new Array(width).fill(textureIndex));
+    }
+
+    /**
+     * Fetches a JSON level file, validates it and creates a Level from it.
+     * @param {HTMLCanvasElement} canvasElement - The HTML canvas element.
+     * @param {CanvasRenderingContext2D} renderingContext - The 2D rendering context for drawing the minimap.
+     * @param {string} levelUrl - The URL of the level file.
+     * @returns {Promise<Level>} Resolves with the new level. Rejects with a `LevelValidationError` if the file is invalid.
+     */
+    static load(canvasElement, renderingContext, levelUrl) {
+        return loadLevelData(levelUrl).then(levelData => Level.fromData(canvasElement, renderingContext, levelData));
+    }
+
+    /**
+     * Gets a named player start position.
+     * @param {string} [startName=this.defaultPlayerStart] - The name of the start position.
+     * @returns {{row: number, col: number, angle: number} | null} The start position, or null if the level has none.
+     */
+    getPlayerStart(startName = this.defaultPlayerStart) {
+        if (!startName || !this.playerStarts[startName]) return null;
+        return this.playerStarts[startName];
+    }
+
+    /**
+     * Gets the 0-based slot in the wall texture atlas used for a tile ID.
+     * @param {number} tileId - The tile ID from the map data.
+     * @returns {number} The atlas slot.
+     */
+    getTextureIndex(tileId) {
+        if (Object.prototype.hasOwnProperty.call(this.textureMap, tileId)) {
+            return this.textureMap[tileId];
+        }
+        if (tileId === EXIT_TILE_ID) return EXIT_TEXTURE_INDEX;
+        if (isDoorTileId(tileId)) return DOOR_TEXTURE_INDEX;
+        return Math.max(0, tileId - 1);
+    }
+
+    /**
+     * Gets the pixel position of a tile's texture inside the wall texture atlas.
+     * Atlas slots are numbered column by column.
+     * @param {number} tileId - The tile ID from the map data.
+     * @returns {{x: number, y: number}} The top-left corner of the texture in the atlas.
+     */
+    getTextureAtlasPosition(tileId) {
+        return this.getAtlasSlotPosition(this.getTextureIndex(tileId));
+    }
+
+    /**
+     * Gets the pixel position of an atlas slot inside the wall texture atlas.
+     * Atlas slots are numbered column by column.
+     * @param {number} textureIndex - The 0-based atlas slot.
+     * @returns {{x: number, y: number}} The top-left corner of the texture in the atlas.
+     */
+    getAtlasSlotPosition(textureIndex) {
+        return {
+            x: Math.floor(textureIndex / WALL_ATLAS_ROWS) * WALL_TEXTURE_SIZE,
+            y: (textureIndex % WALL_ATLAS_ROWS) * WALL_TEXTURE_SIZE
+        };
     }
 
     /**
      * Checks if a specific tile coordinate in the map represents a collision.
      * @param {number} tileX - The x-coordinate of the tile (column index).
      * @param {number} tileY - The y-coordinate of the tile (row index).
+     * Door tiles collide unless the door is fully open.
      * @returns {boolean} True if the tile is a wall (collision), false otherwise.
      */
     hasCollision(tileX, tileY) {
         let collides = false;
         // Boundary check to prevent out-of-bounds access, implicit in array access but good for clarity
         if (tileY >= 0 && tileY < this.mapHeight && tileX >= 0 && tileX < this.mapWidth) {
-            if (this.mapData[tileY][tileX] !== 0) {
+            if (isDoorTileId(this.mapData[tileY][tileX])) {
+                collides = !this.getDoor(tileX, tileY).isPassable();
+            } else if (this.mapData[tileY][tileX] !== 0) {
                 collides = true;
             }
         } else {
@@ -56,6 +208,84 @@ class Level {
         return collides;
     }
 
+    /**
+     * Checks if a tile blocks line of sight. Doors only block sight while fully closed; a gap is enough to see through.
+     * @param {number} tileX - The x-coordinate of the tile (column index).
+     * @param {number} tileY - The y-coordinate of the tile (row index).
+     * @returns {boolean} True if nothing can be seen through the tile.
+     */
+    blocksSight(tileX, tileY) {
+        const door = this.getDoor(tileX, tileY);
+        if (door) return door.openAmount === 0;
+        return this.hasCollision(tileX, tileY);
+    }
+
+    /**
+     * Checks whether anything blocks the straight line between two points, sampling it every quarter tile.
+     * The tiles of the two end points themselves are not checked.
+     * @param {number} fromX - The world x-coordinate of the first point.
+     * @param {number} fromY - The world y-coordinate of the first point.
+     * @param {number} toX - The world x-coordinate of the second point.
+     * @param {number} toY - The world y-coordinate of the second point.
+     * @returns {boolean} True if no tile on the line blocks sight (see `blocksSight()`).
+     */
+    hasLineOfSight(fromX, fromY, toX, toY) {
+        const distance = distanceBetweenPoints(fromX, fromY, toX, toY);
+        const lineOfSightSteps = Math.max(1, Math.floor(distance / (tileSize / 4)));
+        const deltaXStep = (toX - fromX) / lineOfSightSteps;
+        const deltaYStep = (toY - fromY) / lineOfSightSteps;
+        for (let i = 1; i < lineOfSightSteps; i++) {
+            const checkX = fromX + deltaXStep * i;
+            const checkY = fromY + deltaYStep * i;
+            if (this.blocksSight(Math.floor(checkX / this.tileWidth), Math.floor(checkY / this.tileHeight))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Checks if a tile is an exit tile. Exit tiles are solid; touching one finishes the level.
+     * @param {number} tileX - The x-coordinate of the tile (column index).
+     * @param {number} tileY - The y-coordinate of the tile (row index).
+     * @returns {boolean} True if the tile is an exit.
+     */
+    isExitTile(tileX, tileY) {
+        if (tileY < 0 || tileY >= this.mapHeight || tileX < 0 || tileX >= this.mapWidth) return false;
+        return this.mapData[tileY][tileX] === EXIT_TILE_ID;
+    }
+
+    /**
+     * Checks if a tile is a door tile, whether the door is open or not.
+     * @param {number} tileX - The x-coordinate of the tile (column index).
+     * @param {number} tileY - The y-coordinate of the tile (row index).
+     * @returns {boolean} True if the tile is a door.
+     */
+    isDoorTile(tileX, tileY) {
+        if (tileY < 0 || tileY >= this.mapHeight || tileX < 0 || tileX >= this.mapWidth) return false;
+        return isDoorTileId(this.mapData[tileY][tileX]);
+    }
+
+    /**
+     * Gets the door on a tile.
+     * @param {number} tileX - The x-coordinate of the tile (column index).
+     * @param {number} tileY - The y-coordinate of the tile (row index).
+     * @returns {Door | null} The door, or null if the tile is not a door tile.
+     */
+    getDoor(tileX, tileY) {
+        if (!this.isDoorTile(tileX, tileY)) return null;
+        return this.doorsByTile.get(tileY * this.mapWidth + tileX) || null;
+    }
+
+    /**
+     * Slides all doors for one simulation step.
+     * @param {number} deltaTime - The simulation step, in seconds.
+     * @param {function(number, number): boolean} isTileOccupied - Tells whether an actor overlaps the tile at (column, row).
+     */
+    updateDoors(deltaTime, isTileOccupied) {
+        this.doors.forEach(door => door.update(deltaTime, isTileOccupied(door.col, door.row)));
+    }
+
     /**
      * Gets the type/value of the tile at the given world (pixel) coordinates.
      * @param {number} worldX - The x-coordinate in pixels.
@@ -81,7 +311,16 @@ class Level {
         let tileFillColor;
         for (let y = 0; y < this.mapHeight; y++) {
             for (let x = 0; x < this.mapWidth; x++) {
-                if (this.mapData[y][x] !== 0) {
+                if (this.mapData[y][x] === EXIT_TILE_ID) {
+                    tileFillColor = '#20A040'; // Exit color
+                } else if (isDoorTileId(this.mapData[y][x])) {
+                    const door = this.getDoor(x, y);
+                    if (door.isPassable()) {
+                        tileFillColor = '#666666'; // Open doors look like floor
+                    } else {
+                        tileFillColor = door.requiredKey ? rgbToCss(KEY_CARD_COLORS[door.requiredKey]) : '#8B5A2B'; // Door color
+                    }
+                } else if (this.mapData[y][x] !== 0) {
                     tileFillColor = '#000000'; // Wall color
                 } else {
                     tileFillColor = '#666666'; // Floor color
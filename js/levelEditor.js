@@ -0,0 +1,738 @@
+// js/levelEditor.js
+
+/**
+ * @fileoverview Defines the LevelEditor class, an in-browser tile map editor that reads and writes
+ * the JSON level format (see levelFormat.js).
+ * The map is drawn with `Level.drawMinimap()`; walls are painted with texture IDs from the `walls.png` atlas,
+ * and the player start, enemies and pickups are placed on floor tiles. Edits can be undone and redone,
+ * levels are saved to localStorage or JSON files, and the P key toggles a play-test in the raycaster.
+ * Enemies are placed with the type chosen next to the toolbar; see `ENEMY_DEFINITIONS`.
+ * Assumes global access to `Level`, the level format functions, `tileSize`, the wall atlas constants,
+ * `initializeGame`, `leaveGame` and `initializeMenu`.
+ */
+
+/** @type {string} localStorage key holding the levels saved from the editor, keyed by level name. */
+const EDITOR_STORAGE_KEY = 'damonenheil.editorLevels';
+/** @type {number} Maximum number of undo steps kept by the editor. */
+const EDITOR_UNDO_LIMIT = 100;
+/** @type {Object<string, string>} Marker colors for the entities drawn on the editor map. */
+const EDITOR_ENTITY_COLORS = { enemy: '#A020C0', ammo: '#E0C020', embers: '#F06E14', health: '#E02020', armor: '#20A0E0', heavyArmor: '#2040E0' };
+
+/**
+ * In-browser editor for levels in the JSON level format.
+ * @class LevelEditor
+ */
+class LevelEditor {
+    /**
+     * Creates an instance of LevelEditor.
+     * @param {HTMLElement} containerElement - The element the editor UI is built into.
+     */
+    constructor(containerElement) {
+        this.containerElement = containerElement;
+
+        /** @type {LevelData} The level being edited. */
+        this.levelData = LevelEditor.createBlankLevel(15, 10);
+        /** @type {string} The active tool: 'wall', 'exit', 'door', 'erase', 'player', 'enemy', 'ammo', 'embers', 'health', 'armor', 'heavyArmor' or a key card such as 'redKey'. */
+        this.activeTool = 'wall';
+        /** @type {number} The tile ID painted by the wall tool. */
+        this.activeWallTileId = 1;
+        /** @type {string} The key colour doors painted by the door tool are locked with, or '' for unlocked doors. */
+        this.activeDoorLock = '';
+        /** @type {string} The type of enemies placed by the enemy tool, a key of `ENEMY_DEFINITIONS`. */
+        this.activeEnemyType = DEFAULT_ENEMY_TYPE;
+
+        /** @type {string[]} Serialized level snapshots for undo. */
+        this.undoStack = [];
+        /** @type {string[]} Serialized level snapshots for redo. */
+        this.redoStack = [];
+
+        /** @type {boolean} Whether the mouse button is held down on the map. */
+        this.isPainting = false;
+        /** @type {string | null} A snapshot of the level from the start of the current stroke, until the stroke changes something and it is pushed for undo. */
+        this.strokeStartState = null;
+        /** @type {boolean} Whether the level is currently being play-tested in the raycaster. */
+        this.isPlaytesting = false;
+        /** @type {boolean} Whether the editor is currently shown. */
+        this.isOpen = false;
+
+        this.mapCanvas = null;
+        this.mapContext = null;
+        this.statusElement = null;
+        this.nameInput = null;
+        this.savedLevelsSelect = null;
+        this.toolButtons = {};
+
+        this.atlasImage = new Image();
+        this.atlasImage.onload = () => this.buildPalette();
+        this.atlasImage.src = 'img/walls.png';
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+    }
+
+    /**
+     * Creates an empty level with a closed border and a player start in the top-left corner.
+     * @param {number} width - The width in tiles.
+     * @param {number} height - The height in tiles.
+     * @returns {LevelData} The new level.
+     */
+    static createBlankLevel(width, height) {
+        const tiles = [];
+        for (let row = 0; row < height; row++) {
+            tiles.push([]);
+            for (let col = 0; col < width; col++) {
+                const onBorder = row === 0 || col === 0 || row === height - 1 || col === width - 1;
+                tiles[row].push(onBorder ? 1 : 0);
+            }
+        }
+        return {
+            version: LEVEL_FORMAT_VERSION,
+            name: 'Untitled',
+            tiles: tiles,
+            playerStarts: { default: { row: 1, col: 1, angle: 0 } },
+            playerStart: 'default',
+            enemies: [],
+            pickups: []
+        };
+    }
+
+    /** Shows the editor, builds its UI and starts listening for shortcuts and the end of strokes. */
+    open() {
+        this.isOpen = true;
+        this.containerElement.style.display = 'block';
+        document.addEventListener('keydown', this.handleKeyDown);
+        document.addEventListener('mouseup', this.handleMouseUp);
+        this.buildUI();
+        this.render();
+    }
+
+    /** Hides the editor and removes its document listeners. During a play-test the shortcuts stay, so P can end it. */
+    close() {
+        this.isOpen = false;
+        this.isPainting = false;
+        this.containerElement.style.display = 'none';
+        document.removeEventListener('mouseup', this.handleMouseUp);
+        if (!this.isPlaytesting) document.removeEventListener('keydown', this.handleKeyDown);
+    }
+
+    // --- UI Construction ---
+
+    /** Builds the toolbar, palette, map canvas and file controls. */
+    buildUI() {
+        this.containerElement.innerHTML = '';
+        this.toolButtons = {};
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'editor-toolbar';
+        const keyColors = Object.keys(KEY_CARD_COLORS);
+        const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+        const tools = [
+            ['wall', 'Wall'], ['exit', 'Exit'], ['door', 'Door'], ['erase', 'Erase'], ['player', 'Player'],
+            ['enemy', 'Enemy'], ['ammo', 'Ammo'], ['embers', 'Embers'], ['health', 'Health'], ['armor', 'Armor'], ['heavyArmor', 'Heavy Armor']
+        ].concat(keyColors.map(keyColor => [`${keyColor}Key`, `${capitalize(keyColor)} Key`]));
+        tools.forEach(([toolName, label]) => {
+            const button = this.createButton(label, () => this.selectTool(toolName));
+            this.toolButtons[toolName] = button;
+            toolbar.appendChild(button);
+        });
+
+        const doorLockSelect = document.createElement('select');
+        doorLockSelect.className = 'editor-input';
+        doorLockSelect.title = 'Key card needed to open doors painted with the Door tool';
+        [['', 'Unlocked door']].concat(keyColors.map(keyColor => [keyColor, `${capitalize(keyColor)} door`])).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            doorLockSelect.appendChild(option);
+        });
+        doorLockSelect.value = this.activeDoorLock;
+        doorLockSelect.onchange = () => {
+            this.activeDoorLock = doorLockSelect.value;
+            this.selectTool('door');
+        };
+        toolbar.appendChild(doorLockSelect);
+
+        const enemyTypeSelect = document.createElement('select');
+        enemyTypeSelect.className = 'editor-input';
+        enemyTypeSelect.title = 'Type of the enemies placed with the Enemy tool';
+        Object.values(ENEMY_DEFINITIONS).forEach(definition => {
+            const option = document.createElement('option');
+            option.value = definition.id;
+            option.textContent = definition.name;
+            enemyTypeSelect.appendChild(option);
+        });
+        enemyTypeSelect.value = this.activeEnemyType;
+        enemyTypeSelect.onchange = () => {
+            this.activeEnemyType = enemyTypeSelect.value;
+            this.selectTool('enemy');
+        };
+        toolbar.appendChild(enemyTypeSelect);
+        toolbar.appendChild(this.createButton('Undo', () => this.undo()));
+        toolbar.appendChild(this.createButton('Redo', () => this.redo()));
+        this.containerElement.appendChild(toolbar);
+
+        this.paletteElement = document.createElement('div');
+        this.paletteElement.className = 'editor-palette';
+        this.containerElement.appendChild(this.paletteElement);
+        if (this.atlasImage.complete && this.atlasImage.naturalHeight) this.buildPalette();
+
+        this.mapCanvas = document.createElement('canvas');
+        this.mapCanvas.className = 'editor-map';
+        this.mapContext = this.mapCanvas.getContext('2d');
+        this.mapCanvas.addEventListener('mousedown', event => this.handleMouseDown(event));
+        this.mapCanvas.addEventListener('mousemove', event => this.handleMouseMove(event));
+        this.mapCanvas.addEventListener('contextmenu', event => event.preventDefault());
+        this.containerElement.appendChild(this.mapCanvas);
+
+        const fileBar = document.createElement('div');
+        fileBar.className = 'editor-toolbar';
+
+        this.nameInput = document.createElement('input');
+        this.nameInput.type = 'text';
+        this.nameInput.className = 'editor-input';
+        this.nameInput.value = this.levelData.name || 'Untitled';
+        this.nameInput.onchange = () => {
+            const name = this.nameInput.value.trim() || 'Untitled';
+            if (name === this.levelData.name) return;
+            this.pushUndoState();
+            this.levelData.name = name;
+        };
+        fileBar.appendChild(this.nameInput);
+
+        const widthInput = document.createElement('input');
+        widthInput.type = 'number'; widthInput.min = '5'; widthInput.max = '64';
+        widthInput.className = 'editor-input editor-size-input';
+        widthInput.value = String(this.levelData.tiles[0].length);
+        const heightInput = document.createElement('input');
+        heightInput.type = 'number'; heightInput.min = '5'; heightInput.max = '64';
+        heightInput.className = 'editor-input editor-size-input';
+        heightInput.value = String(this.levelData.tiles.length);
+        fileBar.appendChild(widthInput);
+        fileBar.appendChild(heightInput);
+        fileBar.appendChild(this.createButton('New', () => {
+            const width = Math.max(5, Math.min(64, parseInt(widthInput.value, 10) || 15));
+            const height = Math.max(5, Math.min(64, parseInt(heightInput.value, 10) || 10));
+            this.pushUndoState();
+            this.setLevelData(LevelEditor.createBlankLevel(width, height));
+        }));
+
+        fileBar.appendChild(this.createButton('Save', () => this.saveToStorage()));
+        this.savedLevelsSelect = document.createElement('select');
+        this.savedLevelsSelect.className = 'editor-input';
+        fileBar.appendChild(this.savedLevelsSelect);
+        fileBar.appendChild(this.createButton('Load', () => this.loadFromStorage(this.savedLevelsSelect.value)));
+        fileBar.appendChild(this.createButton('Export', () => this.exportToFile()));
+
+        const importInput = document.createElement('input');
+        importInput.type = 'file';
+        importInput.accept = '.json,application/json';
+        importInput.style.display = 'none';
+        importInput.onchange = () => {
+            if (importInput.files && importInput.files[0]) this.importFromFile(importInput.files[0]);
+            importInput.value = '';
+        };
+        fileBar.appendChild(importInput);
+        fileBar.appendChild(this.createButton('Import', () => importInput.click()));
+        fileBar.appendChild(this.createButton('Play (P)', () => this.startPlaytest()));
+        fileBar.appendChild(this.createButton('Menu', () => {
+            this.close();
+            if (typeof initializeMenu === 'function') initializeMenu();
+        }));
+        this.containerElement.appendChild(fileBar);
+
+        this.statusElement = document.createElement('div');
+        this.statusElement.className = 'editor-status';
+        this.containerElement.appendChild(this.statusElement);
+
+        this.refreshSavedLevelList();
+        this.selectTool(this.activeTool);
+    }
+
+    /**
+     * Creates a toolbar button.
+     * @param {string} label - The button text.
+     * @param {Function} onClick - The click handler.
+     * @returns {HTMLButtonElement} The button.
+     */
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'editor-button';
+        button.textContent = label;
+        button.onclick = onClick;
+        return button;
+    }
+
+    /** Builds one palette swatch per wall atlas slot, cut out of `walls.png`. */
+    buildPalette() {
+        if (!this.paletteElement) return;
+        this.paletteElement.innerHTML = '';
+        const slotCount = WALL_ATLAS_ROWS * WALL_ATLAS_COLUMNS;
+
+        for (let slot = 0; slot < slotCount; slot++) {
+            const tileId = slot + 1;
+            const swatch = document.createElement('canvas');
+            swatch.width = WALL_TEXTURE_SIZE;
+            swatch.height = WALL_TEXTURE_SIZE;
+            swatch.className = tileId === this.activeWallTileId ? 'editor-swatch selected' : 'editor-swatch';
+            swatch.title = `Tile ID ${tileId}`;
+
+            const swatchContext = swatch.getContext('2d');
+            if (swatchContext) {
+                const atlasX = Math.floor(slot / WALL_ATLAS_ROWS) * WALL_TEXTURE_SIZE;
+                const atlasY = (slot % WALL_ATLAS_ROWS) * WALL_TEXTURE_SIZE;
+                swatchContext.drawImage(this.atlasImage, atlasX, atlasY, WALL_TEXTURE_SIZE, WALL_TEXTURE_SIZE,
+                    0, 0, WALL_TEXTURE_SIZE, WALL_TEXTURE_SIZE);
+            }
+            swatch.onclick = () => {
+                this.activeWallTileId = tileId;
+                this.selectTool('wall');
+                this.buildPalette();
+            };
+            this.paletteElement.appendChild(swatch);
+        }
+    }
+
+    /**
+     * Makes a tool the active one and highlights its button.
+     * @param {string} toolName - The tool to activate.
+     */
+    selectTool(toolName) {
+        this.activeTool = toolName;
+        Object.keys(this.toolButtons).forEach(name => {
+            this.toolButtons[name].className = name === toolName ? 'editor-button selected' : 'editor-button';
+        });
+    }
+
+    // --- Editing ---
+
+    /**
+     * Replaces the level being edited.
+     * @param {LevelData} levelData - The new level.
+     */
+    setLevelData(levelData) {
+        this.levelData = levelData;
+        if (!this.levelData.playerStarts) this.levelData.playerStarts = {};
+        if (!Array.isArray(this.levelData.enemies)) this.levelData.enemies = [];
+        if (!Array.isArray(this.levelData.pickups)) this.levelData.pickups = [];
+        if (this.isOpen) this.buildUI();
+        this.render();
+    }
+
+    /**
+     * Saves a snapshot of the level before it is modified.
+     * @param {string} [levelSnapshot] - The serialized level to save; defaults to the level as it is now.
+     */
+    pushUndoState(levelSnapshot = JSON.stringify(this.levelData)) {
+        this.undoStack.push(levelSnapshot);
+        if (this.undoStack.length > EDITOR_UNDO_LIMIT) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    /** Reverts the most recent modification. */
+    undo() {
+        if (this.undoStack.length === 0) return;
+        this.redoStack.push(JSON.stringify(this.levelData));
+        this.setLevelData(JSON.parse(this.undoStack.pop()));
+    }
+
+    /** Re-applies the most recently undone modification. */
+    redo() {
+        if (this.redoStack.length === 0) return;
+        this.undoStack.push(JSON.stringify(this.levelData));
+        this.setLevelData(JSON.parse(this.redoStack.pop()));
+    }
+
+    /**
+     * Converts a mouse event position to a tile on the map.
+     * @param {MouseEvent} event - The mouse event.
+     * @returns {{row: number, col: number} | null} The tile under the cursor, or null if outside the map.
+     */
+    getTileFromEvent(event) {
+        const bounds = this.mapCanvas.getBoundingClientRect();
+        const mapWidth = this.levelData.tiles[0].length;
+        const mapHeight = this.levelData.tiles.length;
+        const col = Math.floor((event.clientX - bounds.left) / bounds.width * mapWidth);
+        const row = Math.floor((event.clientY - bounds.top) / bounds.height * mapHeight);
+        if (row < 0 || row >= mapHeight || col < 0 || col >= mapWidth) return null;
+        return { row: row, col: col };
+    }
+
+    /** @param {MouseEvent} event */
+    handleMouseDown(event) {
+        const tile = this.getTileFromEvent(event);
+        if (!tile) return;
+        this.strokeStartState = JSON.stringify(this.levelData);
+        this.isPainting = true;
+        // The right mouse button always erases.
+        this.applyTool(event.button === 2 ? 'erase' : this.activeTool, tile, true);
+        this.recordStrokeChange();
+    }
+
+    /** Ends the stroke, wherever on the page the mouse button is released. */
+    handleMouseUp() {
+        this.isPainting = false;
+    }
+
+    /** @param {MouseEvent} event */
+    handleMouseMove(event) {
+        if (!this.isPainting) return;
+        const tile = this.getTileFromEvent(event);
+        if (!tile) return;
+        const tool = (event.buttons & 2) ? 'erase' : this.activeTool;
+        // Entities are placed one click at a time; only tiles can be painted by dragging.
+        if (tool === 'wall' || tool === 'exit' || tool === 'door' || tool === 'erase') {
+            this.applyTool(tool, tile, false);
+            this.recordStrokeChange();
+        }
+    }
+
+    /**
+     * Saves the level from the start of the stroke for undo once the stroke has changed it, so a whole stroke is undone in one step
+     * and clicks that change nothing leave no undo step behind.
+     */
+    recordStrokeChange() {
+        if (this.strokeStartState === null || JSON.stringify(this.levelData) === this.strokeStartState) return;
+        this.pushUndoState(this.strokeStartState);
+        this.strokeStartState = null;
+    }
+
+    /**
+     * Applies a tool to a tile.
+     * @param {string} tool - The tool to apply.
+     * @param {{row: number, col: number}} tile - The target tile.
+     * @param {boolean} isClick - True on the initial click, false while dragging.
+     */
+    applyTool(tool, tile, isClick) {
+        const { row, col } = tile;
+        const tiles = this.levelData.tiles;
+
+        if (tool === 'wall' || tool === 'exit' || tool === 'door') {
+            const doorTileId = this.activeDoorLock ? LOCKED_DOOR_TILE_IDS[this.activeDoorLock] : DOOR_TILE_ID;
+            tiles[row][col] = tool === 'exit' ? EXIT_TILE_ID : tool === 'door' ? doorTileId : this.activeWallTileId;
+            this.removeEntitiesAt(row, col);
+        } else if (tool === 'erase') {
+            if (this.hasEntityAt(row, col)) {
+                this.removeEntitiesAt(row, col);
+            } else {
+                const mapHeight = tiles.length;
+                const mapWidth = tiles[0].length;
+                const onBorder = row === 0 || col === 0 || row === mapHeight - 1 || col === mapWidth - 1;
+                if (!onBorder) tiles[row][col] = 0;
+            }
+        } else if (isClick && isWalkableTileId(tiles[row][col])) {
+            this.placeEntity(tool, row, col);
+        }
+        this.render();
+    }
+
+    /**
+     * Places the player start, an enemy or a pickup on a floor tile.
+     * Clicking the player start again rotates it by 90 degrees; clicking an existing entity
+     * of the same kind removes it.
+     * @param {string} tool - 'player', 'enemy', 'ammo', 'embers', 'health', 'armor', 'heavyArmor' or a key card such as 'redKey'.
+     * @param {number} row - The tile row.
+     * @param {number} col - The tile column.
+     */
+    placeEntity(tool, row, col) {
+        const levelData = this.levelData;
+        if (tool === 'player') {
+            const startName = levelData.playerStart || 'default';
+            const currentStart = levelData.playerStarts[startName];
+            if (currentStart && currentStart.row === row && currentStart.col === col) {
+                currentStart.angle = normalizeAngle((currentStart.angle || 0) + Math.PI / 2);
+            } else {
+                this.removeEntitiesAt(row, col);
+                levelData.playerStarts[startName] = { row: row, col: col, angle: currentStart ? currentStart.angle || 0 : 0 };
+                levelData.playerStart = startName;
+            }
+            return;
+        }
+
+        if (tool === 'enemy') {
+            const existingEnemy = levelData.enemies.find(enemy => enemy.row === row && enemy.col === col &&
+                (enemy.type || DEFAULT_ENEMY_TYPE) === this.activeEnemyType);
+            this.removeEntitiesAt(row, col);
+            if (!existingEnemy) {
+                const enemy = { row: row, col: col };
+                if (this.activeEnemyType !== DEFAULT_ENEMY_TYPE) enemy.type = this.activeEnemyType;
+                levelData.enemies.push(enemy);
+            }
+            return;
+        }
+
+        const existingPickup = levelData.pickups.find(pickup => pickup.row === row && pickup.col === col && pickup.type === tool);
+        this.removeEntitiesAt(row, col);
+        if (!existingPickup) levelData.pickups.push({ type: tool, row: row, col: col });
+    }
+
+    /**
+     * Checks if any entity is placed on a tile.
+     * @param {number} row - The tile row.
+     * @param {number} col - The tile column.
+     * @returns {boolean} True if the tile holds the player start, an enemy or a pickup.
+     */
+    hasEntityAt(row, col) {
+        const levelData = this.levelData;
+        const isHere = spot => spot.row === row && spot.col === col;
+        return Object.values(levelData.playerStarts).some(isHere) ||
+            levelData.enemies.some(isHere) || levelData.pickups.some(isHere);
+    }
+
+    /**
+     * Removes every enemy and pickup placed on a tile. Player starts are moved, never removed,
+     * so they are left in place.
+     * @param {number} row - The tile row.
+     * @param {number} col - The tile column.
+     */
+    removeEntitiesAt(row, col) {
+        const isElsewhere = spot => spot.row !== row || spot.col !== col;
+        this.levelData.enemies = this.levelData.enemies.filter(isElsewhere);
+        this.levelData.pickups = this.levelData.pickups.filter(isElsewhere);
+    }
+
+    // --- Rendering ---
+
+    /** Redraws the map, grid and entity markers, and refreshes the validation status. */
+    render() {
+        if (!this.mapCanvas || !this.mapContext) return;
+        const levelData = this.levelData;
+        const mapWidth = levelData.tiles[0].length;
+        const mapHeight = levelData.tiles.length;
+
+        this.mapCanvas.width = mapWidth * tileSize;
+        this.mapCanvas.height = mapHeight * tileSize;
+
+        const editorLevel = Level.fromData(this.mapCanvas, this.mapContext, levelData);
+        editorLevel.drawMinimap();
+        this.drawTileIds(editorLevel);
+
+        const context = this.mapContext;
+        context.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        context.lineWidth = 1;
+        for (let col = 0; col <= mapWidth; col++) {
+            context.beginPath(); context.moveTo(col * tileSize, 0); context.lineTo(col * tileSize, mapHeight * tileSize); context.stroke();
+        }
+        for (let row = 0; row <= mapHeight; row++) {
+            context.beginPath(); context.moveTo(0, row * tileSize); context.lineTo(mapWidth * tileSize, row * tileSize); context.stroke();
+        }
+
+        levelData.pickups.forEach(pickup => {
+            const keyColor = getPickupKeyColor(pickup.type);
+            context.fillStyle = keyColor ? rgbToCss(KEY_CARD_COLORS[keyColor]) : EDITOR_ENTITY_COLORS[pickup.type] || 'white';
+            context.fillRect(pickup.col * tileSize + tileSize * 0.3, pickup.row * tileSize + tileSize * 0.3, tileSize * 0.4, tileSize * 0.4);
+        });
+        levelData.enemies.forEach(enemy => {
+            const definition = ENEMY_DEFINITIONS[enemy.type || DEFAULT_ENEMY_TYPE];
+            context.fillStyle = definition && enemy.type ? definition.mapColor : EDITOR_ENTITY_COLORS.enemy;
+            context.beginPath();
+            const markerRadius = definition && definition.isBoss ? tileSize * 0.45 : tileSize / 3;
+            context.arc(enemy.col * tileSize + tileSize / 2, enemy.row * tileSize + tileSize / 2, markerRadius, 0, 2 * Math.PI);
+            context.fill();
+        });
+        Object.values(levelData.playerStarts).forEach(start => {
+            const centerX = start.col * tileSize + tileSize / 2;
+            const centerY = start.row * tileSize + tileSize / 2;
+            context.fillStyle = '#FFFFFF';
+            context.beginPath();
+            context.arc(centerX, centerY, tileSize / 4, 0, 2 * Math.PI);
+            context.fill();
+            context.strokeStyle = '#FFFFFF';
+            context.lineWidth = 3;
+            context.beginPath();
+            context.moveTo(centerX, centerY);
+            context.lineTo(centerX + Math.cos(start.angle || 0) * tileSize / 2, centerY + Math.sin(start.angle || 0) * tileSize / 2);
+            context.stroke();
+            context.lineWidth = 1;
+        });
+
+        this.updateStatus();
+    }
+
+    /**
+     * Labels every wall tile with its tile ID, so different textures can be told apart on the map.
+     * @param {Level} editorLevel - The level drawn on the editor canvas.
+     */
+    drawTileIds(editorLevel) {
+        const context = this.mapContext;
+        context.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        context.font = `${Math.floor(tileSize / 3)}px monospace`;
+        context.textAlign = 'center';
+        for (let row = 0; row < editorLevel.mapHeight; row++) {
+            for (let col = 0; col < editorLevel.mapWidth; col++) {
+                const tileId = editorLevel.mapData[row][col];
+                if (tileId !== 0 && tileId !== EXIT_TILE_ID && !isDoorTileId(tileId)) {
+                    context.fillText(String(tileId), col * tileSize + tileSize / 2, row * tileSize + tileSize * 0.62);
+                }
+            }
+        }
+    }
+
+    /**
+     * Shows the validation problems of the level, or an optional message.
+     * @param {string} [message] - A message to show above the validation result.
+     */
+    updateStatus(message) {
+        if (!this.statusElement) return;
+        const problems = validateLevelData(this.levelData);
+        const lines = [];
+        if (message) lines.push(message);
+        if (problems.length === 0) {
+            lines.push('Level is valid.');
+        } else {
+            lines.push(`${problems.length} problem(s):`);
+            problems.forEach(problem => lines.push(formatLevelProblem(problem)));
+        }
+        this.statusElement.textContent = lines.join('\n');
+    }
+
+    // --- Saving and Loading ---
+
+    /**
+     * Reads the levels saved in localStorage.
+     * @returns {Object<string, LevelData>} The saved levels, keyed by name.
+     */
+    readSavedLevels() {
+        try {
+            return JSON.parse(localStorage.getItem(EDITOR_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn("EDITOR: Could not read saved levels.", error.name);
+            return {};
+        }
+    }
+
+    /** Fills the saved-level dropdown from localStorage. */
+    refreshSavedLevelList() {
+        if (!this.savedLevelsSelect) return;
+        this.savedLevelsSelect.innerHTML = '';
+        Object.keys(this.readSavedLevels()).forEach(levelName => {
+            const option = document.createElement('option');
+            option.value = levelName;
+            option.textContent = levelName;
+            this.savedLevelsSelect.appendChild(option);
+        });
+    }
+
+    /** Saves the level to localStorage under its name. */
+    saveToStorage() {
+        const savedLevels = this.readSavedLevels();
+        savedLevels[this.levelData.name || 'Untitled'] = this.levelData;
+        try {
+            localStorage.setItem(EDITOR_STORAGE_KEY, JSON.stringify(savedLevels));
+            this.refreshSavedLevelList();
+            this.updateStatus(`Saved "${this.levelData.name}".`);
+        } catch (error) {
+            this.updateStatus(`Could not save: ${error.message}`);
+        }
+    }
+
+    /**
+     * Loads a level previously saved to localStorage.
+     * @param {string} levelName - The name the level was saved under.
+     */
+    loadFromStorage(levelName) {
+        const savedLevel = this.readSavedLevels()[levelName];
+        if (!savedLevel) return;
+        this.pushUndoState();
+        this.setLevelData(JSON.parse(JSON.stringify(savedLevel)));
+        this.updateStatus(`Loaded "${levelName}".`);
+    }
+
+    /** Downloads the level as a JSON file. */
+    exportToFile() {
+        const levelJson = JSON.stringify(this.levelData, null, 2);
+        const fileUrl = URL.createObjectURL(new Blob([levelJson], { type: 'application/json' }));
+        const downloadLink = document.createElement('a');
+        downloadLink.href = fileUrl;
+        downloadLink.download = `${(this.levelData.name || 'level').replace(/[^a-z0-9_-]+/gi, '_')}.json`;
+        downloadLink.click();
+        URL.revokeObjectURL(fileUrl);
+    }
+
+    /**
+     * Loads a level from a JSON file chosen by the user. Invalid files are rejected with their problems listed.
+     * @param {File} levelFile - The file to read.
+     */
+    importFromFile(levelFile) {
+        const reader = new FileReader();
+        reader.onload = loadEvent => {
+            try {
+                const levelData = parseLevelJSON(loadEvent.target.result);
+                this.pushUndoState();
+                this.setLevelData(levelData);
+                this.updateStatus(`Imported "${levelData.name || levelFile.name}".`);
+            } catch (error) {
+                if (this.statusElement) this.statusElement.textContent = `Could not import ${levelFile.name}:\n${error.message}`;
+            }
+        };
+        reader.readAsText(levelFile);
+    }
+
+    // --- Play-testing ---
+
+    /** Starts the level in the raycaster, if it is valid. */
+    startPlaytest() {
+        const problems = validateLevelData(this.levelData);
+        if (problems.length > 0) {
+            this.updateStatus('Fix these problems before play-testing.');
+            return;
+        }
+        this.isPlaytesting = true;
+        this.close();
+        const gameContainer = document.getElementById('game-container');
+        if (gameContainer) gameContainer.style.display = 'block';
+        initializeGame(JSON.parse(JSON.stringify(this.levelData)));
+    }
+
+    /**
+     * Returns from a play-test to the editor. Called by `leaveGame()`.
+     * @param {string} [noticeText] - A message to show in the status, e.g. why the play-test had to stop.
+     */
+    stopPlaytest(noticeText) {
+        this.isPlaytesting = false;
+        const gameContainer = document.getElementById('game-container');
+        if (gameContainer) gameContainer.style.display = 'none';
+        this.open();
+        if (noticeText) this.updateStatus(noticeText);
+    }
+
+    /**
+     * Handles editor shortcuts: P toggles the play-test, Ctrl+Z undoes and Ctrl+Y or Ctrl+Shift+Z redoes.
+     * @param {KeyboardEvent} event - The keyboard event.
+     */
+    handleKeyDown(event) {
+        if (event.target && (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT')) return;
+
+        if (event.keyCode === 80) { // P
+            if (this.isPlaytesting) {
+                leaveGame();
+            } else if (this.isOpen) {
+                this.startPlaytest();
+            }
+            return;
+        }
+        if (!this.isOpen || !(event.ctrlKey || event.metaKey)) return;
+        if (event.keyCode === 90 && !event.shiftKey) { // Z
+            event.preventDefault();
+            this.undo();
+        } else if (event.keyCode === 89 || (event.keyCode === 90 && event.shiftKey)) { // Y or Shift+Z
+            event.preventDefault();
+            this.redo();
+        }
+    }
+}
+
+/** @type {LevelEditor | null} The editor instance, created the first time the editor is opened. */
+var activeLevelEditor = null;
+
+/** Hides the menu and opens the level editor. */
+function openLevelEditor() {
+    const menuContainer = document.getElementById('menu-container');
+    const editorContainer = document.getElementById('editor-container');
+    if (!editorContainer) {
+        console.error("EDITOR_ERROR: editor-container element not found!");
+        return;
+    }
+    if (menuContainer) menuContainer.style.display = 'none';
+    if (!activeLevelEditor) activeLevelEditor = new LevelEditor(editorContainer);
+    activeLevelEditor.open();
+}
@@ -0,0 +1,397 @@
+// js/levelFormat.js
+
+/**
+ * @fileoverview Defines the versioned JSON level format, its validator and its loader.
+ * A level file holds the tile grid together with named player starts, fixed enemy and pickup
+ * placements, the texture mapping, the floor and ceiling layers, the ambient light and the music track.
+ * Requires the wall atlas constants from config.js and `ENEMY_DEFINITIONS` (from enemyTypes.js).
+ */
+
+/**
+ * @typedef {Object} LevelSpawnPoint
+ * @property {number} row - The tile row.
+ * @property {number} col - The tile column.
+ * @property {number} [angle=0] - The facing angle in radians (player starts only).
+ * @property {string} [type] - The enemy type, a key of `ENEMY_DEFINITIONS` (enemies only). Defaults to `DEFAULT_ENEMY_TYPE`.
+ */
+
+/**
+ * @typedef {Object} LevelPickupPlacement
+ * @property {string} type - One of `LEVEL_PICKUP_TYPES`.
+ * @property {number} row - The tile row.
+ * @property {number} col - The tile column.
+ */
+
+/**
+ * @typedef {Object} LevelData
+ * @property {number} version - The format version, currently `LEVEL_FORMAT_VERSION`.
+ * @property {string} [name] - The display name of the level.
+ * @property {number[][]} tiles - The tile grid. 0 is floor, `EXIT_TILE_ID` is the level exit, `DOOR_TILE_ID` is a door,
+ * the IDs in `LOCKED_DOOR_TILE_IDS` are doors locked with a key card, and any other ID is a wall.
+ * @property {Object<string, number>} [textures] - Maps tile IDs to 0-based wall atlas slots.
+ * @property {number[][]} [floor] - The wall atlas slot of each tile's floor, or `NO_SURFACE_TEXTURE`. Same size as `tiles`; defaults to `DEFAULT_FLOOR_TEXTURE_INDEX` everywhere.
+ * @property {number[][]} [ceiling] - The wall atlas slot of each tile's ceiling, or `NO_SURFACE_TEXTURE`. Same size as `tiles`; defaults to `DEFAULT_CEILING_TEXTURE_INDEX` everywhere.
+ * @property {number} [ambientLight] - Ambient light level between 0 and 1.
+ * @property {string} [music] - Path of the music track for this level.
+ * @property {Object<string, LevelSpawnPoint>} [playerStarts] - Named player start positions.
+ * @property {string} [playerStart] - The name of the player start used by default.
+ * @property {LevelSpawnPoint[]} [enemies] - Fixed enemy placements. Random placement is used when omitted.
+ * @property {LevelPickupPlacement[]} [pickups] - Fixed pickup placements. Random placement is used when omitted.
+ * @property {{requireAllKills: boolean}} [completion] - Extra conditions for using the exit.
+ */
+
+/**
+ * @typedef {Object} LevelProblem
+ * @property {string} message - A human readable description of the problem.
+ * @property {number} [row] - The tile row the problem refers to, if any.
+ * @property {number} [col] - The tile column the problem refers to, if any.
+ */
+
+/** @type {number} The level format version written and understood by this build. */
+const LEVEL_FORMAT_VERSION = 1;
+
+/** @type {string[]} Pickup types that can be placed from level data. Key cards are `<colour>Key`, e.g. 'redKey'. */
+const LEVEL_PICKUP_TYPES = ['ammo', 'embers', 'health', 'armor', 'heavyArmor'].concat(Object.keys(KEY_CARD_COLORS).map(keyColor => `${keyColor}Key`));
+
+/**
+ * Error thrown when level data fails validation.
+ * @class LevelValidationError
+ * @extends Error
+ */
+class LevelValidationError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {LevelProblem[]} problems - The problems reported by `validateLevelData()`.
+     */
+    constructor(message, problems) {
+        super(message);
+        this.name = 'LevelValidationError';
+        /** @type {LevelProblem[]} */
+        this.problems = problems;
+    }
+}
+
+/**
+ * Checks whether actors can stand on a tile ID.
+ * @param {number} tileId - The tile ID.
+ * @returns {boolean} True if the tile is walkable.
+ */
+function isWalkableTileId(tileId) {
+    return tileId === 0;
+}
+
+/**
+ * Checks whether a tile ID is a door, locked or not.
+ * @param {number} tileId - The tile ID.
+ * @returns {boolean} True if the tile is a door.
+ */
+function isDoorTileId(tileId) {
+    return tileId === DOOR_TILE_ID || getDoorKeyColor(tileId) !== null;
+}
+
+/**
+ * Gets the key card a door tile ID is locked with.
+ * @param {number} tileId - The tile ID.
+ * @returns {string | null} The key colour, e.g. 'red', or null if the tile is not a locked door.
+ */
+function getDoorKeyColor(tileId) {
+    return Object.keys(LOCKED_DOOR_TILE_IDS).find(keyColor => LOCKED_DOOR_TILE_IDS[keyColor] === tileId) || null;
+}
+
+/**
+ * Gets the key card a pickup type gives.
+ * @param {string} pickupType - The pickup type, e.g. 'redKey'.
+ * @returns {string | null} The key colour, e.g. 'red', or null if the pickup is not a key card.
+ */
+function getPickupKeyColor(pickupType) {
+    return Object.keys(KEY_CARD_COLORS).find(keyColor => pickupType === `${keyColor}Key`) || null;
+}
+
+/**
+ * Checks whether actors can get through a tile ID: floor, or a door. Locked doors count as passable;
+ * validation checks separately that their key is in the level.
+ * @param {number} tileId - The tile ID.
+ * @returns {boolean} True if the tile is passable.
+ */
+function isPassableTileId(tileId) {
+    return isWalkableTileId(tileId) || isDoorTileId(tileId);
+}
+
+/**
+ * Wraps a bare tile grid into level data. Level data is returned unchanged.
+ * @param {LevelData | number[][]} levelSource - Level data or a bare tile grid.
+ * @returns {LevelData} The level data.
+ */
+function normalizeLevelData(levelSource) {
+    if (Array.isArray(levelSource)) {
+        return { version: LEVEL_FORMAT_VERSION, tiles: levelSource };
+    }
+    return levelSource;
+}
+
+/**
+ * Formats a problem as a single line, e.g. "Row 3, column 7: Unknown tile ID 5".
+ * @param {LevelProblem} problem - The problem to format.
+ * @returns {string} The formatted problem.
+ */
+function formatLevelProblem(problem) {
+    if (typeof problem.row === 'number' && typeof problem.col === 'number') {
+        return `Row ${problem.row}, column ${problem.col}: ${problem.message}`;
+    }
+    return problem.message;
+}
+
+/**
+ * Validates level data against the level format.
+ * Reports unsupported versions, malformed grids and floor or ceiling layers, unknown tile IDs and atlas slots, open borders,
+ * texture mappings for the door and exit tile IDs, doors without walls on two opposite sides,
+ * locked doors whose key card is not placed in the level, spawn points placed out of bounds or inside walls,
+ * and spawn points unreachable from the player start.
+ * A key card only has to be placed somewhere; a key locked behind its own door is not detected.
+ * @param {LevelData} levelData - The level data to validate.
+ * @returns {LevelProblem[]} The problems found. An empty array means the data is valid.
+ */
+function validateLevelData(levelData) {
+    const problems = [];
+
+    if (!levelData || typeof levelData !== 'object') {
+        problems.push({ message: 'Level data must be an object.' });
+        return problems;
+    }
+    if (levelData.version !== LEVEL_FORMAT_VERSION) {
+        problems.push({ message: `Unsupported level format version ${levelData.version} (expected ${LEVEL_FORMAT_VERSION}).` });
+    }
+
+    const tiles = levelData.tiles;
+    if (!Array.isArray(tiles) || tiles.length === 0 || !Array.isArray(tiles[0]) || tiles[0].length === 0) {
+        problems.push({ message: 'Level data must have a non-empty "tiles" grid.' });
+        return problems;
+    }
+
+    const mapHeight = tiles.length;
+    const mapWidth = tiles[0].length;
+    for (let row = 0; row < mapHeight; row++) {
+        if (!Array.isArray(tiles[row]) || tiles[row].length !== mapWidth) {
+            problems.push({ message: `Row has ${Array.isArray(tiles[row]) ? tiles[row].length : 0} tiles, expected ${mapWidth}.`, row: row, col: 0 });
+        }
+    }
+    if (problems.length > 0) return problems;
+
+    const atlasSlotCount = WALL_ATLAS_ROWS * WALL_ATLAS_COLUMNS;
+    const textureMap = levelData.textures || {};
+    Object.keys(textureMap).forEach(tileId => {
+        const slot = textureMap[tileId];
+        if (Number(tileId) === EXIT_TILE_ID || isDoorTileId(Number(tileId))) {
+            problems.push({ message: `Texture mapping for tile ID ${tileId} is not allowed: that ID is reserved for doors and the exit.` });
+        }
+        if (!Number.isInteger(slot) || slot < 0 || slot >= atlasSlotCount) {
+            problems.push({ message: `Texture mapping for tile ID ${tileId} points to atlas slot ${slot}, which does not exist.` });
+        }
+    });
+
+    const isKnownTileId = tileId => {
+        if (!Number.isInteger(tileId)) return false;
+        if (tileId === 0 || tileId === EXIT_TILE_ID || isDoorTileId(tileId)) return true;
+        if (Object.prototype.hasOwnProperty.call(textureMap, tileId)) return true;
+        return tileId >= 1 && tileId <= atlasSlotCount;
+    };
+
+    const isWallTile = (row, col) => !isPassableTileId(tiles[row][col]);
+    const isDoorFramed = (row, col) =>
+        (isWallTile(row, col - 1) && isWallTile(row, col + 1)) || (isWallTile(row - 1, col) && isWallTile(row + 1, col));
+
+    for (let row = 0; row < mapHeight; row++) {
+        for (let col = 0; col < mapWidth; col++) {
+            const tileId = tiles[row][col];
+            if (!isKnownTileId(tileId)) {
+                problems.push({ message: `Unknown tile ID ${tileId}.`, row: row, col: col });
+                continue;
+            }
+            const onBorder = row === 0 || col === 0 || row === mapHeight - 1 || col === mapWidth - 1;
+            if (onBorder && isPassableTileId(tileId)) {
+                problems.push({ message: 'Border is not closed.', row: row, col: col });
+            } else if (isDoorTileId(tileId) && !isDoorFramed(row, col)) {
+                problems.push({ message: 'Door needs walls on two opposite sides.', row: row, col: col });
+            }
+        }
+    }
+
+    const checkSurfaceLayer = (layerName) => {
+        const layer = levelData[layerName];
+        if (typeof layer === 'undefined') return;
+        if (!Array.isArray(layer) || layer.length !== mapHeight || layer.some(row => !Array.isArray(row) || row.length !== mapWidth)) {
+            problems.push({ message: `"${layerName}" must be a grid of the same size as "tiles" (${mapWidth} x ${mapHeight}).` });
+            return;
+        }
+        for (let row = 0; row < mapHeight; row++) {
+            for (let col = 0; col < mapWidth; col++) {
+                const slot = layer[row][col];
+                if (!Number.isInteger(slot) || slot < NO_SURFACE_TEXTURE || slot >= atlasSlotCount) {
+                    problems.push({ message: `${layerName === 'floor' ? 'Floor' : 'Ceiling'} texture ${slot} is not a wall atlas slot.`, row: row, col: col });
+                }
+            }
+        }
+    };
+    checkSurfaceLayer('floor');
+    checkSurfaceLayer('ceiling');
+
+    if (typeof levelData.ambientLight !== 'undefined' &&
+        (typeof levelData.ambientLight !== 'number' || levelData.ambientLight < 0 || levelData.ambientLight > 1)) {
+        problems.push({ message: 'Ambient light must be a number between 0 and 1.' });
+    }
+    if (typeof levelData.music !== 'undefined' && typeof levelData.music !== 'string') {
+        problems.push({ message: 'Music must be a path to an audio file.' });
+    }
+    if (typeof levelData.completion !== 'undefined' &&
+        (!levelData.completion || typeof levelData.completion.requireAllKills !== 'boolean')) {
+        problems.push({ message: '"completion" must be an object with a boolean "requireAllKills".' });
+    }
+
+    const spawnPoints = [];
+    const checkSpawnPoint = (spawnPoint, label) => {
+        if (!spawnPoint || !Number.isInteger(spawnPoint.row) || !Number.isInteger(spawnPoint.col)) {
+            problems.push({ message: `${label} needs integer "row" and "col".` });
+            return;
+        }
+        const { row, col } = spawnPoint;
+        if (row < 0 || row >= mapHeight || col < 0 || col >= mapWidth) {
+            problems.push({ message: `${label} is outside the map.`, row: row, col: col });
+            return;
+        }
+        if (!isWalkableTileId(tiles[row][col])) {
+            problems.push({ message: `${label} is inside a wall.`, row: row, col: col });
+            return;
+        }
+        spawnPoints.push({ label: label, row: row, col: col });
+    };
+
+    const playerStarts = levelData.playerStarts || {};
+    const playerStartNames = Object.keys(playerStarts);
+    playerStartNames.forEach(startName => checkSpawnPoint(playerStarts[startName], `Player start "${startName}"`));
+    if (typeof levelData.playerStart !== 'undefined' && !playerStarts[levelData.playerStart]) {
+        problems.push({ message: `Default player start "${levelData.playerStart}" is not defined in "playerStarts".` });
+    }
+
+    if (typeof levelData.enemies !== 'undefined' && !Array.isArray(levelData.enemies)) {
+        problems.push({ message: '"enemies" must be an array.' });
+    } else if (levelData.enemies) {
+        levelData.enemies.forEach((enemy, index) => {
+            if (enemy && typeof enemy.type !== 'undefined' && !Object.prototype.hasOwnProperty.call(ENEMY_DEFINITIONS, enemy.type)) {
+                problems.push({ message: `Enemy #${index + 1} has unknown type "${enemy.type}".`, row: enemy.row, col: enemy.col });
+                return;
+            }
+            checkSpawnPoint(enemy, `Enemy #${index + 1}`);
+        });
+    }
+
+    if (typeof levelData.pickups !== 'undefined' && !Array.isArray(levelData.pickups)) {
+        problems.push({ message: '"pickups" must be an array.' });
+    } else if (levelData.pickups) {
+        levelData.pickups.forEach((pickup, index) => {
+            if (!pickup || !LEVEL_PICKUP_TYPES.includes(pickup.type)) {
+                problems.push({ message: `Pickup #${index + 1} has unknown type "${pickup && pickup.type}".`, row: pickup && pickup.row, col: pickup && pickup.col });
+                return;
+            }
+            checkSpawnPoint(pickup, `Pickup #${index + 1} (${pickup.type})`);
+        });
+    }
+
+    const placedKeyColors = (Array.isArray(levelData.pickups) ? levelData.pickups : [])
+        .map(pickup => (pickup ? getPickupKeyColor(pickup.type) : null))
+        .filter(keyColor => keyColor !== null);
+    for (let row = 0; row < mapHeight; row++) {
+        for (let col = 0; col < mapWidth; col++) {
+            const keyColor = getDoorKeyColor(tiles[row][col]);
+            if (keyColor && !placedKeyColors.includes(keyColor)) {
+                problems.push({ message: `Door needs the ${keyColor} key, which is not placed in the level.`, row: row, col: col });
+            }
+        }
+    }
+
+    const defaultStartName = levelData.playerStart || playerStartNames[0];
+    const defaultStart = defaultStartName ? playerStarts[defaultStartName] : null;
+    const startIsUsable = defaultStart && spawnPoints.some(spot => spot.row === defaultStart.row && spot.col === defaultStart.col);
+    if (startIsUsable) {
+        const reachable = findReachableTiles(tiles, defaultStart.row, defaultStart.col);
+        spawnPoints.forEach(spot => {
+            if (!reachable[spot.row][spot.col]) {
+                problems.push({ message: `${spot.label} cannot be reached from the player start.`, row: spot.row, col: spot.col });
+            }
+        });
+
+        for (let row = 0; row < mapHeight; row++) {
+            for (let col = 0; col < mapWidth; col++) {
+                if (tiles[row][col] !== EXIT_TILE_ID) continue;
+                const touchable = [[row - 1, col], [row + 1, col], [row, col - 1], [row, col + 1]]
+                    .some(([r, c]) => r >= 0 && r < mapHeight && c >= 0 && c < mapWidth && reachable[r][c]);
+                if (!touchable) {
+                    problems.push({ message: 'Exit cannot be reached from the player start.', row: row, col: col });
+                }
+            }
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Flood-fills the passable tiles reachable from a start tile, moving in the four grid directions. Doors are passed through.
+ * @param {number[][]} tiles - The tile grid.
+ * @param {number} startRow - The row to start from.
+ * @param {number} startCol - The column to start from.
+ * @returns {boolean[][]} A grid of the same size, true where a tile can be reached.
+ */
+function findReachableTiles(tiles, startRow, startCol) {
+    const reachable = tiles.map(row => row.map(() => false));
+    const pending = [{ row: startRow, col: startCol }];
+    reachable[startRow][startCol] = true;
+
+    while (pending.length > 0) {
+        const { row, col } = pending.pop();
+        const neighbours = [
+            { row: row - 1, col: col }, { row: row + 1, col: col },
+            { row: row, col: col - 1 }, { row: row, col: col + 1 }
+        ];
+        for (const next of neighbours) {
+            if (next.row < 0 || next.row >= tiles.length || next.col < 0 || next.col >= tiles[next.row].length) continue;
+            if (reachable[next.row][next.col] || !isPassableTileId(tiles[next.row][next.col])) continue;
+            reachable[next.row][next.col] = true;
+            pending.push(next);
+        }
+    }
+    return reachable;
+}
+
+/**
+ * Parses and validates the text of a level file.
+ * @param {string} levelText - The JSON text.
+ * @returns {LevelData} The validated level data.
+ * @throws {LevelValidationError} If the text is not valid JSON or the data is not a valid level.
+ */
+function parseLevelJSON(levelText) {
+    let levelData;
+    try {
+        levelData = JSON.parse(levelText);
+    } catch (error) {
+        throw new LevelValidationError(`Level file is not valid JSON: ${error.message}`, [{ message: error.message }]);
+    }
+    const problems = validateLevelData(levelData);
+    if (problems.length > 0) {
+        throw new LevelValidationError(`Level "${(levelData && levelData.name) || 'Untitled'}" is invalid:\n${problems.map(formatLevelProblem).join('\n')}`, problems);
+    }
+    return levelData;
+}
+
+/**
+ * Fetches, parses and validates a level file.
+ * @param {string} levelUrl - The URL of the JSON level file.
+ * @returns {Promise<LevelData>} Resolves with the validated level data.
+ */
+function loadLevelData(levelUrl) {
+    return fetch(levelUrl).then(response => {
+        if (!response.ok) {
+            throw new Error(`Failed to load level ${levelUrl}: HTTP ${response.status}`);
+        }
+        return response.text();
+    }).then(parseLevelJSON);
+}
@@ -0,0 +1,82 @@
+// js/levels.js
+
+/**
+ * @fileoverview Catalog of the playable levels and their locked/unlocked state.
+ * The levels themselves are JSON files in the levels/ directory; the catalog lists them in play order.
+ * The unlocked state is persisted in localStorage so progress survives a page reload.
+ * Loaded after levelFormat.js and before raycasting.js and menu.js, which both read from `LEVEL_CATALOG`.
+ */
+
+/**
+ * @typedef {Object} LevelCatalogEntry
+ * @property {string} id - A stable id, used as the unlock key.
+ * @property {string} file - The JSON level file (see levelFormat.js), loaded with `Level.load()` when the level is played.
+ */
+
+/**
+ * All levels in play order. The first entry is always unlocked.
+ * @type {LevelCatalogEntry[]}
+ */
+const LEVEL_CATALOG = [
+    { id: 'crypt', file: 'levels/crypt.json' },
+    { id: 'catacombs', file: 'levels/catacombs.json' },
+    { id: 'sanctum', file: 'levels/sanctum.json' }
+];
+
+/** @type {string} localStorage key holding the JSON array of unlocked level ids. */
+const UNLOCKED_LEVELS_STORAGE_KEY = 'damonenheil.unlockedLevels';
+
+/**
+ * Reads the list of unlocked level ids from localStorage.
+ * The first level of the catalog is always included.
+ * @returns {string[]} The unlocked level ids.
+ */
+function getUnlockedLevelIds() {
+    let unlockedIds = [];
+    try {
+        const storedValue = localStorage.getItem(UNLOCKED_LEVELS_STORAGE_KEY);
+        if (storedValue) {
+            const parsedValue = JSON.parse(storedValue);
+            if (Array.isArray(parsedValue)) unlockedIds = parsedValue;
+        }
+    } catch (error) {
+        console.warn("LEVELS: Could not read unlocked levels from storage.", error.name);
+    }
+    if (LEVEL_CATALOG.length > 0 && !unlockedIds.includes(LEVEL_CATALOG[0].id)) {
+        unlockedIds.unshift(LEVEL_CATALOG[0].id);
+    }
+    return unlockedIds;
+}
+
+/**
+ * Checks whether a level can be selected from the level browser.
+ * @param {string} levelId - The id of the level.
+ * @returns {boolean} True if the level is unlocked.
+ */
+function isLevelUnlocked(levelId) {
+    return getUnlockedLevelIds().includes(levelId);
+}
+
+/**
+ * Marks a level as unlocked and persists the change.
+ * @param {string} levelId - The id of the level to unlock.
+ */
+function unlockLevel(levelId) {
+    const unlockedIds = getUnlockedLevelIds();
+    if (unlockedIds.includes(levelId)) return;
+    unlockedIds.push(levelId);
+    try {
+        localStorage.setItem(UNLOCKED_LEVELS_STORAGE_KEY, JSON.stringify(unlockedIds));
+    } catch (error) {
+        console.warn("LEVELS: Could not persist unlocked levels.", error.name);
+    }
+}
+
+/**
+ * Looks up a catalog level by id.
+ * @param {string} levelId - The id of the level.
+ * @returns {LevelCatalogEntry | undefined} The matching catalog entry, if any.
+ */
+function getCatalogLevel(levelId) {
+    return LEVEL_CATALOG.find(levelEntry => levelEntry.id === levelId);
+}
@@ -14,8 +14,9 @@ let menuMusicAttemptedToPlay = false;
 /**
  * Initializes and displays the main menu.
  * Sets up menu buttons and handles menu music playback.
+ * @param {string} [noticeText] - A message to show below the buttons, e.g. why the game had to stop.
  */
-function initializeMenu() {
+function initializeMenu(noticeText) {
     const menuContainer = document.getElementById('menu-container');
     const gameCanvas = document.getElementById('canvas');
     const gameContainer = document.getElementById('game-container');
@@ -83,30 +84,12 @@ function initializeMenu() {
     const menuButtons = [
         {
             text: 'Start',
-            action: () => {
-                if (menuAudio && !menuAudio.paused) {
-                    menuAudio.pause();
-                    menuAudio.currentTime = 0;
-                }
-                if (gameAudio && !gameAudio.paused) {
-                    gameAudio.pause();
-                    gameAudio.currentTime = 0;
-                }
-
-                if (menuContainer) menuContainer.style.display = 'none';
-                if (gameContainer) gameContainer.style.display = 'block';
-
-                if (typeof initializeGame === 'function') {
-                    initializeGame();
-                } else {
-                    console.error("MENU_ERROR: Game initialization function 'initializeGame' not found!");
-                }
-            },
+            action: () => startGameWithLevel(LEVEL_CATALOG[0]),
             imageSrc: 'img/button_start.png'
         },
         {
             text: 'Levels',
-            action: () => alert("Feature not yet available."),
+            action: () => showLevelSelect(),
             imageSrc: 'img/button_levels.png'
         }
     ];
@@ -122,6 +105,127 @@ function initializeMenu() {
 
     menuContainer.appendChild(coverImageElement);
     menuContainer.appendChild(menuDiv);
+
+    if (noticeText) {
+        const noticeElement = document.createElement('div');
+        noticeElement.className = 'menu-notice';
+        noticeElement.textContent = noticeText;
+        menuContainer.appendChild(noticeElement);
+    }
+
+    const editorButton = document.createElement('button');
+    editorButton.className = 'menu-text-button';
+    editorButton.textContent = 'Map Editor';
+    editorButton.onclick = () => openLevelEditor();
+    menuContainer.appendChild(editorButton);
+}
+
+/**
+ * Stops the menu music, switches from the menu to the game container and starts the given level.
+ * @param {LevelCatalogEntry} levelEntry - The level to play (see levels.js).
+ */
+function startGameWithLevel(levelEntry) {
+    const menuContainer = document.getElementById('menu-container');
+    const gameContainer = document.getElementById('game-container');
+    const menuAudio = document.getElementById('menuMusic');
+    const gameAudio = document.getElementById('inGameMusic');
+
+    if (menuAudio && !menuAudio.paused) {
+        menuAudio.pause();
+        menuAudio.currentTime = 0;
+    }
+    if (gameAudio && !gameAudio.paused) {
+        gameAudio.pause();
+        gameAudio.currentTime = 0;
+    }
+
+    if (menuContainer) menuContainer.style.display = 'none';
+    if (gameContainer) gameContainer.style.display = 'block';
+
+    if (typeof initializeGame === 'function') {
+        const catalogIndex = LEVEL_CATALOG.indexOf(levelEntry);
+        initializeGame(levelEntry, catalogIndex >= 0 ? new Campaign(LEVEL_CATALOG, catalogIndex) : undefined);
+    } else {
+        console.error("MENU_ERROR: Game initialization function 'initializeGame' not found!");
+    }
+}
+
+/**
+ * Loads a level file for the level browser and draws its thumbnail using `Level.drawMinimap()` on an offscreen canvas.
+ * The canvas is drawn at full tile resolution and scaled down through CSS.
+ * @param {LevelCatalogEntry} levelEntry - The level to draw.
+ * @param {HTMLCanvasElement} thumbnailCanvas - The canvas to draw on; it is sized to the level.
+ * @returns {Promise<Level>} Resolves with the loaded level once the thumbnail is drawn.
+ */
+function drawLevelThumbnail(levelEntry, thumbnailCanvas) {
+    return Level.load(thumbnailCanvas, thumbnailCanvas.getContext('2d'), levelEntry.file).then(thumbnailLevel => {
+        thumbnailCanvas.width = thumbnailLevel.mapWidth * tileSize;
+        thumbnailCanvas.height = thumbnailLevel.mapHeight * tileSize;
+        thumbnailLevel.drawMinimap();
+        return thumbnailLevel;
+    });
+}
+
+/**
+ * Replaces the main menu with the level browser.
+ * Each entry shows the level name, size, a minimap thumbnail and whether it is locked.
+ * Clicking an unlocked entry starts that level.
+ */
+function showLevelSelect() {
+    const menuContainer = document.getElementById('menu-container');
+    if (!menuContainer) return;
+
+    menuContainer.innerHTML = '';
+
+    const titleElement = document.createElement('h2');
+    titleElement.className = 'level-select-title';
+    titleElement.textContent = 'Select Level';
+    menuContainer.appendChild(titleElement);
+
+    const levelListElement = document.createElement('div');
+    levelListElement.className = 'level-select';
+
+    LEVEL_CATALOG.forEach(levelEntry => {
+        const unlocked = isLevelUnlocked(levelEntry.id);
+
+        const levelCard = document.createElement('div');
+        levelCard.className = unlocked ? 'level-card' : 'level-card locked';
+
+        const thumbnailCanvas = document.createElement('canvas');
+        thumbnailCanvas.className = 'level-thumbnail';
+        levelCard.appendChild(thumbnailCanvas);
+
+        const nameElement = document.createElement('div');
+        nameElement.className = 'level-card-name';
+        nameElement.textContent = levelEntry.id;
+        levelCard.appendChild(nameElement);
+
+        const detailsElement = document.createElement('div');
+        detailsElement.className = 'level-card-details';
+        detailsElement.textContent = 'Loading...';
+        levelCard.appendChild(detailsElement);
+
+        drawLevelThumbnail(levelEntry, thumbnailCanvas).then(thumbnailLevel => {
+            nameElement.textContent = thumbnailLevel.name;
+            const sizeText = `${thumbnailLevel.mapWidth} x ${thumbnailLevel.mapHeight}`;
+            detailsElement.textContent = unlocked ? sizeText : `${sizeText} - Locked`;
+        }).catch(error => {
+            console.error(`LEVEL_ERROR: ${error.message}`);
+            detailsElement.textContent = 'Cannot be loaded';
+        });
+
+        if (unlocked) {
+            levelCard.onclick = () => startGameWithLevel(levelEntry);
+        }
+        levelListElement.appendChild(levelCard);
+    });
+    menuContainer.appendChild(levelListElement);
+
+    const backButton = document.createElement('button');
+    backButton.className = 'menu-text-button';
+    backButton.textContent = 'Back';
+    backButton.onclick = () => initializeMenu();
+    menuContainer.appendChild(backButton);
 }
 
 if (document.readyState === 'loading') {
@@ -0,0 +1,207 @@
+// js/pathfinding.js
+
+/**
+ * @fileoverview Grid pathfinding for enemies: `findTilePath()` runs A* over the tiles of a `Level`,
+ * and `smoothPath()` turns the tile path into a few waypoints the enemy can walk straight between,
+ * so movement is not locked to tile centres. Paths step diagonally, but never across the corner of a wall.
+ * Unlocked doors count as open for actors that can open them; locked doors only once they are open.
+ * Assumes global access to `tileSize`.
+ */
+
+/** @type {number} Seconds an enemy follows a path before planning it again towards where its target is now. */
+const PATH_REPLAN_INTERVAL = 0.5;
+/** @type {number} How close, in world units, an enemy has to get to a waypoint before heading for the next one. */
+const PATH_WAYPOINT_REACHED_DISTANCE = tileSize / 8;
+
+/**
+ * @typedef {Object} PathWaypoint
+ * @property {number} x - The x-coordinate, in world units.
+ * @property {number} y - The y-coordinate, in world units.
+ */
+
+/**
+ * Checks whether a path may lead through a tile.
+ * @param {Level} level - The level.
+ * @param {number} col - The tile column.
+ * @param {number} row - The tile row.
+ * @param {boolean} canOpenDoors - True if the actor opens unlocked doors, so closed ones do not stop it.
+ * @returns {boolean} True if the tile can be walked through.
+ */
+function isTilePathable(level, col, row, canOpenDoors) {
+    if (col < 0 || col >= level.mapWidth || row < 0 || row >= level.mapHeight) return false;
+    const door = level.getDoor(col, row);
+    if (door) return door.isPassable() || (canOpenDoors && !door.requiredKey);
+    return !level.hasCollision(col, row);
+}
+
+/**
+ * Checks whether a circle fits between the walls, the same way `Enemy.canMoveTo()` does:
+ * the centre and the four points `clearance` away along the axes must be outside walls and closed doors.
+ * @param {Level} level - The level.
+ * @param {number} x - The x-coordinate of the centre, in world units.
+ * @param {number} y - The y-coordinate of the centre, in world units.
+ * @param {number} clearance - The radius, in world units.
+ * @returns {boolean} True if nothing blocks the circle.
+ */
+function isAreaClear(level, x, y, clearance) {
+    const pointsToCheck = [
+        { x: x, y: y }, { x: x + clearance, y: y }, { x: x - clearance, y: y },
+        { x: x, y: y + clearance }, { x: x, y: y - clearance }
+    ];
+    return pointsToCheck.every(point => {
+        const tileX = Math.floor(point.x / tileSize);
+        const tileY = Math.floor(point.y / tileSize);
+        return tileX >= 0 && tileX < level.mapWidth && tileY >= 0 && tileY < level.mapHeight && !level.hasCollision(tileX, tileY);
+    });
+}
+
+/**
+ * Checks whether an actor can walk in a straight line between two points, sampling every quarter tile.
+ * @param {Level} level - The level.
+ * @param {number} fromX - The x-coordinate of the start, in world units.
+ * @param {number} fromY - The y-coordinate of the start, in world units.
+ * @param {number} toX - The x-coordinate of the end, in world units.
+ * @param {number} toY - The y-coordinate of the end, in world units.
+ * @param {number} clearance - The radius of the actor, in world units; see `isAreaClear()`.
+ * @returns {boolean} True if the whole line is clear.
+ */
+function isSegmentClear(level, fromX, fromY, toX, toY, clearance) {
+    const steps = Math.max(1, Math.ceil(distanceBetweenPoints(fromX, fromY, toX, toY) / (tileSize / 4)));
+    for (let i = 1; i <= steps; i++) {
+        if (!isAreaClear(level, fromX + (toX - fromX) * i / steps, fromY + (toY - fromY) * i / steps, clearance)) return false;
+    }
+    return true;
+}
+
+/**
+ * Finds the shortest path between two tiles with A*. Straight steps cost 1 and diagonal steps √2;
+ * the octile distance is the heuristic.
+ * @param {Level} level - The level.
+ * @param {number} startCol - The tile column the path starts at.
+ * @param {number} startRow - The tile row the path starts at.
+ * @param {number} goalCol - The tile column of the goal.
+ * @param {number} goalRow - The tile row of the goal.
+ * @param {boolean} canOpenDoors - True if the actor opens unlocked doors; see `isTilePathable()`.
+ * @returns {{col: number, row: number}[] | null} The tiles after the start up to and including the goal
+ * (empty if the start is the goal), or null if the goal cannot be reached.
+ */
+function findTilePath(level, startCol, startRow, goalCol, goalRow, canOpenDoors) {
+    if (!isTilePathable(level, goalCol, goalRow, canOpenDoors)) return null;
+    const mapWidth = level.mapWidth;
+    const startIndex = startRow * mapWidth + startCol;
+    const goalIndex = goalRow * mapWidth + goalCol;
+    if (startIndex === goalIndex) return [];
+
+    const heuristic = (col, row) => {
+        const deltaCol = Math.abs(col - goalCol);
+        const deltaRow = Math.abs(row - goalRow);
+        return Math.max(deltaCol, deltaRow) + (Math.SQRT2 - 1) * Math.min(deltaCol, deltaRow);
+    };
+    const costSoFar = new Map([[startIndex, 0]]);
+    const cameFrom = new Map();
+    const closed = new Set();
+    // Binary min-heap of [estimated total cost, tile index].
+    const openHeap = [[heuristic(startCol, startRow), startIndex]];
+    const push = entry => {
+        openHeap.push(entry);
+        let i = openHeap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (openHeap[parent][0] <= openHeap[i][0]) break;
+            [openHeap[parent], openHeap[i]] = [openHeap[i], openHeap[parent]];
+            i = parent;
+        }
+    };
+    const pop = () => {
+        const top = openHeap[0];
+        const last = openHeap.pop();
+        if (openHeap.length > 0) {
+            openHeap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < openHeap.length && openHeap[left][0] < openHeap[smallest][0]) smallest = left;
+                if (right < openHeap.length && openHeap[right][0] < openHeap[smallest][0]) smallest = right;
+                if (smallest === i) break;
+                [openHeap[smallest], openHeap[i]] = [openHeap[i], openHeap[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    };
+
+    while (openHeap.length > 0) {
+        const currentIndex = pop()[1];
+        if (currentIndex === goalIndex) {
+            const path = [];
+            for (let index = goalIndex; index !== startIndex; index = cameFrom.get(index)) {
+                path.push({ col: index % mapWidth, row: Math.floor(index / mapWidth) });
+            }
+            return path.reverse();
+        }
+        if (closed.has(currentIndex)) continue;
+        closed.add(currentIndex);
+
+        const col = currentIndex % mapWidth;
+        const row = Math.floor(currentIndex / mapWidth);
+        for (let deltaRow = -1; deltaRow <= 1; deltaRow++) {
+            for (let deltaCol = -1; deltaCol <= 1; deltaCol++) {
+                if (deltaCol === 0 && deltaRow === 0) continue;
+                const nextCol = col + deltaCol;
+                const nextRow = row + deltaRow;
+                if (!isTilePathable(level, nextCol, nextRow, canOpenDoors)) continue;
+                const isDiagonal = deltaCol !== 0 && deltaRow !== 0;
+                // A diagonal step needs both tiles beside it free, or it would cut the corner of a wall.
+                if (isDiagonal && (!isTilePathable(level, col + deltaCol, row, canOpenDoors) || !isTilePathable(level, col, row + deltaRow, canOpenDoors))) continue;
+
+                const nextIndex = nextRow * mapWidth + nextCol;
+                if (closed.has(nextIndex)) continue;
+                const nextCost = costSoFar.get(currentIndex) + (isDiagonal ? Math.SQRT2 : 1);
+                if (costSoFar.has(nextIndex) && costSoFar.get(nextIndex) <= nextCost) continue;
+                costSoFar.set(nextIndex, nextCost);
+                cameFrom.set(nextIndex, currentIndex);
+                push([nextCost + heuristic(nextCol, nextRow), nextIndex]);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Turns a tile path into waypoints by string pulling: from each waypoint, the path heads straight for the
+ * farthest later tile centre that can be walked to in a line. The last waypoint is the exact end point.
+ * @param {Level} level - The level.
+ * @param {number} startX - The x-coordinate the actor starts at, in world units.
+ * @param {number} startY - The y-coordinate the actor starts at, in world units.
+ * @param {{col: number, row: number}[]} tilePath - The path from `findTilePath()`.
+ * @param {number} endX - The x-coordinate of the exact goal, in world units. It lies in the last tile of the path.
+ * @param {number} endY - The y-coordinate of the exact goal, in world units.
+ * @param {number} clearance - The radius of the actor, in world units; see `isAreaClear()`.
+ * @returns {PathWaypoint[]} The waypoints, not including the start.
+ */
+function smoothPath(level, startX, startY, tilePath, endX, endY, clearance) {
+    const points = tilePath.map(tile => ({ x: (tile.col + 0.5) * tileSize, y: (tile.row + 0.5) * tileSize }));
+    if (points.length > 0) points[points.length - 1] = { x: endX, y: endY };
+    else points.push({ x: endX, y: endY });
+
+    const waypoints = [];
+    let anchorX = startX;
+    let anchorY = startY;
+    let nextIndex = 0;
+    while (nextIndex < points.length) {
+        let farthestIndex = nextIndex;
+        for (let i = points.length - 1; i > nextIndex; i--) {
+            if (isSegmentClear(level, anchorX, anchorY, points[i].x, points[i].y, clearance)) {
+                farthestIndex = i;
+                break;
+            }
+        }
+        waypoints.push(points[farthestIndex]);
+        anchorX = points[farthestIndex].x;
+        anchorY = points[farthestIndex].y;
+        nextIndex = farthestIndex + 1;
+    }
+    return waypoints;
+}
@@ -3,9 +3,20 @@
 /**
  * @fileoverview Defines the Player class, responsible for player movement, view, interactions, and state.
  * Assumes global access to `normalizeAngle`, `degreesToRadians`, `distanceBetweenPoints` (from utils.js),
- * `FOV_RADIANS`, `FOV_RADIANS_HALF`, `canvasWidth`, `tileSize` (from config.js),
- * `Ray` class, `gameLevel` object, `renderMode` variable, `sprites` array,
- * `playSoundEffect` function, and window globals for damage flash effect.
+ * `FOV_RADIANS`, `FOV_RADIANS_HALF`, `RENDER_WIDTH`, `tileSize` (from config.js),
+ * `Ray` class, `gameLevel` object, `renderMode` variable, the `gameSession` (for its `sprites` list),
+ * `playSoundEffect` function, `getPickupKeyColor` (from levelFormat.js), the `gameTime` simulation clock, `Weapon`, `WEAPON_DEFINITIONS`
+ * and `PLAYER_MELEE_DEFINITION` (from weapon.js), and window globals for damage flash effect.
+ */
+
+/**
+ * @typedef {Object} PlayerCarryOverStats
+ * @property {number} health - The player's health.
+ * @property {Object<string, number>} ammo - The player's ammunition, per key of `AMMO_TYPES`.
+ * @property {number} score - The player's score.
+ * @property {number} armor - The player's armor points.
+ * @property {string | null} armorTier - The key of the worn tier in `ARMOR_TIERS`, or null without armor.
+ * @property {string} weaponId - The id of the selected weapon.
  */
 
 /**
@@ -26,19 +37,32 @@ class Player {
         this.x = x;
         this.y = y;
 
-        /** @type {number} Indicates forward (1), backward (-1), or no axial movement (0). */
+        /** @type {number} Indicates forward (1), backward (-1), or no axial movement (0). Analog sticks give values in between. */
         this.movementInput = 0;
-        /** @type {number} Indicates right (1), left (-1), or no rotation (0). */
+        /** @type {number} Indicates strafing right (1), left (-1), or no sideways movement (0). Analog sticks give values in between. */
+        this.strafeInput = 0;
+        /** @type {number} Indicates right (1), left (-1), or no rotation (0). Analog sticks give values in between. */
         this.rotationInput = 0;
         /** @type {number} The player's current rotation angle in radians. */
         this.rotationAngle = 0;
-        /** @type {number} The speed at which the player rotates, in radians per update. */
-        this.rotationSpeed = degreesToRadians(2);
-        /** @type {number} The speed at which the player moves, in units per update. */
-        this.movementSpeed = 2;
+        /** @type {number} The speed at which the player rotates, in radians per second. */
+        this.rotationSpeed = degreesToRadians(120);
+        /** @type {number} The speed at which the player moves, in units per second. */
+        this.movementSpeed = 120;
+        /** @type {number} The direction the player is being knocked back in, in radians. */
+        this.knockbackAngle = 0;
+        /** @type {number} The speed of the knockback, in units per second. It falls off at `PLAYER_KNOCKBACK_DECELERATION`. */
+        this.knockbackSpeed = 0;
+
+        /** @type {number} The x-coordinate at the start of the current simulation step, for interpolated rendering. */
+        this.previousX = x;
+        /** @type {number} The y-coordinate at the start of the current simulation step, for interpolated rendering. */
+        this.previousY = y;
+        /** @type {number} The rotation angle at the start of the current simulation step, for interpolated rendering. */
+        this.previousRotationAngle = this.rotationAngle;
 
         /** @type {number} The number of rays to cast for rendering the 3D view. */
-        this.numberOfRays = canvasWidth;
+        this.numberOfRays = RENDER_WIDTH;
         /** @type {Ray[]} An array of Ray objects used for rendering. */
         this.rays = [];
 
@@ -52,12 +76,128 @@ class Player {
 
         /** @type {number} The player's current health. */
         this.health = 100;
-        /** @type {number} The player's current ammunition count. */
-        this.ammo = 10;
+        /** @type {Object<string, number>} The player's ammunition, per key of `AMMO_TYPES`. */
+        this.ammo = {};
+        Object.keys(AMMO_TYPES).forEach(ammoType => { this.ammo[ammoType] = AMMO_TYPES[ammoType].startAmount; });
+        /** @type {Weapon[]} The weapons the player carries, in the order of `WEAPON_DEFINITIONS`. */
+        this.weapons = WEAPON_DEFINITIONS.map(definition => new Weapon(definition));
+        /** @type {Weapon} The torch swing used while the selected weapon is out of ammunition. */
+        this.meleeWeapon = new Weapon(PLAYER_MELEE_DEFINITION);
+        /** @type {number} The index of the selected weapon in `weapons`. */
+        this.currentWeaponIndex = 0;
+        /** @type {number} The `gameTime` at which the selected weapon was switched to; it is raised for `WEAPON_SWITCH_TIME`. */
+        this.weaponSwitchTime = -Infinity;
+        /** @type {number} The player's armor points. Armor absorbs part of the damage until it runs out. */
+        this.armor = 0;
+        /** @type {string | null} The key of the worn tier in `ARMOR_TIERS`, or null without armor. */
+        this.armorTier = null;
         /** @type {number} The player's current score. */
         this.score = 0;
         /** @type {number} The player's current action state (e.g., 0 for neutral, 1 for shooting). */
         this.playerActionState = 0;
+        /** @type {number} The number of pickups collected in the current level. */
+        this.itemsCollected = 0;
+        /** @type {boolean} Set when the player walks into an exit tile. Cleared by the game loop. */
+        this.touchedExit = false;
+        /** @type {string[]} The colours of the key cards held. Key cards belong to one level and are not carried over. */
+        this.keys = [];
+    }
+
+    /**
+     * Checks whether the player holds a key card.
+     * @param {string} keyColor - The key colour, e.g. 'red'.
+     * @returns {boolean} True if the key card has been picked up.
+     */
+    hasKey(keyColor) {
+        return this.keys.includes(keyColor);
+    }
+
+    /**
+     * Gets the weapon in the player's hands.
+     * @returns {Weapon} The selected weapon.
+     */
+    getCurrentWeapon() {
+        return this.weapons[this.currentWeaponIndex];
+    }
+
+    /**
+     * Gets the weapon that fires when the player attacks: the selected one, or the torch swing once it is out of ammunition.
+     * @returns {Weapon} The weapon to attack with.
+     */
+    getActiveWeapon() {
+        const currentWeapon = this.getCurrentWeapon();
+        return currentWeapon.hasAmmo(this) ? currentWeapon : this.meleeWeapon;
+    }
+
+    /**
+     * Switches to another weapon, which then has to be raised before it can fire.
+     * @param {number} weaponIndex - The index of the weapon in `weapons`.
+     * @returns {boolean} True if the selected weapon changed.
+     */
+    selectWeapon(weaponIndex) {
+        if (weaponIndex < 0 || weaponIndex >= this.weapons.length || weaponIndex === this.currentWeaponIndex) return false;
+        this.currentWeaponIndex = weaponIndex;
+        this.weaponSwitchTime = gameTime;
+        return true;
+    }
+
+    /**
+     * Switches to the next or previous weapon, wrapping around at the ends.
+     * @param {number} direction - 1 for the next weapon, -1 for the previous one.
+     */
+    cycleWeapon(direction) {
+        this.selectWeapon((this.currentWeaponIndex + direction + this.weapons.length) % this.weapons.length);
+    }
+
+    /**
+     * Takes ammunition from a pickup, up to the ammunition type's maximum.
+     * @param {string} ammoType - The key of the ammunition in `AMMO_TYPES`.
+     * @returns {boolean} True if the ammunition was taken; false leaves the pickup lying.
+     */
+    pickUpAmmo(ammoType) {
+        const ammoDefinition = AMMO_TYPES[ammoType];
+        if (this.ammo[ammoType] >= ammoDefinition.maxAmount) return false;
+        this.ammo[ammoType] = Math.min(ammoDefinition.maxAmount, this.ammo[ammoType] + ammoDefinition.pickupAmount);
+        return true;
+    }
+
+    /**
+     * Gets the stats that carry over from one campaign level to the next.
+     * @returns {PlayerCarryOverStats} The carried stats.
+     */
+    getCarryOverStats() {
+        return {
+            health: this.health, ammo: Object.assign({}, this.ammo), score: this.score,
+            armor: this.armor, armorTier: this.armorTier, weaponId: this.getCurrentWeapon().definition.id
+        };
+    }
+
+    /**
+     * Restores stats carried over from the previous campaign level.
+     * @param {PlayerCarryOverStats} carriedStats - Stats from `getCarryOverStats()`.
+     */
+    applyCarryOverStats(carriedStats) {
+        this.health = carriedStats.health;
+        Object.assign(this.ammo, carriedStats.ammo);
+        this.score = carriedStats.score;
+        this.armor = carriedStats.armor || 0;
+        this.armorTier = carriedStats.armorTier || null;
+        const carriedWeaponIndex = this.weapons.findIndex(weapon => weapon.definition.id === carriedStats.weaponId);
+        if (carriedWeaponIndex !== -1) this.currentWeaponIndex = carriedWeaponIndex;
+    }
+
+    /**
+     * Puts on armor from a pickup. The armor is refilled to the tier's maximum and the tier replaces the worn one,
+     * but only if that raises the armor points.
+     * @param {string} armorTier - The key of the tier in `ARMOR_TIERS`, e.g. 'heavyArmor'.
+     * @returns {boolean} True if the armor was taken; false leaves the pickup lying.
+     */
+    pickUpArmor(armorTier) {
+        const tier = ARMOR_TIERS[armorTier];
+        if (!tier || this.armor >= tier.maxArmor) return false;
+        this.armor = tier.maxArmor;
+        this.armorTier = armorTier;
+        return true;
     }
 
     /** Sets movement input to forward. */
@@ -68,11 +208,19 @@ class Player {
     startTurningRight() { this.rotationInput = 1; }
     /** Sets rotation input to left. */
     startTurningLeft() { this.rotationInput = -1; }
-    /** Resets axial movement input. */
-    stopAxialMovement() { this.movementInput = 0; }
+    /** Resets axial and sideways movement input. */
+    stopAxialMovement() { this.movementInput = 0; this.strafeInput = 0; }
     /** Resets rotational movement input. */
     stopRotationalMovement() { this.rotationInput = 0; }
 
+    /**
+     * Turns the player by an angle, e.g. from mouse look.
+     * @param {number} angle - The angle to turn by, in radians. Positive turns right.
+     */
+    turnBy(angle) {
+        this.rotationAngle = normalizeAngle(this.rotationAngle + angle);
+    }
+
     /**
      * Checks for collision at the given world coordinates.
      * @param {number} worldX - The x-coordinate to check.
@@ -94,12 +242,33 @@ class Player {
     }
 
     /**
-     * Applies damage to the player.
+     * Knocks the player back, e.g. after a melee hit. The push is applied over the next steps by `update()`,
+     * with the same wall collision as walking.
+     * @param {number} angle - The direction of the push, in radians.
+     * @param {number} speed - The initial speed of the push, in units per second.
+     */
+    applyKnockback(angle, speed) {
+        if (this.health <= 0) return;
+        this.knockbackAngle = angle;
+        this.knockbackSpeed = speed;
+    }
+
+    /**
+     * Applies damage to the player. Worn armor absorbs its tier's share of the damage while it lasts.
      * @param {number} amount - The amount of damage to take.
      */
     takeDamage(amount) {
         if (this.health <= 0) return;
 
+        if (this.armorTier && this.armor > 0) {
+            const absorbedDamage = Math.min(this.armor, amount * ARMOR_TIERS[this.armorTier].absorption);
+            this.armor -= absorbedDamage;
+            amount -= absorbedDamage;
+            if (this.armor <= 0) {
+                this.armor = 0;
+                this.armorTier = null;
+            }
+        }
         this.health -= amount;
 
         if (typeof playSoundEffect === 'function') {
@@ -108,7 +277,7 @@ class Player {
 
         if (typeof window.damageFlashAlpha !== 'undefined' && typeof window.DAMAGE_FLASH_MAX_ALPHA !== 'undefined' && typeof window.damageFlashStartTime !== 'undefined') {
             window.damageFlashAlpha = window.DAMAGE_FLASH_MAX_ALPHA;
-            window.damageFlashStartTime = Date.now();
+            window.damageFlashStartTime = gameTime;
         }
 
         if (this.health <= 0) {
@@ -116,71 +285,123 @@ class Player {
         }
     }
 
+    /** Remembers the current position and angle as the starting point of the next simulation step. */
+    savePreviousState() {
+        this.previousX = this.x;
+        this.previousY = this.y;
+        this.previousRotationAngle = this.rotationAngle;
+    }
+
+    /**
+     * Gets the player's view for rendering, interpolated between the last two simulation steps.
+     * @param {number} interpolationAlpha - How far rendering is between the previous and current step, in [0, 1].
+     * @returns {{x: number, y: number, rotationAngle: number}} The interpolated view.
+     */
+    getRenderView(interpolationAlpha) {
+        return {
+            x: lerp(this.previousX, this.x, interpolationAlpha),
+            y: lerp(this.previousY, this.y, interpolationAlpha),
+            rotationAngle: lerpAngle(this.previousRotationAngle, this.rotationAngle, interpolationAlpha)
+        };
+    }
+
     /**
      * Updates the player's state, including position, rotation, and interactions.
-     * This method should be called once per game loop.
+     * This method should be called once per simulation step.
+     * @param {number} deltaTime - The simulation step, in seconds.
      */
-    update() {
-        const newX = this.x + this.movementInput * Math.cos(this.rotationAngle) * this.movementSpeed;
-        const newY = this.y + this.movementInput * Math.sin(this.rotationAngle) * this.movementSpeed;
+    update(deltaTime) {
+        // Diagonal movement (forward + strafe) is scaled down so it is not faster than moving straight.
+        const inputMagnitude = Math.hypot(this.movementInput, this.strafeInput);
+        const diagonalScale = inputMagnitude > 1 ? 1 / inputMagnitude : 1;
+        const movementStep = this.movementSpeed * deltaTime * diagonalScale;
+        const strafeAngle = this.rotationAngle + Math.PI / 2;
+        const newX = this.x + (this.movementInput * Math.cos(this.rotationAngle) + this.strafeInput * Math.cos(strafeAngle)) * movementStep;
+        const newY = this.y + (this.movementInput * Math.sin(this.rotationAngle) + this.strafeInput * Math.sin(strafeAngle)) * movementStep;
 
         if (!this.checkCollision(newX, newY)) {
             this.x = newX;
             this.y = newY;
+        } else if (this.gameLevel.isExitTile(Math.floor(newX / this.gameLevel.tileWidth), Math.floor(newY / this.gameLevel.tileHeight))) {
+            this.touchedExit = true;
+        }
+
+        if (this.knockbackSpeed > 0) {
+            // Each axis separately, so a push into a wall slides along it.
+            const knockbackStep = this.knockbackSpeed * deltaTime;
+            const knockbackX = this.x + Math.cos(this.knockbackAngle) * knockbackStep;
+            if (!this.checkCollision(knockbackX, this.y)) this.x = knockbackX;
+            const knockbackY = this.y + Math.sin(this.knockbackAngle) * knockbackStep;
+            if (!this.checkCollision(this.x, knockbackY)) this.y = knockbackY;
+            this.knockbackSpeed = Math.max(0, this.knockbackSpeed - PLAYER_KNOCKBACK_DECELERATION * deltaTime);
         }
 
-        this.rotationAngle += this.rotationInput * this.rotationSpeed;
+        this.rotationAngle += this.rotationInput * this.rotationSpeed * deltaTime;
         this.rotationAngle = normalizeAngle(this.rotationAngle);
 
-        if (typeof sprites !== 'undefined' && sprites.length > 0) {
+        if (gameSession && gameSession.sprites.length > 0) {
             const playerPickupRadius = tileSize / 2;
 
-            for (let i = sprites.length - 1; i >= 0; i--) {
-                let sprite = sprites[i];
+            for (let i = gameSession.sprites.length - 1; i >= 0; i--) {
+                let sprite = gameSession.sprites[i];
 
                 if (sprite.visible && sprite.type) {
                     const distance = distanceBetweenPoints(this.x, this.y, sprite.x, sprite.y);
 
                     if (distance < playerPickupRadius) {
-                        if (sprite.type === 'ammo') {
-                            this.ammo += 10;
-                            sprite.visible = false;
+                        const ammoType = Object.keys(AMMO_TYPES).find(type => AMMO_TYPES[type].pickupType === sprite.type);
+                        if (ammoType) {
+                            if (this.pickUpAmmo(ammoType)) {
+                                sprite.visible = false;
+                                this.itemsCollected++;
+                            }
                         } else if (sprite.type === 'health') {
                             const healthToGain = 25;
                             if (this.health < 100) {
                                 this.health = Math.min(100, this.health + healthToGain);
                                 sprite.visible = false;
+                                this.itemsCollected++;
+                            }
+                        } else if (ARMOR_TIERS[sprite.type]) {
+                            if (this.pickUpArmor(sprite.type)) {
+                                sprite.visible = false;
+                                this.itemsCollected++;
                             }
+                        } else if (getPickupKeyColor(sprite.type)) {
+                            const keyColor = getPickupKeyColor(sprite.type);
+                            if (!this.hasKey(keyColor)) this.keys.push(keyColor);
+                            sprite.visible = false;
+                            this.itemsCollected++;
+                            if (typeof showHudMessage === 'function') showHudMessage(`Picked up the ${keyColor} key`);
                         }
                     }
                 }
             }
         }
-
-        for (let i = 0; i < this.numberOfRays; i++) {
-            this.rays[i].x = this.x;
-            this.rays[i].y = this.y;
-            this.rays[i].setAngle(this.rotationAngle);
-        }
     }
 
     /**
      * Draws the player's view (by casting rays) and optionally the player on a 2D map.
      * Assumes `update()` has been called prior in the game loop.
+     * @param {number} [interpolationAlpha=1] - How far rendering is between the previous and current simulation step.
      */
-    draw() {
+    draw(interpolationAlpha = 1) {
+        const view = this.getRenderView(interpolationAlpha);
         for (let i = 0; i < this.numberOfRays; i++) {
+            this.rays[i].x = view.x;
+            this.rays[i].y = view.y;
+            this.rays[i].setAngle(view.rotationAngle);
             this.rays[i].draw();
         }
 
         if (typeof renderMode !== 'undefined' && renderMode === 1) {
             this.renderingContext.fillStyle = '#FFFFFF';
-            this.renderingContext.fillRect(this.x - 3, this.y - 3, 6, 6);
+            this.renderingContext.fillRect(view.x - 3, view.y - 3, 6, 6);
 
-            const targetX = this.x + Math.cos(this.rotationAngle) * 20;
-            const targetY = this.y + Math.sin(this.rotationAngle) * 20;
+            const targetX = view.x + Math.cos(view.rotationAngle) * 20;
+            const targetY = view.y + Math.sin(view.rotationAngle) * 20;
             this.renderingContext.beginPath();
-            this.renderingContext.moveTo(this.x, this.y);
+            this.renderingContext.moveTo(view.x, view.y);
             this.renderingContext.lineTo(targetX, targetY);
             this.renderingContext.strokeStyle = "#FFFFFF";
             this.renderingContext.stroke();
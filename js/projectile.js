@@ -3,8 +3,8 @@
 /**
  * @fileoverview Defines the Projectile class for projectiles fired by the player.
  * Assumes global access to `Sprite` class, `distanceBetweenPoints` utility,
- * `gameLevel` object (for wall collision), `enemies` array (for enemy collision), `tileSize` constant,
- * `playerAttackOrbImage` (image asset), and `player` object (for scoring).
+ * `gameLevel` object (for wall collision), the `gameSession` (its `enemies` list, for enemy collision, and its `effects`), `tileSize` constant,
+ * `player` object (for scoring) and `triggerExplosion()` (for projectiles with a splash radius). Which image, damage and explosion a projectile has is up to the weapon firing it.
  */
 
 /**
@@ -17,20 +17,28 @@ class Projectile {
      * @param {number} startX - The initial x-coordinate.
      * @param {number} startY - The initial y-coordinate.
      * @param {number} angle - The angle of movement in radians.
-     * @param {number} speed - The speed of the projectile.
+     * @param {number} speed - The speed of the projectile, in units per second.
      * @param {HTMLImageElement} image - The image for the projectile's sprite.
      * @param {CanvasRenderingContext2D} renderingContext - The canvas rendering context.
+     * @param {number} [damage=30] - The damage dealt to the enemy hit.
+     * @param {number} [splashRadius=0] - The radius of the explosion on impact; 0 for a projectile that only hits what it touches.
      */
-    constructor(startX, startY, angle, speed, image, renderingContext) {
+    constructor(startX, startY, angle, speed, image, renderingContext, damage = 30, splashRadius = 0) {
         this.x = startX;
         this.y = startY;
         this.angle = angle;
         this.speed = speed;
         this.image = image;
         this.renderingContext = renderingContext;
+        this.damage = damage;
+        this.splashRadius = splashRadius;
 
         this.radius = tileSize / 8;
         this.isActive = true;
+        /** @type {number} The x-coordinate before the last step. Explosions against walls go off there, in front of the wall. */
+        this.previousX = startX;
+        /** @type {number} The y-coordinate before the last step. */
+        this.previousY = startY;
 
         this.sprite = new Sprite(this.x, this.y, this.image, this.renderingContext);
         this.sprite.worldHeight = tileSize / 8; 
@@ -38,14 +46,17 @@ class Projectile {
 
     /**
      * Updates the projectile's position and checks for collisions.
-     * Should be called in the game loop.
+     * Should be called once per simulation step.
+     * @param {number} deltaTime - The simulation step, in seconds.
      */
-    update() {
+    update(deltaTime) {
         if (!this.isActive) return;
 
-        const deltaX = Math.cos(this.angle) * this.speed;
-        const deltaY = Math.sin(this.angle) * this.speed;
+        const deltaX = Math.cos(this.angle) * this.speed * deltaTime;
+        const deltaY = Math.sin(this.angle) * this.speed * deltaTime;
 
+        this.previousX = this.x;
+        this.previousY = this.y;
         this.x += deltaX;
         this.y += deltaY;
 
@@ -61,7 +72,7 @@ class Projectile {
 
     /**
      * Checks if the projectile has collided with a wall in the game level.
-     * Deactivates the projectile on collision.
+     * Deactivates the projectile on collision; a projectile with a splash radius explodes, any other strikes sparks off the wall.
      */
     checkWallCollision() {
         if (!this.isActive || !gameLevel) return;
@@ -71,29 +82,44 @@ class Projectile {
 
         if (tileX < 0 || tileX >= gameLevel.mapWidth || tileY < 0 || tileY >= gameLevel.mapHeight || gameLevel.hasCollision(tileX, tileY)) {
             this.deactivate();
+            if (this.splashRadius > 0) this.explode(this.previousX, this.previousY);
+            else if (gameSession) gameSession.effects.spawn('spark', this.previousX, this.previousY);
         }
     }
 
     /**
      * Checks if the projectile has collided with any active enemy.
-     * Deactivates the projectile and damages the enemy on collision.
+     * Deactivates the projectile and damages the enemy on collision, or explodes on the enemy if the projectile has a splash radius.
      */
     checkEnemyCollision() {
-        if (!this.isActive || !enemies || enemies.length === 0) return;
+        if (!this.isActive || !gameSession || gameSession.enemies.length === 0) return;
 
-        for (let enemy of enemies) {
+        for (let enemy of gameSession.enemies) {
             if (enemy.isAlive) {
                 const distance = distanceBetweenPoints(this.x, this.y, enemy.x, enemy.y);
                 if (distance < this.radius + (tileSize / 3)) {
                     this.deactivate();
-                    enemy.takeDamage(30);
-                    if (player) player.score += 5;
+                    if (this.splashRadius > 0) {
+                        this.explode(enemy.x, enemy.y);
+                    } else {
+                        enemy.takeDamage(this.damage);
+                        if (player) player.score += 5;
+                    }
                     break; 
                 }
             }
         }
     }
 
+    /**
+     * Sets off the projectile's explosion, which can hurt the player as well; see `triggerExplosion()`.
+     * @param {number} centerX - The x-coordinate of the centre of the explosion.
+     * @param {number} centerY - The y-coordinate of the centre of the explosion.
+     */
+    explode(centerX, centerY) {
+        triggerExplosion(centerX, centerY, this.splashRadius, this.damage, true);
+    }
+
     /**
      * Checks if the projectile has gone out of the game bounds.
      * Deactivates the projectile if it's out of bounds.
@@ -4,8 +4,8 @@
  * @fileoverview Defines the Ray class for raycasting calculations.
  * Each ray determines wall intersections and properties for rendering a single screen column.
  * Assumes global access to utility functions like `normalizeAngle` and `distanceBetweenPoints`,
- * configuration constants (e.g., `canvasWidth`, `canvasHeight`, `tileSize`, `FOV_RADIANS_HALF`, lighting params),
- * and game state variables (`gameContext`, `renderMode`, `zBuffer`, `wallTexturesImage`).
+ * configuration constants (e.g., `RENDER_WIDTH`, `RENDER_HEIGHT`, `tileSize`, `FOV_RADIANS_HALF`, lighting params),
+ * and game state variables (`gameFramebuffer`, `renderMode`, `zBuffer`, `wallTexturesImage`).
  */
 
 /**
@@ -21,7 +21,7 @@ class Ray {
      * @param {number} y - The player's current y-coordinate (origin of the ray).
      * @param {number} playerAngle - The player's absolute viewing angle in radians.
      * @param {number} relativeAngleOffset - The angle of this ray relative to the player's main viewing angle (center of FOV).
-     * @param {number} screenColumn - The screen column index this ray corresponds to.
+     * @param {number | null} screenColumn - The screen column index this ray corresponds to, or null for a ray that is not rendered (e.g. a hitscan shot).
      */
     constructor(renderingContext, gameLevelInstance, x, y, playerAngle, relativeAngleOffset, screenColumn) {
         this.renderingContext = renderingContext;
@@ -54,7 +54,7 @@ class Ray {
         this.textureId = 0;
 
         /** @type {number} Pre-calculated distance from the player (camera) to the projection plane. */
-        this.projectionPlaneDistance = (canvasWidth / 2) / Math.tan(FOV_RADIANS_HALF);
+        this.projectionPlaneDistance = (RENDER_WIDTH / 2) / Math.tan(FOV_RADIANS_HALF);
     }
 
     /**
@@ -68,8 +68,9 @@ class Ray {
 
     /**
      * Casts the ray using DDA (Digital Differential Analysis) to find the closest wall intersection.
+     * Doors are panels across the middle of their tile; the part that has slid into the wall is not hit.
      * It populates properties like `wallHitX`, `wallHitY`, `directDistance`, `correctedDistance`,
-     * `textureId`, and `texturePixelX`.
+     * `textureId`, and `texturePixelX`, and stores the distance in the Z-buffer if the ray has a screen column.
      */
     cast() {
         let isFacingDown = this.absoluteAngle > 0 && this.absoluteAngle < Math.PI;
@@ -89,6 +90,9 @@ class Ray {
 
         let nextHorizontalX = hIntersectionX;
         let nextHorizontalY = hIntersectionY;
+        let horizontalHitTextureX = 0;
+        let horizontalHitTileX = 0;
+        let horizontalHitTileY = 0;
 
         while (!foundHorizontalHit) {
             let checkCellX = Math.floor(nextHorizontalX / tileSize);
@@ -98,10 +102,29 @@ class Ray {
                 this.horizontalWallHitX = Infinity; this.horizontalWallHitY = Infinity;
                 foundHorizontalHit = true; break;
             }
-            if (this.gameLevel.hasCollision(checkCellX, checkCellY)) {
+            const door = this.gameLevel.getDoor(checkCellX, checkCellY);
+            if (door) {
+                // Doors sliding along x are hit half a step past the grid line; rays through the gap carry on.
+                const doorPanelX = nextHorizontalX + hStepX / 2;
+                const doorTextureX = doorPanelX - checkCellX * tileSize - door.openAmount * tileSize;
+                if (door.axis === 'x' && Math.floor(doorPanelX / tileSize) === checkCellX && doorTextureX >= 0) {
+                    foundHorizontalHit = true;
+                    this.horizontalWallHitX = doorPanelX;
+                    this.horizontalWallHitY = nextHorizontalY + hStepY / 2;
+                    horizontalHitTextureX = doorTextureX;
+                    horizontalHitTileX = checkCellX;
+                    horizontalHitTileY = checkCellY;
+                    break;
+                }
+                nextHorizontalX += hStepX;
+                nextHorizontalY += hStepY;
+            } else if (this.gameLevel.hasCollision(checkCellX, checkCellY)) {
                 foundHorizontalHit = true;
                 this.horizontalWallHitX = nextHorizontalX;
                 this.horizontalWallHitY = nextHorizontalY;
+                horizontalHitTextureX = nextHorizontalX - checkCellX * tileSize;
+                horizontalHitTileX = checkCellX;
+                horizontalHitTileY = checkCellY;
             } else {
                 nextHorizontalX += hStepX;
                 nextHorizontalY += hStepY;
@@ -122,6 +145,9 @@ class Ray {
 
         let nextVerticalX = vIntersectionX;
         let nextVerticalY = vIntersectionY;
+        let verticalHitTextureX = 0;
+        let verticalHitTileX = 0;
+        let verticalHitTileY = 0;
 
         while (!foundVerticalHit) {
             let checkCellX = isFacingLeft ? Math.floor(nextVerticalX / tileSize) - 1 : Math.floor(nextVerticalX / tileSize);
@@ -131,10 +157,29 @@ class Ray {
                  this.verticalWallHitX = Infinity; this.verticalWallHitY = Infinity;
                  foundVerticalHit = true; break;
             }
-            if (this.gameLevel.hasCollision(checkCellX, checkCellY)) {
+            const door = this.gameLevel.getDoor(checkCellX, checkCellY);
+            if (door) {
+                // Doors sliding along y are hit half a step past the grid line; rays through the gap carry on.
+                const doorPanelY = nextVerticalY + vStepY / 2;
+                const doorTextureX = doorPanelY - checkCellY * tileSize - door.openAmount * tileSize;
+                if (door.axis === 'y' && Math.floor(doorPanelY / tileSize) === checkCellY && doorTextureX >= 0) {
+                    foundVerticalHit = true;
+                    this.verticalWallHitX = nextVerticalX + vStepX / 2;
+                    this.verticalWallHitY = doorPanelY;
+                    verticalHitTextureX = doorTextureX;
+                    verticalHitTileX = checkCellX;
+                    verticalHitTileY = checkCellY;
+                    break;
+                }
+                nextVerticalX += vStepX;
+                nextVerticalY += vStepY;
+            } else if (this.gameLevel.hasCollision(checkCellX, checkCellY)) {
                 foundVerticalHit = true;
                 this.verticalWallHitX = nextVerticalX;
                 this.verticalWallHitY = nextVerticalY;
+                verticalHitTextureX = nextVerticalY - checkCellY * tileSize;
+                verticalHitTileX = checkCellX;
+                verticalHitTileY = checkCellY;
             } else {
                 nextVerticalX += vStepX;
                 nextVerticalY += vStepY;
@@ -150,80 +195,67 @@ class Ray {
             this.wallHitX = this.horizontalWallHitX;
             this.wallHitY = this.horizontalWallHitY;
             this.directDistance = horizontalHitDistance;
-            this.texturePixelX = this.wallHitX % tileSize;
-            let wallTileY = isFacingDown ? Math.floor(this.wallHitY / tileSize) : Math.floor(this.wallHitY / tileSize) - 1;
-            this.textureId = this.gameLevel.getTileValue(Math.floor(this.wallHitX / tileSize), wallTileY);
+            this.texturePixelX = horizontalHitTextureX;
+            this.textureId = this.gameLevel.mapData[horizontalHitTileY][horizontalHitTileX];
         } else {
             this.wallHitX = this.verticalWallHitX;
             this.wallHitY = this.verticalWallHitY;
             this.directDistance = verticalHitDistance;
-            this.texturePixelX = this.wallHitY % tileSize;
-            let wallTileX = isFacingLeft ? Math.floor(this.wallHitX / tileSize) - 1 : Math.floor(this.wallHitX / tileSize);
-            this.textureId = this.gameLevel.getTileValue(wallTileX, Math.floor(this.wallHitY / tileSize));
+            this.texturePixelX = verticalHitTextureX;
+            this.textureId = this.gameLevel.mapData[verticalHitTileY][verticalHitTileX];
         }
 
         if (this.directDistance === Infinity) { // No wall hit within map boundaries
             this.directDistance = Number.MAX_SAFE_INTEGER;
             this.correctedDistance = Number.MAX_SAFE_INTEGER;
-            zBuffer[this.screenColumn] = this.directDistance; // Store direct distance for z-buffer
+            if (this.screenColumn !== null) zBuffer[this.screenColumn] = this.directDistance; // Store direct distance for z-buffer
             return;
         }
 
         this.correctedDistance = this.directDistance * Math.cos(this.relativeAngleOffset);
-        zBuffer[this.screenColumn] = this.directDistance; // Store direct distance for z-buffer for walls
+        if (this.screenColumn !== null) zBuffer[this.screenColumn] = this.directDistance; // Store direct distance for z-buffer for walls
     }
 
     /**
-     * Renders the wall strip corresponding to this ray onto the canvas.
+     * Renders the wall strip corresponding to this ray into the frame buffer.
      * This includes calculating the projected wall height, texture coordinates, and applying lighting.
      */
     renderWallStrip() {
         if (this.directDistance >= Number.MAX_SAFE_INTEGER || this.textureId === 0) return; // Don't render if no hit or empty tile
+        const atlasTexture = getTexturePixels(wallTexturesImage);
+        if (!atlasTexture) return;
 
         let projectedWallHeight = (tileSize / this.correctedDistance) * this.projectionPlaneDistance;
-        let screenY0 = (canvasHeight / 2) - (projectedWallHeight / 2); // Top of the wall slice on screen
+        let screenY0 = (RENDER_HEIGHT / 2) - (projectedWallHeight / 2); // Top of the wall slice on screen
         let screenX = this.screenColumn; // Screen column to draw on
 
-        const originalTextureHeight = 64;
-        const originalTextureWidth = 64;
-        let textureSourceX = Math.floor(this.texturePixelX);
+        const originalTextureHeight = WALL_TEXTURE_SIZE;
+        const originalTextureWidth = WALL_TEXTURE_SIZE;
+        let textureSourceX = Math.floor(this.texturePixelX * originalTextureWidth / tileSize); // Tile position to texture column
         textureSourceX = Math.max(0, Math.min(textureSourceX, originalTextureWidth - 1)); // Clamp to texture bounds
 
-        // Calculate Y offset in the texture atlas (assuming texture IDs are 1-based)
-        let textureAtlasOffsetY = (this.textureId - 1) * originalTextureHeight;
-        if (textureAtlasOffsetY < 0) textureAtlasOffsetY = 0;
-
-        this.renderingContext.imageSmoothingEnabled = false;
+        // Locate the tile's texture in the atlas through the level's texture mapping
+        const textureAtlasPosition = this.gameLevel.getTextureAtlasPosition(this.textureId);
+        let textureAtlasOffsetY = textureAtlasPosition.y;
+        textureSourceX += textureAtlasPosition.x;
 
         // Lighting calculation
-        const lightRadius = typeof PLAYER_LIGHT_RADIUS !== 'undefined' ? PLAYER_LIGHT_RADIUS : 200;
-        const ambientLight = typeof AMBIENT_LIGHT_LEVEL !== 'undefined' ? AMBIENT_LIGHT_LEVEL : 0.1;
-        const falloffSharpness = typeof LIGHT_FALLOFF_SHARPNESS !== 'undefined' ? LIGHT_FALLOFF_SHARPNESS : 1.5;
-
-        let brightness = ambientLight; // Start with ambient light
-        if (this.directDistance <= lightRadius) { // If wall is within player's light radius
-             let normalizedDistance = this.directDistance / lightRadius;
-             brightness = ambientLight + (1.0 - ambientLight) * Math.pow(1.0 - normalizedDistance, falloffSharpness);
-        }
-        brightness = Math.max(ambientLight, Math.min(1.0, brightness)); // Clamp brightness
-
-        // Draw the textured wall strip
-        this.renderingContext.drawImage(
-            wallTexturesImage,      // Source image (texture atlas)
-            textureSourceX,         // X-coordinate of the slice on the source texture
-            textureAtlasOffsetY,    // Y-coordinate of the top of the specific texture in the atlas
-            1,                      // Width of the slice from the source texture (1 pixel)
-            originalTextureHeight,  // Height of the slice from the source texture (full height)
-            screenX,                // X-coordinate on the canvas to draw
-            screenY0,               // Y-coordinate on the canvas to draw
-            1,                      // Width of the slice on the canvas (1 pixel column)
-            projectedWallHeight     // Height of the slice on the canvas (scaled)
+        const brightness = calculateLightBrightness(this.directDistance, this.gameLevel.ambientLight);
+
+        // Draw the lit, textured wall strip
+        gameFramebuffer.drawTextureColumn(
+            screenX, screenY0, projectedWallHeight,
+            atlasTexture, textureSourceX, textureAtlasOffsetY, originalTextureHeight,
+            brightness
         );
 
-        // Apply darkness overlay if not fully bright
-        if (brightness < 0.999) { // Using a threshold to avoid issues with full brightness
-            this.renderingContext.fillStyle = `rgba(0, 0, 0, ${1 - brightness})`;
-            this.renderingContext.fillRect(screenX, screenY0, 1, projectedWallHeight);
+        // Locked doors carry a band in the colour of their key card
+        const doorKeyColor = getDoorKeyColor(this.textureId);
+        if (doorKeyColor) {
+            gameFramebuffer.fillColumn(
+                screenX, screenY0 + projectedWallHeight * LOCKED_DOOR_BAND_TOP, projectedWallHeight * LOCKED_DOOR_BAND_HEIGHT,
+                shadeColor(packColor(KEY_CARD_COLORS[doorKeyColor]), brightness)
+            );
         }
     }
 
@@ -11,18 +11,20 @@ var gameContext;
 
 var gameLevel;
 var player;
-let lastPlayerFireTime = 0;
-let playerShootInterval = null;
+/** @type {boolean} True while the shoot button is held; the simulation fires whenever the cooldown allows. */
+let playerTriggerHeld = false;
 /** @type {number} 0 for Raycasting 3D view, 1 for 2D Map view. */
 var renderMode = 0;
-var enemyLaughIntervalId;
+/** @type {number} Simulation time, in seconds, of the last enemy laugh. */
+var lastEnemyLaughTime = 0;
+const ENEMY_LAUGH_INTERVAL = 10; // seconds
+/** @type {number} Volume of the in-game music, adjustable from the pause menu's options. */
+var gameMusicVolume = 0.25;
 
 // --- Game Assets (Images) ---
 var wallTexturesImage;
 var armorImage;
-var enemyImage;
-var enemyDeadImage;
-var enemyDemonAttackImage;
+var heavyArmorImage;
 var playerAttackOrbImage;
 var demonAttackOrbImage;
 var hudBackgroundImage;
@@ -30,24 +32,41 @@ var playerAttackStateImage;
 var playerNeutralStateImage;
 var enemyDeadAngelImage;
 var ammoPackImage;
+var emberPackImage;
 var healthPackImage;
-var torchFrames = [];
+/** @type {Object<string, HTMLImageElement>} The key card images, per key colour. Drawn at load time; see `createKeyCardImageSource()`. */
+var keyCardImages = {};
+/** @type {HTMLImageElement[]} The frames of the explosion animation. Drawn at load time; see `createExplosionFrameSource()`. */
+var explosionFrameImages = [];
+/** @type {HTMLImageElement[]} The kinds of debris thrown off hit enemies. Drawn at load time; see `createDebrisImageSource()`. */
+var debrisImages = [];
+/** @type {HTMLImageElement} The spark thrown off where a shot hits a wall. Drawn at load time; see `createEffectImageSource()`. */
+var sparkEffectImage;
+/** @type {HTMLImageElement} The flash at the muzzle of a fired weapon. Drawn at load time; see `createEffectImageSource()`. */
+var muzzleFlashEffectImage;
+/** @type {HTMLImageElement} The puff of blood where an enemy is hit. Drawn at load time; see `createEffectImageSource()`. */
+var bloodPuffEffectImage;
 let gameMusicStarted = false;
+/** @type {number} The number of frames of the torch animation every weapon viewmodel is made from. */
 const NUMBER_OF_TORCH_FRAMES = 8;
-
-// --- Game Object Collections ---
-/** @type {Sprite[]} Array of ALL Sprite objects in the game. */
-var sprites = [];
-/** @type {Enemy[]} Array of Enemy AI/logic objects. */
-var enemies = [];
-/** @type {Projectile[]} Array of active player Projectile objects. */
-var playerProjectiles = [];
-/** @type {EnemyProjectile[]} Array for active enemy projectiles. */
-var enemyProjectiles = [];
-/** @type {RisingSpriteEffect[]} Array of RisingSpriteEffect objects. */
-var risingSpriteEffects = [];
-/** @type {number[]} Array for Z-buffering, storing distances for each screen column. */
+/** @type {string[]} The images each enemy type has; see `EnemySpriteSet`. */
+const ENEMY_SPRITE_POSES = ['alive', 'attack', 'dead'];
+/** @type {string[]} The poses that can have a rotation set of view files; see `EnemySpriteSet`. The corpse looks the same from everywhere. */
+const ENEMY_VIEW_POSES = ['alive', 'attack'];
+
+// --- Game Session ---
+/** @type {GameSession | null} The running game: owns the loop, timers, listeners, music and entity lists. */
+var gameSession = null;
+/** @type {number[]} Array for Z-buffering, storing distances for each column of the frame buffer. */
 var zBuffer = [];
+/** @type {Framebuffer | null} The frame buffer the 3D view is rendered into at `RENDER_WIDTH` x `RENDER_HEIGHT`. */
+var gameFramebuffer = null;
+
+// --- Frame Time ---
+/** @type {number} Milliseconds it takes to render the 3D view into the frame buffer and present it, averaged over recent frames. */
+var averageWorldRenderTime = 0;
+/** @type {boolean} Whether the 3D view shows the render time; switched in the pause menu options. The map view always shows it. */
+var showFrameTime = SHOW_FRAME_TIME;
 
 // --- Damage Flash Effect ---
 var damageFlashAlpha = 0;
@@ -58,24 +77,49 @@ const NUMBER_OF_ENEMIES = (typeof NUM_ENEMIES_CONFIG !== 'undefined') ? NUM_ENEM
 const NUMBER_OF_AMMO_PACKS = (typeof NUM_AMMO_PACKS_CONFIG !== 'undefined') ? NUM_AMMO_PACKS_CONFIG : 10;
 const NUMBER_OF_HEALTH_PACKS = (typeof NUM_HEALTH_PACKS_CONFIG !== 'undefined') ? NUM_HEALTH_PACKS_CONFIG : 3;
 const NUMBER_OF_ARMOR_PACKS = (typeof NUM_ARMOR_PACKS_CONFIG !== 'undefined') ? NUM_ARMOR_PACKS_CONFIG : 5;
-
-// --- Torch Animation State ---
-var currentTorchFrameIndex = 0;
-var lastTorchFrameUpdateTime = 0;
+const NUMBER_OF_EMBER_PACKS = (typeof NUM_EMBER_PACKS_CONFIG !== 'undefined') ? NUM_EMBER_PACKS_CONFIG : 3;
 
 // --- Level Data ---
-var levelOneLayout = [
-	[1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
-	[1, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 1],
-	[1, 0, 1, 0, 0, 0, 1, 0, 1, 0, 0, 0, 1, 0, 1],
-	[1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1],
-	[1, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 1],
-	[1, 0, 0, 0, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0, 1],
-	[1, 0, 1, 0, 0, 0, 1, 0, 1, 0, 0, 1, 0, 0, 1],
-	[1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-	[1, 0, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 1, 0, 1],
-	[1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1]
-];
+/** @type {Campaign | null} The campaign the current level belongs to. */
+var activeCampaign = null;
+/** @type {string} 'playing', 'paused', 'intermission' (between levels), 'loading' (the next level, still on the intermission screen) or 'campaignComplete'. */
+var gameState = 'playing';
+/** @type {PlayerCarryOverStats | null} The stats the player entered the current level with, used by Restart Level. */
+var levelStartPlayerStats = null;
+
+// --- Input ---
+/** @type {InputController | null} Maps keys and mouse buttons to actions for the current game. */
+var gameInput = null;
+/** @type {TouchControls | null} The on-screen controls, on touch screens only. */
+var touchControls = null;
+
+// --- Canvas Display Size ---
+const CANVAS_MAX_DISPLAY_SIZE = 800; // CSS pixels, along the longer side
+const CANVAS_BORDER_SPACE = 4; // CSS pixels taken by the canvas border on both sides
+
+// --- Pause Menu ---
+/** @type {string} The pause menu page being shown: 'main', 'options' or 'controls'. */
+var pauseMenuPage = 'main';
+var pauseMenuSelectedIndex = 0;
+/** @type {string | null} The action waiting for a new key on the controls page, or null. */
+var pauseMenuRebindAction = null;
+
+// --- Gamepad ---
+/** @type {boolean[]} The button states of the last gamepad poll, to detect presses and releases. */
+var gamepadButtonStates = [];
+/** @type {Object<number, string>} Keys the gamepad buttons stand for in the pause menu: D-pad to arrows, A to Enter, B and Start to Escape. */
+const GAMEPAD_MENU_CODES = { 0: 'Enter', 1: 'Escape', 9: 'Escape', 12: 'ArrowUp', 13: 'ArrowDown', 14: 'ArrowLeft', 15: 'ArrowRight' };
+/** @type {number[]} The gamepad buttons that pause like Escape: the B face button, and Start for players who expect it there. */
+const GAMEPAD_PAUSE_BUTTONS = [1, 9];
+const GAMEPAD_MENU_POLL_INTERVAL = 50; // ms
+
+// --- Game Loop Timing ---
+/** @type {number} Simulation clock in seconds. Advances by `SIMULATION_STEP` per update and drives all gameplay timers. */
+var gameTime = 0;
+
+// --- HUD Message ---
+var hudMessageText = null;
+var hudMessageExpireTime = 0;
 let currentlyOccupiedTileCoords = [];
 
 
@@ -113,108 +157,693 @@ function findRandomEmptySpotCoordinates(levelLayout, quantity, occupiedCoords =
     return selectedSpots;
 }
 
-// --- Keyboard Input Handling ---
-document.addEventListener('keydown', function (event) {
-    if (!player || (player && player.health <= 0 && renderMode === 0)) return;
-    if (player && player.health <= 0 && event.keyCode !== 190) return;
-
-    switch (event.keyCode) {
-        case 38: player.startMovingForward(); break;    // Up arrow
-        case 40: player.startMovingBackward(); break;   // Down arrow
-        case 39: player.startTurningRight(); break;     // Right arrow
-        case 37: player.startTurningLeft(); break;      // Left arrow
-        case 32: startPlayerShooting(); break;          // Space bar
-    }
-});
-document.addEventListener('keyup', function (event) {
-    if (!player || (player && player.health <= 0 && renderMode === 0)) return;
-    if (player && player.health <= 0 && event.keyCode !== 190) return;
-
-    switch (event.keyCode) {
-        case 38: player.stopAxialMovement(); break;
-        case 40: player.stopAxialMovement(); break;
-        case 39: player.stopRotationalMovement(); break;
-        case 37: player.stopRotationalMovement(); break;
-        case 32: stopPlayerShooting(); break;
-        case 190: toggleRenderMode(); break;
-    }
-});
-
-document.addEventListener('keydown', function (event) {
-    if (!gameMusicStarted && player && player.health > 0) {
-        const musicElement = document.getElementById('inGameMusic');
-        if (musicElement && musicElement.paused) {
-            musicElement.volume = 0.25;
-            let playPromise = musicElement.play();
-            if (playPromise !== undefined) {
-                playPromise.then(() => {
-                    gameMusicStarted = true;
-                }).catch(error => {
-                    console.warn("MUSIC: Playback failed even on keydown:", error.name, error.message);
-                });
-            }
+// --- Input Handling ---
+/**
+ * Handles game key presses: the pause menu, the intermission screen, and bound input actions while playing.
+ * Escape (pause) and Enter (restart after death) are fixed, and the number keys select weapons unless they are bound
+ * to an action; everything else goes through `gameInput`.
+ * Attached to the document for the lifetime of a game session.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleGameKeyDown(event) {
+    if (gameState === 'paused') {
+        handlePauseMenuKey(event);
+        return;
+    }
+    if (gameState !== 'playing') {
+        if (event.code === 'Enter' || event.code === 'NumpadEnter' || event.code === 'Space') continueAfterLevelComplete();
+        return;
+    }
+    if (!player || !gameInput) return;
+    if (event.code === 'Escape') { pauseGame(); return; }
+    if (player.health <= 0 && event.code === 'Enter') { restartLevel(); return; }
+    if (event.code.startsWith('Digit') && !gameInput.getActionForCode(event.code)) {
+        if (player.health > 0) player.selectWeapon(Number(event.code.slice(5)) - 1);
+        return;
+    }
+
+    if (gameInput.getActionForCode(event.code)) event.preventDefault(); // e.g. keep Tab and Space from moving the page
+    const pressedAction = gameInput.press(event.code);
+    if (pressedAction) handleInputActionPressed(pressedAction);
+}
+
+/**
+ * Handles game key releases.
+ * @param {KeyboardEvent} event - The keyup event.
+ */
+function handleGameKeyUp(event) {
+    if (!gameInput) return;
+    const releasedAction = gameInput.release(event.code);
+    if (releasedAction && gameState === 'playing') handleInputActionReleased(releasedAction);
+}
+
+/**
+ * Handles mouse buttons (and taps) on the canvas: the first click captures the mouse for mouse look,
+ * later clicks are bound inputs ('Mouse0', 'Mouse1', ...). On the controls page a click rebinds the selected action.
+ * In the pause menu a click selects the entry under it, and on the intermission screen it continues.
+ * @param {MouseEvent} event - The mousedown event.
+ */
+function handleGameMouseDown(event) {
+    if (!gameInput) return;
+    const code = `Mouse${event.button}`;
+    if (gameState === 'paused') {
+        if (pauseMenuRebindAction) {
+            gameInput.rebind(pauseMenuRebindAction, code);
+            pauseMenuRebindAction = null;
+        } else if (event.button === 0) {
+            handlePauseMenuClick(getCanvasPointFromEvent(event));
         }
+        if (gameState === 'paused') renderGame(1);
+        return;
+    }
+    if (gameState === 'intermission' || gameState === 'campaignComplete') {
+        if (event.button === 0) continueAfterLevelComplete();
+        return;
     }
-});
+    if (gameState !== 'playing' || !player) return;
+    if (document.pointerLockElement !== canvas) {
+        if (canvas.requestPointerLock) canvas.requestPointerLock();
+        return;
+    }
+    const pressedAction = gameInput.press(code);
+    if (pressedAction) handleInputActionPressed(pressedAction);
+}
+
+/**
+ * Handles mouse button releases anywhere on the page.
+ * @param {MouseEvent} event - The mouseup event.
+ */
+function handleGameMouseUp(event) {
+    if (!gameInput) return;
+    const releasedAction = gameInput.release(`Mouse${event.button}`);
+    if (releasedAction && gameState === 'playing') handleInputActionReleased(releasedAction);
+}
+
+/**
+ * Converts the position of a mouse event to canvas pixels, whatever size the canvas is displayed at.
+ * @param {MouseEvent} event - The mouse event.
+ * @returns {{x: number, y: number}} The position in canvas pixels.
+ */
+function getCanvasPointFromEvent(event) {
+    const bounds = canvas.getBoundingClientRect();
+    return {
+        x: (event.clientX - bounds.left) * canvasWidth / bounds.width,
+        y: (event.clientY - bounds.top) * canvasHeight / bounds.height
+    };
+}
 
-// --- Player Shooting Mechanics ---
 /**
- * Handles the player firing a projectile.
- * Checks ammo, cooldown, and creates a new projectile.
+ * Feeds mouse movement to mouse look while the mouse is captured.
+ * @param {MouseEvent} event - The mousemove event.
  */
-function firePlayerProjectile() {
-    if (!player || player.health <= 0 || !playerAttackOrbImage || !playerAttackOrbImage.complete || !playerAttackOrbImage.naturalHeight || !gameContext) {
+function handleGameMouseMove(event) {
+    if (!gameInput || gameState !== 'playing' || document.pointerLockElement !== canvas) return;
+    gameInput.addMouseMovement(event.movementX || 0);
+}
+
+/**
+ * Handles the mouse wheel as the inputs 'WheelUp' and 'WheelDown'. A wheel has nothing to hold,
+ * so each turn of it presses and releases its input at once. On the controls page it rebinds the selected action.
+ * @param {WheelEvent} event - The wheel event.
+ */
+function handleGameWheel(event) {
+    if (!gameInput || event.deltaY === 0) return;
+    const code = event.deltaY < 0 ? 'WheelUp' : 'WheelDown';
+    if (gameState === 'paused' && pauseMenuRebindAction) {
+        event.preventDefault();
+        gameInput.rebind(pauseMenuRebindAction, code);
+        pauseMenuRebindAction = null;
+        renderGame(1);
         return;
     }
-    const currentTime = Date.now();
-    if (player.ammo > 0 && (currentTime - lastPlayerFireTime) >= FIRE_COOLDOWN) {
-        lastPlayerFireTime = currentTime;
-        player.playerActionState = 1;
-        player.ammo -= 1;
+    if (gameState !== 'playing' || !player) return;
+    event.preventDefault();
+    const pressedAction = gameInput.press(code);
+    if (pressedAction) handleInputActionPressed(pressedAction);
+    const releasedAction = gameInput.release(code);
+    if (releasedAction) handleInputActionReleased(releasedAction);
+}
 
-        if (typeof playSoundEffect === 'function') {
-            playSoundEffect("music/magicAttack.mp3", 0.2);
-        }
+/**
+ * Reads the first connected gamepad and feeds it into the game: the sticks become analog movement and turning,
+ * and button presses are handled like key presses (see `getGamepadButtonCode()`).
+ */
+function pollGamepads() {
+    if (!gameInput || typeof navigator === 'undefined' || !navigator.getGamepads) return;
+    const gamepad = Array.from(navigator.getGamepads()).find(pad => pad && pad.connected);
+    const snapshot = pollGamepad(gamepad || { axes: [], buttons: [] }, gamepadButtonStates);
+    gamepadButtonStates = snapshot.buttons;
+
+    gameInput.setAnalogAxes('gamepad', snapshot.move, snapshot.strafe, snapshot.turn);
+    snapshot.pressedButtons.forEach(buttonIndex => {
+        handleGameKeyDown({ code: getGamepadButtonCode(buttonIndex), preventDefault() {} });
+    });
+    snapshot.releasedButtons.forEach(buttonIndex => {
+        handleGameKeyUp({ code: `Gamepad${buttonIndex}`, preventDefault() {} });
+    });
+}
 
-        const projectileSpeed = 3;
-        const startOffsetX = Math.cos(player.rotationAngle) * (tileSize * 0.3);
-        const startOffsetY = Math.sin(player.rotationAngle) * (tileSize * 0.3);
+/**
+ * Gets the input code a gamepad button press stands for. In play the buttons are bound inputs ('Gamepad0', ...),
+ * except B and Start, which pause like Escape, and A after death, which restarts like Enter.
+ * In the pause menu and on the intermission screen they navigate like the keyboard.
+ * @param {number} buttonIndex - The button index in the standard mapping.
+ * @returns {string} The input code.
+ */
+function getGamepadButtonCode(buttonIndex) {
+    const bindableCode = `Gamepad${buttonIndex}`;
+    if (gameState === 'playing') {
+        if (GAMEPAD_PAUSE_BUTTONS.includes(buttonIndex)) return 'Escape';
+        if (buttonIndex === 0 && player && player.health <= 0) return 'Enter';
+        return bindableCode;
+    }
+    if (gameState === 'paused') {
+        if (pauseMenuRebindAction && !GAMEPAD_PAUSE_BUTTONS.includes(buttonIndex)) return bindableCode;
+        return GAMEPAD_MENU_CODES[buttonIndex] || bindableCode;
+    }
+    return (buttonIndex === 0 || buttonIndex === 9) ? 'Enter' : bindableCode;
+}
+
+/** Keeps polling the gamepad while the game loop is stopped by the pause menu, so the menu can be used with it. */
+function pollGamepadsWhilePaused() {
+    if (!gameSession || gameState !== 'paused') return;
+    pollGamepads();
+    if (gameSession) gameSession.setTimeout(pollGamepadsWhilePaused, GAMEPAD_MENU_POLL_INTERVAL); // The press may have quit the game
+}
+
+/**
+ * Announces a connected gamepad.
+ * @param {GamepadEvent} event - The gamepadconnected event.
+ */
+function handleGamepadConnected(event) {
+    showToast(`Controller connected: ${event.gamepad.id}`);
+}
+
+/**
+ * Announces a disconnected gamepad and releases whatever it was holding.
+ * @param {GamepadEvent} event - The gamepaddisconnected event.
+ */
+function handleGamepadDisconnected(event) {
+    showToast(`Controller disconnected: ${event.gamepad.id}`);
+    gamepadButtonStates.forEach((isPressed, buttonIndex) => {
+        if (isPressed) handleGameKeyUp({ code: `Gamepad${buttonIndex}`, preventDefault() {} });
+    });
+    gamepadButtonStates = [];
+    if (gameInput) gameInput.setAnalogAxes('gamepad', 0, 0, 0);
+}
 
-        let newProjectile = new Projectile(
-            player.x + startOffsetX, player.y + startOffsetY,
-            player.rotationAngle, projectileSpeed, playerAttackOrbImage, gameContext
-        );
-        playerProjectiles.push(newProjectile);
-        sprites.push(newProjectile.sprite);
+/** Opens the pause menu when the mouse capture is lost (the browser releases it on Escape). */
+function handlePointerLockChange() {
+    if (document.pointerLockElement !== canvas && gameState === 'playing' && player && player.health > 0) pauseGame();
+}
+
+/**
+ * Reacts to an action that just started. Movement and turning are polled each simulation step instead.
+ * @param {string} action - One of `INPUT_ACTIONS`.
+ */
+function handleInputActionPressed(action) {
+    if (player.health <= 0 && action !== 'toggleMap') return;
+    switch (action) {
+        case 'fire': startPlayerShooting(); break;
+        case 'use': useFacingTile(); break;
+        case 'nextWeapon': player.cycleWeapon(1); break;
+        case 'previousWeapon': player.cycleWeapon(-1); break;
+        case 'toggleMap': toggleRenderMode(); break;
     }
 }
 
-/** Starts continuous firing if the shoot button is held. */
+/**
+ * Reacts to an action that just ended.
+ * @param {string} action - One of `INPUT_ACTIONS`.
+ */
+function handleInputActionReleased(action) {
+    if (action === 'fire') stopPlayerShooting();
+}
+
+/** Copies the held movement actions, the gamepad sticks and the pending mouse look into the player, once per simulation step. */
+function applyInputToPlayer() {
+    player.movementInput = gameInput.getAxis('back', 'forward', 'move');
+    player.strafeInput = gameInput.getAxis('strafeLeft', 'strafeRight', 'strafe');
+    player.rotationInput = gameInput.getAxis('turnLeft', 'turnRight', 'turn');
+    player.turnBy(gameInput.consumeMouseTurn());
+}
+
+/**
+ * Uses the tile directly in front of the player.
+ * Using an exit has the same effect as walking into it; using a door opens it, if the player has its key.
+ */
+function useFacingTile() {
+    const reach = gameLevel.tileWidth * 0.75;
+    const tileX = Math.floor((player.x + Math.cos(player.rotationAngle) * reach) / gameLevel.tileWidth);
+    const tileY = Math.floor((player.y + Math.sin(player.rotationAngle) * reach) / gameLevel.tileHeight);
+    if (gameLevel.isExitTile(tileX, tileY)) player.touchedExit = true;
+    const door = gameLevel.getDoor(tileX, tileY);
+    if (!door) return;
+    if (door.requiredKey && !player.hasKey(door.requiredKey)) {
+        showHudMessage(`You need the ${door.requiredKey} key`);
+        return;
+    }
+    door.open();
+}
+
+/**
+ * Checks whether the player or a living enemy overlaps a tile, so a door there must not close.
+ * @param {number} tileX - The x-coordinate of the tile (column index).
+ * @param {number} tileY - The y-coordinate of the tile (row index).
+ * @returns {boolean} True if the tile is occupied.
+ */
+function isDoorwayOccupied(tileX, tileY) {
+    const overlapsTile = (x, y, radius) =>
+        x + radius > tileX * tileSize && x - radius < (tileX + 1) * tileSize &&
+        y + radius > tileY * tileSize && y - radius < (tileY + 1) * tileSize;
+    if (player && player.health > 0 && overlapsTile(player.x, player.y, 0)) return true;
+    return gameSession.enemies.some(enemy => enemy.isAlive && overlapsTile(enemy.x, enemy.y, ENEMY_COLLISION_RADIUS));
+}
+
+/**
+ * Starts the in-game music on the first key press if the browser blocked auto-play.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleGameMusicKey(event) {
+    if (!gameMusicStarted && gameSession && player && player.health > 0 && gameState === 'playing') {
+        gameSession.playMusic().then(() => {
+            gameMusicStarted = true;
+        }).catch(error => {
+            console.warn("MUSIC: Playback failed even on keydown:", error.name, error.message);
+        });
+    }
+}
+
+/**
+ * Shows a short notification over the game, e.g. when a controller is connected.
+ * Toasts are page elements rather than canvas drawings, so they also appear and expire while the game loop is paused.
+ * @param {string} text - The message.
+ * @param {number} [durationMs=3000] - How long the toast stays on screen.
+ */
+function showToast(text, durationMs = 3000) {
+    const gameContainer = document.getElementById('game-container');
+    if (!gameContainer || !gameSession) return;
+    let toastContainer = document.getElementById('toast-container');
+    if (!toastContainer) {
+        toastContainer = document.createElement('div');
+        toastContainer.id = 'toast-container';
+        gameContainer.appendChild(toastContainer);
+    }
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.textContent = text;
+    toastContainer.appendChild(toast);
+    gameSession.setTimeout(() => toastContainer.removeChild(toast), durationMs);
+}
+
+/** Shows the touch controls only while the level is being played, so taps reach the menus otherwise. */
+function updateTouchControlsVisibility() {
+    if (touchControls) touchControls.setVisible(gameState === 'playing');
+}
+
+// --- Campaign Flow ---
+/**
+ * Shows a short message in the HUD, e.g. why the exit cannot be used yet.
+ * @param {string} text - The message.
+ * @param {number} [durationMs=2500] - How long the message stays on screen.
+ */
+function showHudMessage(text, durationMs = 2500) {
+    hudMessageText = text;
+    hudMessageExpireTime = gameTime + durationMs / 1000;
+}
+
+/**
+ * Called when the player walks into an exit tile.
+ * Finishes the level if the campaign allows it, otherwise explains why the exit is closed.
+ */
+function handleExitReached() {
+    if (!activeCampaign) return;
+    const exitBlocker = activeCampaign.getExitBlocker(gameLevel, gameSession.enemies);
+    if (exitBlocker) {
+        if (hudMessageText !== exitBlocker || gameTime > hudMessageExpireTime) showHudMessage(exitBlocker);
+        return;
+    }
+
+    stopPlayerShooting();
+    gameInput.releaseAll();
+    player.stopAxialMovement();
+    player.stopRotationalMovement();
+    activeCampaign.completeLevel(gameLevel, player, gameSession.enemies, gameSession.sprites);
+    gameState = activeCampaign.hasNextLevel() ? 'intermission' : 'campaignComplete';
+    updateTouchControlsVisibility();
+}
+
+/**
+ * Leaves the intermission screen: loads the next level with the player's stats carried over,
+ * or returns to the main menu once the campaign is complete.
+ */
+function continueAfterLevelComplete() {
+    if (gameState === 'intermission') {
+        const carriedPlayerStats = player.getCarryOverStats();
+        const session = gameSession;
+        activeCampaign.advance();
+        gameState = 'loading';
+        loadCurrentLevel().then(level => {
+            if (gameSession !== session) return;
+            setupLevel(level, carriedPlayerStats);
+        }).catch(handleLevelLoadError);
+    } else if (gameState === 'campaignComplete') {
+        leaveGame();
+    }
+}
+
+/**
+ * Builds the level the campaign is at. Catalog levels are fetched from their file with `Level.load()`;
+ * levels handed over as data, e.g. a play-test from the editor, are built directly.
+ * @returns {Promise<Level>} Resolves with the new level. Rejects with a `LevelValidationError` if the level file is invalid.
+ */
+function loadCurrentLevel() {
+    const levelEntry = activeCampaign.currentLevel;
+    if (levelEntry.file) return Level.load(canvas, gameContext, levelEntry.file);
+    return Promise.resolve(Level.fromData(canvas, gameContext, levelEntry));
+}
+
+/**
+ * Gives up on a level that cannot be loaded and returns to where the game was started from, showing the error there.
+ * @param {Error} error - Why the level could not be loaded, usually a `LevelValidationError`.
+ */
+function handleLevelLoadError(error) {
+    console.error(`LEVEL_ERROR: ${error.message}`);
+    if (gameSession) leaveGame(`The level could not be loaded:\n${error.message}`);
+}
+
+/**
+ * Stops the game and returns to where it was started from:
+ * the level editor after a play-test, the main menu otherwise.
+ * @param {string} [noticeText] - A message to show there, e.g. why the game had to stop.
+ */
+function leaveGame(noticeText) {
+    stopGame();
+    const gameContainer = document.getElementById('game-container');
+    if (gameContainer) gameContainer.style.display = 'none';
+
+    if (typeof activeLevelEditor !== 'undefined' && activeLevelEditor && activeLevelEditor.isPlaytesting) {
+        activeLevelEditor.stopPlaytest(noticeText);
+    } else if (typeof initializeMenu === 'function') {
+        initializeMenu(noticeText);
+    }
+}
+
+/** Disposes the game session, which stops the loop, timers, input listeners and music and clears the level's entities. */
+function stopGame() {
+    stopPlayerShooting();
+    if (touchControls) touchControls.destroy();
+    touchControls = null;
+    if (gameSession) gameSession.dispose();
+    gameSession = null;
+    gameInput = null;
+    gamepadButtonStates = [];
+    if (canvas && document.pointerLockElement === canvas) document.exitPointerLock();
+    const toastContainer = document.getElementById('toast-container');
+    if (toastContainer) toastContainer.innerHTML = '';
+
+    gameMusicStarted = false;
+    player = null;
+    gameLevel = null;
+    levelStartPlayerStats = null;
+    gameState = 'playing';
+}
+
+// --- Pause Menu ---
+/**
+ * Gets the entries of the pause menu page currently shown.
+ * Resume is left out once the player has died.
+ * @returns {{label: string, action: function(number): void, isAdjustable: (boolean | undefined)}[]} The entries; `action` receives -1, 0 or 1 for Left, Enter and Right.
+ * Adjustable entries hold a value that Left and Right change.
+ */
+function getPauseMenuItems() {
+    if (pauseMenuPage === 'options') {
+        return [
+            { label: `Music Volume: ${Math.round(gameMusicVolume * 100)}%`, isAdjustable: true, action: direction => setGameMusicVolume(gameMusicVolume + (direction || 1) * 0.05) },
+            { label: `Mouse Sensitivity: ${gameInput.mouseSensitivity}`, isAdjustable: true, action: direction => gameInput.setMouseSensitivity(gameInput.mouseSensitivity + (direction || 1)) },
+            { label: `View: ${renderMode === 0 ? '3D' : 'Map'}`, action: () => toggleRenderMode() },
+            { label: `Frame Time: ${showFrameTime ? 'On' : 'Off'}`, action: () => { showFrameTime = !showFrameTime; } },
+            { label: 'Controls', action: direction => { if (direction === 0) showPauseMenuPage('controls'); } },
+            { label: 'Back', action: direction => { if (direction === 0) showPauseMenuPage('main'); } }
+        ];
+    }
+    if (pauseMenuPage === 'controls') {
+        const bindingItems = INPUT_ACTIONS.map(action => {
+            const boundCodes = gameInput.bindings[action].map(formatInputCode).join(', ') || '-';
+            return {
+                label: `${INPUT_ACTION_LABELS[action]}: ${pauseMenuRebindAction === action ? '...' : boundCodes}`,
+                action: direction => { if (direction === 0) pauseMenuRebindAction = action; }
+            };
+        });
+        return bindingItems.concat([
+            { label: 'Reset to Defaults', action: direction => { if (direction === 0) gameInput.resetBindings(); } },
+            { label: 'Back', action: direction => { if (direction === 0) showPauseMenuPage('options'); } }
+        ]);
+    }
+    const items = [
+        { label: 'Resume', action: direction => { if (direction === 0) resumeGame(); } },
+        { label: 'Restart Level', action: direction => { if (direction === 0) restartLevel(); } },
+        { label: 'Options', action: direction => { if (direction === 0) showPauseMenuPage('options'); } },
+        { label: 'Quit to Menu', action: direction => { if (direction === 0) leaveGame(); } }
+    ];
+    return (player && player.health <= 0) ? items.slice(1) : items;
+}
+
+/**
+ * Switches the pause menu to another page and selects its first entry.
+ * @param {string} page - 'main', 'options' or 'controls'.
+ */
+function showPauseMenuPage(page) {
+    pauseMenuPage = page;
+    pauseMenuSelectedIndex = 0;
+    pauseMenuRebindAction = null;
+}
+
+/**
+ * Handles a key press while the pause menu is open.
+ * The menu keys are fixed so the menu stays usable whatever the bindings are.
+ * While an action waits for a new key on the controls page, the key is bound to it instead (Escape cancels).
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handlePauseMenuKey(event) {
+    event.preventDefault();
+    if (pauseMenuRebindAction) {
+        if (event.code !== 'Escape') gameInput.rebind(pauseMenuRebindAction, event.code);
+        pauseMenuRebindAction = null;
+        renderGame(1);
+        return;
+    }
+
+    const items = getPauseMenuItems();
+    switch (event.code) {
+        case 'ArrowUp': pauseMenuSelectedIndex = (pauseMenuSelectedIndex - 1 + items.length) % items.length; break;
+        case 'ArrowDown': pauseMenuSelectedIndex = (pauseMenuSelectedIndex + 1) % items.length; break;
+        case 'ArrowLeft': items[pauseMenuSelectedIndex].action(-1); break;
+        case 'ArrowRight': items[pauseMenuSelectedIndex].action(1); break;
+        case 'Enter': case 'NumpadEnter': case 'Space': items[pauseMenuSelectedIndex].action(0); break;
+        case 'Escape':
+            if (pauseMenuPage === 'controls') showPauseMenuPage('options');
+            else if (pauseMenuPage !== 'main') showPauseMenuPage('main');
+            else if (player && player.health > 0) resumeGame();
+            break;
+    }
+    if (gameState === 'paused') renderGame(1);
+}
+
+/**
+ * Handles a click or tap on the pause menu: the entry under it is selected and activated.
+ * Adjustable entries go down when clicked on the left half of the screen and up on the right half.
+ * @param {{x: number, y: number}} point - The click position in canvas pixels.
+ */
+function handlePauseMenuClick(point) {
+    const items = getPauseMenuItems();
+    const layout = getPauseMenuLayout(items.length);
+    const index = Math.round((point.y - layout.firstItemY + layout.fontSize * 0.35) / layout.lineHeight);
+    if (index < 0 || index >= items.length) return;
+    const itemCentreY = layout.firstItemY + index * layout.lineHeight - layout.fontSize * 0.35;
+    if (Math.abs(point.y - itemCentreY) > layout.lineHeight / 2) return;
+
+    pauseMenuSelectedIndex = index;
+    const item = items[index];
+    item.action(item.isAdjustable ? (point.x < canvasWidth / 2 ? -1 : 1) : 0);
+}
+
+/**
+ * Freezes the game session and opens the pause menu.
+ * Held movement and the trigger are released so nothing keeps going on resume.
+ * While paused the loop is stopped; the menu is redrawn after each key press.
+ */
+function pauseGame() {
+    if (gameState !== 'playing' || !player || !gameSession) return;
+    stopPlayerShooting();
+    gameInput.releaseAll();
+    player.stopAxialMovement();
+    player.stopRotationalMovement();
+    gameState = 'paused';
+    showPauseMenuPage('main');
+    gameSession.pause();
+    updateTouchControlsVisibility();
+    if (document.pointerLockElement === canvas) document.exitPointerLock();
+    renderGame(1);
+    pollGamepadsWhilePaused();
+}
+
+/** Closes the pause menu and lets the game session continue. */
+function resumeGame() {
+    if (gameState !== 'paused') return;
+    gameState = 'playing';
+    updateTouchControlsVisibility();
+    gameSession.start();
+}
+
+/** Loads the current level again and starts it from scratch, with the stats the player entered it with. */
+function restartLevel() {
+    if (!player || !activeCampaign) return;
+    stopPlayerShooting();
+    gameInput.releaseAll();
+    const session = gameSession;
+    loadCurrentLevel().then(level => {
+        if (gameSession !== session) return;
+        setupLevel(level, levelStartPlayerStats);
+        hudMessageText = null;
+        damageFlashAlpha = 0;
+        gameSession.start();
+    }).catch(handleLevelLoadError);
+}
+
+/**
+ * Sets the in-game music volume.
+ * @param {number} volume - The new volume; clamped to [0, 1].
+ */
+function setGameMusicVolume(volume) {
+    gameMusicVolume = Math.max(0, Math.min(1, Math.round(volume * 20) / 20));
+    const musicElement = document.getElementById('inGameMusic');
+    if (musicElement) musicElement.volume = gameMusicVolume;
+}
+
+// --- Player Shooting Mechanics ---
+/**
+ * Fires the player's selected weapon, if its fire interval and switch time allow it; without ammunition the player swings the torch.
+ * Enemies within `PLAYER_SHOT_NOISE_RADIUS` hear a shot, and a shot flashes at the muzzle. See `Weapon.fire()` and `Player.getActiveWeapon()`.
+ */
+function firePlayerWeapon() {
+    if (!player || player.health <= 0 || !gameContext) return;
+    const weapon = player.getActiveWeapon();
+    if (!weapon.fire(player)) return;
+    player.playerActionState = 1;
+    if (weapon.definition.attack === 'melee') return;
+    alertEnemiesToNoise(player.x, player.y, PLAYER_SHOT_NOISE_RADIUS);
+    const flashDistance = tileSize * 0.6;
+    gameSession.effects.spawn('muzzleFlash',
+        player.x + Math.cos(player.rotationAngle) * flashDistance, player.y + Math.sin(player.rotationAngle) * flashDistance, -tileSize * 0.1);
+}
+
+/**
+ * Lets every living enemy within `radius` of a noise hear it; see `Enemy.hearNoise()`.
+ * @param {number} x - The x-coordinate of the noise, in world units.
+ * @param {number} y - The y-coordinate of the noise, in world units.
+ * @param {number} radius - How far the noise carries, in world units.
+ */
+function alertEnemiesToNoise(x, y, radius) {
+    gameSession.enemies.forEach(enemy => {
+        if (enemy.isAlive && distanceBetweenPoints(x, y, enemy.x, enemy.y) <= radius) enemy.hearNoise(x, y);
+    });
+}
+
+/** Starts continuous firing; `updateGame()` keeps firing while the trigger is held. */
 function startPlayerShooting() {
-    if (playerShootInterval || !player || player.health <= 0) return;
-    firePlayerProjectile();
-    playerShootInterval = setInterval(firePlayerProjectile, FIRE_COOLDOWN);
+    if (playerTriggerHeld || !player || player.health <= 0) return;
+    playerTriggerHeld = true;
+    firePlayerWeapon();
 }
 
 /** Stops continuous firing. */
 function stopPlayerShooting() {
-    clearInterval(playerShootInterval);
-    playerShootInterval = null;
+    playerTriggerHeld = false;
     if (player && player.health > 0) player.playerActionState = 0;
 }
 
+// --- Explosions ---
+/**
+ * Sets off an explosion. Every living enemy and the player within `radius` of the centre take damage,
+ * falling off from `damage` at the centre to nothing at the edge, unless a wall stands between them and the centre.
+ * Nobody is safe from their own explosions.
+ * @param {number} x - The x-coordinate of the centre.
+ * @param {number} y - The y-coordinate of the centre.
+ * @param {number} radius - The radius of the blast, in world units.
+ * @param {number} damage - The damage at the centre.
+ * @param {boolean} isPlayerExplosion - True if the player set it off; enemies hurt by it then count towards the score.
+ */
+function triggerExplosion(x, y, radius, damage, isPlayerExplosion) {
+    if (!gameSession || !gameLevel) return;
+    const getBlastDamage = (targetX, targetY) => {
+        const distance = distanceBetweenPoints(x, y, targetX, targetY);
+        if (distance >= radius || !gameLevel.hasLineOfSight(x, y, targetX, targetY)) return 0;
+        return Math.round(damage * (1 - distance / radius));
+    };
+
+    gameSession.enemies.forEach(enemy => {
+        if (!enemy.isAlive) return;
+        const blastDamage = getBlastDamage(enemy.x, enemy.y);
+        if (blastDamage <= 0) return;
+        enemy.takeDamage(blastDamage);
+        if (isPlayerExplosion && player) player.score += 5;
+    });
+    if (player && player.health > 0) {
+        const blastDamage = getBlastDamage(player.x, player.y);
+        if (blastDamage > 0) player.takeDamage(blastDamage);
+    }
+
+    if (typeof playSoundEffect === 'function') {
+        playSoundEffect("music/fireAttack.mp3", 0.5);
+    }
+    if (explosionFrameImages.length > 0 && explosionFrameImages.every(frame => frame.complete && frame.naturalHeight)) {
+        const explosion = new ExplosionEffect(x, y, explosionFrameImages, gameContext, Math.min(tileSize, radius));
+        gameSession.explosionEffects.push(explosion);
+        gameSession.sprites.push(explosion.sprite);
+    }
+}
+
+/**
+ * Throws debris off a hit enemy; see `DebrisParticle`.
+ * @param {number} x - The x-coordinate the debris is thrown from.
+ * @param {number} y - The y-coordinate the debris is thrown from.
+ * @param {number} count - The number of particles.
+ */
+function spawnDebris(x, y, count) {
+    if (!gameSession || debrisImages.length === 0 || !debrisImages.every(image => image.complete && image.naturalHeight)) return;
+    for (let i = 0; i < count; i++) {
+        const particle = new DebrisParticle(x, y, debrisImages[Math.floor(Math.random() * debrisImages.length)], gameContext);
+        gameSession.debrisParticles.push(particle);
+        gameSession.sprites.push(particle.sprite);
+    }
+}
+
 /** Toggles between 3D Raycasting view and 2D Map view. */
 function toggleRenderMode() {
 	renderMode = (renderMode === 0) ? 1 : 0;
 }
 
 // --- Canvas Rescaling ---
-/** Resizes the canvas element visually on the page (CSS pixels). */
+/**
+ * Resizes the canvas element visually on the page (CSS pixels): as large as the window allows, up to
+ * `CANVAS_MAX_DISPLAY_SIZE`, keeping its aspect ratio. With touch controls in portrait orientation,
+ * room is left below the canvas for the controls. Called again whenever the window is resized or rotated.
+ */
 function rescaleCanvas() {
-    if (canvas) {
-	    canvas.style.width = "800px";
-        canvas.style.height = "800px";
-    }
+    if (!canvas) return;
+    const orientation = window.innerHeight > window.innerWidth ? 'portrait' : 'landscape';
+    const reservedHeight = (touchControls && orientation === 'portrait') ? TOUCH_CONTROLS_PORTRAIT_HEIGHT : 0;
+    const availableWidth = window.innerWidth - CANVAS_BORDER_SPACE;
+    const availableHeight = window.innerHeight - CANVAS_BORDER_SPACE - reservedHeight;
+    const scale = Math.max(0, Math.min(
+        CANVAS_MAX_DISPLAY_SIZE / Math.max(canvasWidth, canvasHeight),
+        availableWidth / canvasWidth,
+        availableHeight / canvasHeight
+    ));
+    canvas.style.width = `${Math.floor(canvasWidth * scale)}px`;
+    canvas.style.height = `${Math.floor(canvasHeight * scale)}px`;
+    if (touchControls) touchControls.setLayout(orientation);
 }
 
 // --- Object Initialization ---
@@ -222,87 +851,130 @@ function rescaleCanvas() {
 function initializeStaticSprites() {
     if (typeof tileSize === 'undefined' || !gameContext ||
         (typeof armorImage !== 'undefined' && (!armorImage || !armorImage.complete || !armorImage.naturalHeight)) ||
+        (typeof heavyArmorImage !== 'undefined' && (!heavyArmorImage || !heavyArmorImage.complete || !heavyArmorImage.naturalHeight)) ||
         (typeof ammoPackImage !== 'undefined' && (!ammoPackImage || !ammoPackImage.complete || !ammoPackImage.naturalHeight)) ||
+        (typeof emberPackImage !== 'undefined' && (!emberPackImage || !emberPackImage.complete || !emberPackImage.naturalHeight)) ||
         (typeof healthPackImage !== 'undefined' && (!healthPackImage || !healthPackImage.complete || !healthPackImage.naturalHeight))
     ) {
          console.warn("ASSETS: Item images, context, or tileSize not ready for static sprites. Retrying...");
-         setTimeout(initializeStaticSprites, 250); return;
+         gameSession.setTimeout(initializeStaticSprites, 250); return;
+    }
+
+    if (gameLevel.pickupPlacements) {
+        gameLevel.pickupPlacements.forEach(pickup => {
+            const spot = { r: pickup.row, c: pickup.col };
+            const item = createPickupSprite(pickup.type, spot);
+            if (item) { gameSession.sprites.push(item); currentlyOccupiedTileCoords.push(spot); }
+        });
+        return;
     }
 
     const numArmor = typeof NUMBER_OF_ARMOR_PACKS !== 'undefined' ? NUMBER_OF_ARMOR_PACKS : 1;
     const numAmmo = typeof NUMBER_OF_AMMO_PACKS !== 'undefined' ? NUMBER_OF_AMMO_PACKS : 4;
     const numHealth = typeof NUMBER_OF_HEALTH_PACKS !== 'undefined' ? NUMBER_OF_HEALTH_PACKS : 3;
+    const numEmbers = typeof NUMBER_OF_EMBER_PACKS !== 'undefined' ? NUMBER_OF_EMBER_PACKS : 3;
 
-    if (armorImage && armorImage.complete && armorImage.naturalHeight) {
-        const armorSpots = findRandomEmptySpotCoordinates(levelOneLayout, numArmor, currentlyOccupiedTileCoords);
-        armorSpots.forEach(spot => {
-            let worldX = spot.c * tileSize + tileSize / 2; let worldY = spot.r * tileSize + tileSize / 2;
-            let item = new Sprite(worldX, worldY, armorImage, gameContext);
-            item.type = 'armor'; item.worldHeight = tileSize * 0.6; sprites.push(item); currentlyOccupiedTileCoords.push(spot);
-        });
-    }
-    if (ammoPackImage && ammoPackImage.complete && ammoPackImage.naturalHeight) {
-        const ammoSpots = findRandomEmptySpotCoordinates(levelOneLayout, numAmmo, currentlyOccupiedTileCoords);
-        ammoSpots.forEach(spot => {
-            let worldX = spot.c * tileSize + tileSize / 2; let worldY = spot.r * tileSize + tileSize / 2;
-            let item = new Sprite(worldX, worldY, ammoPackImage, gameContext);
-            item.type = 'ammo'; item.worldHeight = tileSize / 3; sprites.push(item); currentlyOccupiedTileCoords.push(spot);
+    [['armor', numArmor], ['ammo', numAmmo], ['embers', numEmbers], ['health', numHealth]].forEach(([pickupType, quantity]) => {
+        const pickupSpots = findRandomEmptySpotCoordinates(gameLevel.mapData, quantity, currentlyOccupiedTileCoords);
+        pickupSpots.forEach(spot => {
+            const item = createPickupSprite(pickupType, spot);
+            if (item) { gameSession.sprites.push(item); currentlyOccupiedTileCoords.push(spot); }
         });
-    }
-    if (healthPackImage && healthPackImage.complete && healthPackImage.naturalHeight) {
-        const healthSpots = findRandomEmptySpotCoordinates(levelOneLayout, numHealth, currentlyOccupiedTileCoords);
-        healthSpots.forEach(spot => {
-            let worldX = spot.c * tileSize + tileSize / 2; let worldY = spot.r * tileSize + tileSize / 2;
-            let item = new Sprite(worldX, worldY, healthPackImage, gameContext);
-            item.type = 'health'; item.worldHeight = tileSize / 2.5; sprites.push(item); currentlyOccupiedTileCoords.push(spot);
-        });
-    }
+    });
+}
+
+/**
+ * Creates the sprite for a pickup item centered on a tile.
+ * @param {string} pickupType - One of `LEVEL_PICKUP_TYPES` ('ammo', 'embers', 'health', 'armor', 'heavyArmor' or a key card such as 'redKey').
+ * @param {{r: number, c: number}} spot - The tile coordinates.
+ * @returns {Sprite | null} The pickup sprite, or null if its image is not loaded.
+ */
+function createPickupSprite(pickupType, spot) {
+    const pickupImages = { armor: armorImage, heavyArmor: heavyArmorImage, ammo: ammoPackImage, embers: emberPackImage, health: healthPackImage };
+    const pickupHeights = { armor: tileSize * 0.6, heavyArmor: tileSize * 0.6, ammo: tileSize / 3, embers: tileSize / 3, health: tileSize / 2.5 };
+    const keyColor = getPickupKeyColor(pickupType);
+    const image = keyColor ? keyCardImages[keyColor] : pickupImages[pickupType];
+    if (!image || !image.complete || !image.naturalHeight) return null;
+
+    let worldX = spot.c * tileSize + tileSize / 2; let worldY = spot.r * tileSize + tileSize / 2;
+    let item = new Sprite(worldX, worldY, image, gameContext);
+    item.type = pickupType; item.worldHeight = keyColor ? tileSize / 4 : pickupHeights[pickupType];
+    return item;
+}
+
+/**
+ * Checks whether every image of the enemy types has loaded.
+ * @returns {boolean} True if enemies can be created.
+ */
+function areEnemyImagesLoaded() {
+    const isLoaded = image => image && image.complete && image.naturalHeight;
+    return Object.keys(ENEMY_DEFINITIONS).every(typeId => {
+        const spriteImages = gameSession.enemySpriteImages[typeId];
+        const projectileType = ENEMY_DEFINITIONS[typeId].projectile;
+        return spriteImages && isLoaded(spriteImages.alive) && isLoaded(spriteImages.attack) && isLoaded(spriteImages.dead) &&
+            (!projectileType || isLoaded(window[projectileType.image]));
+    });
 }
 
-/** Initializes enemy objects. */
+/** Initializes enemy objects. Placements from the level name their type; random placements are all `DEFAULT_ENEMY_TYPE`. */
 function initializeEnemies() {
-    if (typeof tileSize === 'undefined' || !gameContext || !enemyImage || !enemyImage.complete || !enemyImage.naturalHeight) {
-        console.warn("ASSETS: Enemy base image, context, or tileSize not ready. Retrying enemy init...");
-        setTimeout(initializeEnemies, 250); return;
-    }
-    if (typeof enemyDemonAttackImage === 'undefined' || typeof enemyDeadImage === 'undefined' || typeof demonAttackOrbImage === 'undefined') {
-        console.warn("ASSETS: One or more enemy-specific image variables not declared. Retrying enemy init.");
-        setTimeout(initializeEnemies, 250); return;
+    if (typeof tileSize === 'undefined' || !gameContext) {
+        console.warn("ASSETS: Context or tileSize not ready. Retrying enemy init...");
+        gameSession.setTimeout(initializeEnemies, 250); return;
     }
-    if ((!enemyDemonAttackImage || !enemyDemonAttackImage.complete || !enemyDemonAttackImage.naturalHeight) ||
-        (!enemyDeadImage || !enemyDeadImage.complete || !enemyDeadImage.naturalHeight) ||
-        (!demonAttackOrbImage || !demonAttackOrbImage.complete || !demonAttackOrbImage.naturalHeight)) {
-        console.warn("ASSETS: Not all enemy specific images (attack, death, orb) are fully loaded. Retrying enemy init...");
-        setTimeout(initializeEnemies, 250); return;
+    if (!areEnemyImagesLoaded()) {
+        console.warn("ASSETS: Not all enemy images (alive, attack, death, projectile) are fully loaded. Retrying enemy init...");
+        gameSession.setTimeout(initializeEnemies, 250); return;
     }
 
     const numEnemies = typeof NUMBER_OF_ENEMIES !== 'undefined' ? NUMBER_OF_ENEMIES : 5;
-    const enemySpots = findRandomEmptySpotCoordinates(levelOneLayout, numEnemies, currentlyOccupiedTileCoords);
+    const enemySpots = gameLevel.enemyPlacements
+        ? gameLevel.enemyPlacements.map(placement => ({ r: placement.row, c: placement.col, type: placement.type }))
+        : findRandomEmptySpotCoordinates(gameLevel.mapData, numEnemies, currentlyOccupiedTileCoords);
     enemySpots.forEach(spot => {
-        let worldX = spot.c * tileSize + tileSize / 2; let worldY = spot.r * tileSize + tileSize / 2;
-        let enemySpriteInstance = new Sprite(worldX, worldY, enemyImage, gameContext);
-        sprites.push(enemySpriteInstance);
-        enemies.push(new Enemy(worldX, worldY, enemyImage, gameContext, enemySpriteInstance));
+        spawnEnemy(ENEMY_DEFINITIONS[spot.type || DEFAULT_ENEMY_TYPE], spot.c * tileSize + tileSize / 2, spot.r * tileSize + tileSize / 2);
         currentlyOccupiedTileCoords.push(spot);
     });
 }
 
-/** Renders all visible sprites using Painter's Algorithm (sorted by distance). */
-function renderVisibleSprites() {
-    if (!player || !sprites || !sprites.length) return;
+/**
+ * Creates an enemy with its sprite and adds both to the session. Boss types become a `Boss`.
+ * Used for the enemies of the level and for the minions bosses summon.
+ * @param {EnemyDefinition} definition - The enemy type. Its images must have loaded; see `areEnemyImagesLoaded()`.
+ * @param {number} worldX - The x-coordinate, in world units.
+ * @param {number} worldY - The y-coordinate, in world units.
+ * @returns {Enemy} The new enemy.
+ */
+function spawnEnemy(definition, worldX, worldY) {
+    const spriteImages = gameSession.enemySpriteImages[definition.id];
+    const enemySpriteInstance = new Sprite(worldX, worldY, spriteImages.alive, gameContext);
+    gameSession.sprites.push(enemySpriteInstance);
+    const EnemyClass = definition.bossFight ? Boss : Enemy;
+    const enemy = new EnemyClass(worldX, worldY, definition, spriteImages, gameContext, enemySpriteInstance);
+    gameSession.enemies.push(enemy);
+    return enemy;
+}
+
+/**
+ * Renders all visible sprites using Painter's Algorithm (sorted by distance).
+ * @param {number} [interpolationAlpha=1] - How far rendering is between the previous and current simulation step.
+ */
+function renderVisibleSprites(interpolationAlpha = 1) {
+    if (!player || !gameSession.sprites || !gameSession.sprites.length) return;
+    const viewer = player.getRenderView(interpolationAlpha);
 
-    for (let sprite of sprites) {
+    for (let sprite of gameSession.sprites) {
         if (sprite.visible) {
-            sprite.calculateRenderData(player, FOV_RADIANS_HALF, canvasWidth, canvasHeight, tileSize);
+            sprite.calculateRenderData(viewer, interpolationAlpha);
         } else {
             sprite.distanceToPlayer = Infinity;
         }
     }
-	sprites.sort((obj1, obj2) => obj2.distanceToPlayer - obj1.distanceToPlayer);
+	gameSession.sprites.sort((obj1, obj2) => obj2.distanceToPlayer - obj1.distanceToPlayer);
 
-	for (let sprite of sprites) {
+	for (let sprite of gameSession.sprites) {
         if (sprite.visible) {
-		    sprite.draw(zBuffer, AMBIENT_LIGHT_LEVEL, PLAYER_LIGHT_RADIUS, LIGHT_FALLOFF_SHARPNESS, player);
+		    sprite.draw(viewer, interpolationAlpha);
         }
 	}
 }
@@ -311,15 +983,20 @@ function renderVisibleSprites() {
 let assetsToLoadCount = 0;
 let assetsLoadedCount = 0;
 
-/** Callback for successfully loaded asset. */
-function onAssetLoaded(assetName) {
+/**
+ * Callback for successfully loaded asset.
+ * Ignored if the session that requested the asset has been disposed in the meantime.
+ */
+function onAssetLoaded(assetName, session) {
+    if (session !== gameSession) return;
     assetsLoadedCount++;
     if (assetsLoadedCount >= assetsToLoadCount) {
         initializeGameObjects();
     }
 }
 /** Callback for asset load error. */
-function onAssetLoadError(assetName, src) {
+function onAssetLoadError(assetName, src, session) {
+    if (session !== gameSession) return;
     console.error(`ASSET_LOAD: FAILURE - Failed to load ${assetName} from ${src}`);
     assetsLoadedCount++;
     if (assetsLoadedCount >= assetsToLoadCount) {
@@ -328,20 +1005,23 @@ function onAssetLoadError(assetName, src) {
     }
 }
 
-/** Initializes core game objects after assets are loaded. */
-function initializeGameObjects() {
-    if (typeof tileSize === 'undefined' || typeof canvasWidth === 'undefined' || typeof canvasHeight === 'undefined') {
-        console.error("INIT_ERROR: Essential config constants (tileSize, canvasWidth, canvasHeight) are undefined. Retrying...");
-        setTimeout(initializeGameObjects, 250);
-        return;
-    }
-
-    gameLevel = new Level(canvas, gameContext, levelOneLayout);
+/**
+ * Places the player and entities in a freshly loaded level and makes it the current one.
+ * Used for the first level, for restarts and for every campaign level transition.
+ * @param {Level} level - The level, as loaded by `loadCurrentLevel()`.
+ * @param {PlayerCarryOverStats | null} carriedPlayerStats - Player stats carried over from the previous level, if any.
+ */
+function setupLevel(level, carriedPlayerStats) {
+    gameLevel = level;
     currentlyOccupiedTileCoords = [];
 
-    let playerStartSpot = findRandomEmptySpotCoordinates(levelOneLayout, 1, currentlyOccupiedTileCoords)[0];
+    const namedPlayerStart = gameLevel.getPlayerStart();
+    let playerStartSpot = namedPlayerStart
+        ? { r: namedPlayerStart.row, c: namedPlayerStart.col }
+        : findRandomEmptySpotCoordinates(gameLevel.mapData, 1, currentlyOccupiedTileCoords)[0];
     if (playerStartSpot) {
         player = new Player(gameContext, gameLevel, playerStartSpot.c * tileSize + tileSize/2, playerStartSpot.r * tileSize + tileSize/2);
+        if (namedPlayerStart && typeof namedPlayerStart.angle === 'number') player.rotationAngle = normalizeAngle(namedPlayerStart.angle);
         currentlyOccupiedTileCoords.push(playerStartSpot);
     } else {
         player = new Player(gameContext, gameLevel, 1.5*tileSize, 1.5*tileSize); // Fallback start position
@@ -349,45 +1029,73 @@ function initializeGameObjects() {
         console.warn("INIT: Player fallback start position used.");
     }
 
-    zBuffer = new Array(canvasWidth).fill(Infinity);
-    sprites = []; enemies = []; playerProjectiles = []; enemyProjectiles = []; risingSpriteEffects = [];
+    if (carriedPlayerStats) player.applyCarryOverStats(carriedPlayerStats);
+    levelStartPlayerStats = carriedPlayerStats;
+
+    zBuffer = new Array(RENDER_WIDTH).fill(Infinity);
+    gameSession.clearEntities();
 
     initializeStaticSprites();
     initializeEnemies();
 
-    setInterval(mainGameLoop, 1000 / (typeof FPS !== 'undefined' ? FPS : 50) );
-    rescaleCanvas();
+    gameState = 'playing';
+    updateTouchControlsVisibility();
+    lastEnemyLaughTime = gameTime;
+    if (activeCampaign) activeCampaign.beginLevel();
 
-    if (typeof playSoundEffect === 'function') {
-        const laughIntervalMs = 10000;
-        if (enemyLaughIntervalId) clearInterval(enemyLaughIntervalId);
-        enemyLaughIntervalId = setInterval(() => {
-            if (player && player.health > 0 && enemies.some(e => e.isAlive)) {
-                playSoundEffect("music/enemyLaugh.mp3", 0.25);
-            }
-        }, laughIntervalMs);
+    const musicElement = document.getElementById('inGameMusic');
+    if (musicElement && gameLevel.musicTrack && musicElement.getAttribute('src') !== gameLevel.musicTrack) {
+        musicElement.setAttribute('src', gameLevel.musicTrack);
+        if (gameMusicStarted) gameSession.playMusic().catch(handleMusicPlayError);
     }
+}
 
-    const musicElement = document.getElementById('inGameMusic');
-    if (musicElement) {
-        musicElement.volume = 0.25;
-        let playPromise = musicElement.play();
-        if (playPromise !== undefined) {
-            playPromise.then(() => {
+/** Initializes core game objects after assets are loaded. */
+function initializeGameObjects() {
+    if (typeof tileSize === 'undefined' || typeof canvasWidth === 'undefined' || typeof canvasHeight === 'undefined') {
+        console.error("INIT_ERROR: Essential config constants (tileSize, canvasWidth, canvasHeight) are undefined. Retrying...");
+        gameSession.setTimeout(initializeGameObjects, 250);
+        return;
+    }
+
+    const session = gameSession;
+    loadCurrentLevel().then(level => {
+        if (gameSession !== session) return;
+        gameTime = 0;
+        setupLevel(level, null);
+
+        gameSession.start();
+        rescaleCanvas();
+
+        if (gameSession.musicElement) {
+            gameSession.musicElement.volume = gameMusicVolume;
+            gameSession.playMusic().then(() => {
                 gameMusicStarted = true;
-            }).catch(error => {
-            });
+            }).catch(handleMusicPlayError);
+        } else {
+            console.warn("MUSIC: inGameMusic element not found in HTML.");
         }
-    } else {
-        console.warn("MUSIC: inGameMusic element not found in HTML.");
-    }
+    }).catch(handleLevelLoadError);
 }
 
 /**
- * Main initialization function for the game. Sets up canvas, context, and starts asset loading.
- * This is typically called once when the game is ready to start (e.g., from menu.js).
+ * Main initialization function for the game. Sets up canvas, context, a new game session, and starts asset loading.
+ * Called whenever a game is started (e.g., from menu.js); a session that is still running is disposed first.
+ * @param {LevelCatalogEntry | LevelData | number[][]} [levelSource=LEVEL_CATALOG[0]] - The level to play: a catalog entry,
+ * whose file is loaded once the assets are, or level data or a bare tile grid.
+ * @param {Campaign} [campaign] - The campaign the level belongs to. Defaults to a single-level campaign.
  */
-function initializeGame() {
+function initializeGame(levelSource = LEVEL_CATALOG[0], campaign) {
+    const levelEntry = normalizeLevelData(levelSource);
+    const levelProblems = levelEntry.file ? [] : validateLevelData(levelEntry);
+    if (levelProblems.length > 0) {
+        const problemText = `Level "${levelEntry.name || 'Untitled'}" is invalid:\n${levelProblems.map(formatLevelProblem).join('\n')}`;
+        console.error(`LEVEL_ERROR: ${problemText}`);
+        leaveGame(problemText);
+        return;
+    }
+    activeCampaign = campaign || new Campaign([levelEntry]);
+
 	canvas = document.getElementById('canvas');
 	if (!canvas) { console.error("SETUP: Canvas element not found!"); return; }
 	gameContext = canvas.getContext('2d');
@@ -395,51 +1103,152 @@ function initializeGame() {
 
     if (typeof canvasWidth === 'undefined' || typeof canvasHeight === 'undefined') {
         console.error("SETUP_ERROR: canvasWidth or canvasHeight from config.js is undefined. Retrying...");
-        setTimeout(initializeGame, 250);
+        setTimeout(() => initializeGame(levelSource, campaign), 250);
         return;
     }
 	canvas.width = canvasWidth;
 	canvas.height = canvasHeight;
+    if (!gameFramebuffer) gameFramebuffer = new Framebuffer(RENDER_WIDTH, RENDER_HEIGHT);
+
+    if (gameSession) stopGame();
+    const session = new GameSession(runGameFrame);
+    gameSession = session;
+    gameInput = new InputController();
+    session.addListener(document, 'keydown', handleGameKeyDown);
+    session.addListener(document, 'keyup', handleGameKeyUp);
+    session.addListener(document, 'keydown', handleGameMusicKey);
+    session.addListener(canvas, 'mousedown', handleGameMouseDown);
+    session.addListener(document, 'mouseup', handleGameMouseUp);
+    session.addListener(document, 'mousemove', handleGameMouseMove);
+    session.addListener(canvas, 'wheel', handleGameWheel, { passive: false });
+    session.addListener(document, 'pointerlockchange', handlePointerLockChange);
+    session.addListener(window, 'gamepadconnected', handleGamepadConnected);
+    session.addListener(window, 'gamepaddisconnected', handleGamepadDisconnected);
+    session.addListener(window, 'resize', rescaleCanvas);
+    session.addListener(window, 'orientationchange', rescaleCanvas);
+
+    const gameContainer = document.getElementById('game-container');
+    if (gameContainer && TouchControls.isSupported()) {
+        touchControls = new TouchControls(gameContainer, session, {
+            onMove: (move, strafe) => { if (gameInput) gameInput.setAnalogAxes('touch', move, strafe, 0); },
+            onLook: movementX => { if (gameInput && gameState === 'playing') gameInput.addMouseMovement(movementX); },
+            onFireStart: () => { if (gameState === 'playing') startPlayerShooting(); },
+            onFireEnd: stopPlayerShooting,
+            onPause: pauseGame
+        });
+    }
+    rescaleCanvas();
 
     const imageAssetDefinitions = [
         { varName: 'wallTexturesImage', src: "img/walls.png" },
         { varName: 'hudBackgroundImage', src: "img/hud_background.png" },
         { varName: 'playerAttackStateImage', src: "img/attack_player.png" },
         { varName: 'playerNeutralStateImage', src: "img/neutral_player.png" },
-        { varName: 'enemyImage', src: "img/enemyDemon.png" },
         { varName: 'armorImage', src: "img/armor.png" },
-        { varName: 'enemyDeadImage', src: "img/enemyDemonDead.png" },
+        { varName: 'heavyArmorImage', src: "img/armor.png", tint: [40, 70, 230] },
         { varName: 'playerAttackOrbImage', src: "img/playerAttackOrb.png" },
         { varName: 'enemyDeadAngelImage', src: "img/enemyDeadAngel.png" },
         { varName: 'ammoPackImage', src: "img/ammoPack.png" },
+        { varName: 'emberPackImage', src: "img/ammoPack.png", tint: [240, 110, 20] },
         { varName: 'healthPackImage', src: "img/healthPack.png" },
-        { varName: 'enemyDemonAttackImage', src: "img/enemyDemonAttack.png" },
         { varName: 'demonAttackOrbImage', src: "img/demonAttackOrb.png" }
     ];
-    assetsToLoadCount = imageAssetDefinitions.length + NUMBER_OF_TORCH_FRAMES;
+    const keyColors = Object.keys(KEY_CARD_COLORS);
+    const enemyTypeIds = Object.keys(ENEMY_DEFINITIONS);
+    const effectImageNames = Object.keys(GENERATED_EFFECT_IMAGES);
+    const enemyViewFileCount = enemyTypeIds.reduce((count, typeId) => count +
+        ENEMY_VIEW_POSES.reduce((poseCount, pose) => poseCount + (ENEMY_DEFINITIONS[typeId].sprites[`${pose}Views`] || []).length, 0), 0);
+    assetsToLoadCount = imageAssetDefinitions.length + keyColors.length + EXPLOSION_FRAME_COUNT + DEBRIS_IMAGE_COUNT + effectImageNames.length +
+        NUMBER_OF_TORCH_FRAMES * WEAPON_DEFINITIONS.length + ENEMY_SPRITE_POSES.length * enemyTypeIds.length + enemyViewFileCount;
     assetsLoadedCount = 0;
 
     if (assetsToLoadCount === 0) { initializeGameObjects(); return; }
 
     imageAssetDefinitions.forEach(assetInfo => {
-        window[assetInfo.varName] = new Image();
-        window[assetInfo.varName].onload = () => onAssetLoaded(assetInfo.varName);
-        window[assetInfo.varName].onerror = () => onAssetLoadError(assetInfo.varName, assetInfo.src);
-        window[assetInfo.varName].src = assetInfo.src;
+        window[assetInfo.varName] = loadGameImage(assetInfo.varName, assetInfo.src, assetInfo.tint, session);
     });
 
-    for (let i = 0; i < NUMBER_OF_TORCH_FRAMES; i++) {
-        let frameImage = new Image();
-        let frameName = `torchFrame${i + 1}`;
-        frameImage.onload = () => {
-            onAssetLoaded(frameName);
-        };
-        frameImage.onerror = () => {
-            onAssetLoadError(frameName, `img/torch/torch${i + 1}.png`);
-        };
-        frameImage.src = `img/torch/torch${i + 1}.png`;
-        torchFrames[i] = frameImage;
+    keyCardImages = {};
+    keyColors.forEach(keyColor => {
+        const keyImage = new Image();
+        keyImage.onload = () => onAssetLoaded(`${keyColor}KeyImage`, session);
+        keyImage.onerror = () => onAssetLoadError(`${keyColor}KeyImage`, 'generated key card', session);
+        keyImage.src = createKeyCardImageSource(keyColor);
+        keyCardImages[keyColor] = keyImage;
+    });
+
+    explosionFrameImages = [];
+    for (let i = 0; i < EXPLOSION_FRAME_COUNT; i++) {
+        const frameImage = new Image();
+        frameImage.onload = () => onAssetLoaded(`explosionFrame${i + 1}`, session);
+        frameImage.onerror = () => onAssetLoadError(`explosionFrame${i + 1}`, 'generated explosion frame', session);
+        frameImage.src = createExplosionFrameSource(i);
+        explosionFrameImages[i] = frameImage;
+    }
+
+    debrisImages = [];
+    for (let i = 0; i < DEBRIS_IMAGE_COUNT; i++) {
+        const debrisImage = new Image();
+        debrisImage.onload = () => onAssetLoaded(`debrisImage${i + 1}`, session);
+        debrisImage.onerror = () => onAssetLoadError(`debrisImage${i + 1}`, 'generated debris', session);
+        debrisImage.src = createDebrisImageSource(i);
+        debrisImages[i] = debrisImage;
     }
+
+    effectImageNames.forEach(imageName => {
+        const effectImage = new Image();
+        effectImage.onload = () => onAssetLoaded(imageName, session);
+        effectImage.onerror = () => onAssetLoadError(imageName, 'generated effect image', session);
+        effectImage.src = createEffectImageSource(imageName);
+        window[imageName] = effectImage;
+    });
+
+    // Every weapon is the torch in the player's hand, tinted in the weapon's colour.
+    WEAPON_DEFINITIONS.forEach(definition => {
+        session.viewmodelFrames[definition.id] = [];
+        for (let i = 0; i < NUMBER_OF_TORCH_FRAMES; i++) {
+            session.viewmodelFrames[definition.id][i] = loadGameImage(
+                `${definition.id}ViewmodelFrame${i + 1}`, `img/torch/torch${i + 1}.png`, definition.viewmodel.tint, session
+            );
+        }
+    });
+
+    // Enemy types share the demon images and tell themselves apart by tint.
+    enemyTypeIds.forEach(typeId => {
+        const sprites = ENEMY_DEFINITIONS[typeId].sprites;
+        session.enemySpriteImages[typeId] = {};
+        ENEMY_SPRITE_POSES.forEach(pose => {
+            session.enemySpriteImages[typeId][pose] = loadGameImage(`${typeId}${pose[0].toUpperCase()}${pose.slice(1)}Image`, sprites[pose], sprites.tint, session);
+        });
+        // Poses with view files get a rotation set; the others show their one image from every side.
+        ENEMY_VIEW_POSES.forEach(pose => {
+            const viewFiles = sprites[`${pose}Views`];
+            if (!viewFiles) return;
+            session.enemySpriteImages[typeId][`${pose}Views`] = viewFiles.map((viewFile, viewIndex) =>
+                loadGameImage(`${typeId}${pose[0].toUpperCase()}${pose.slice(1)}View${viewIndex + 1}`, viewFile, sprites.tint, session));
+        });
+    });
+}
+
+/**
+ * Starts loading an image for a session; it counts towards `assetsToLoadCount` once loaded (or failed).
+ * @param {string} assetName - The name used in load messages.
+ * @param {string} src - The image file.
+ * @param {number[] | null | undefined} tint - A colour to tint the image with, as [red, green, blue]; see `createTintedImageSource()`.
+ * @param {GameSession} session - The session the image is loaded for.
+ * @returns {HTMLImageElement} The image, still loading.
+ */
+function loadGameImage(assetName, src, tint, session) {
+    const image = new Image();
+    image.onload = () => {
+        // Tinted images load twice: the file, then the tinted copy made from it.
+        const tintedSource = tint && !image.src.startsWith('data:') ? createTintedImageSource(image, tint) : null;
+        if (tintedSource) image.src = tintedSource;
+        else onAssetLoaded(assetName, session);
+    };
+    image.onerror = () => onAssetLoadError(assetName, src, session);
+    image.src = src;
+    return image;
 }
 
 // --- Drawing Functions ---
@@ -450,42 +1259,89 @@ function clearCanvas() {
     }
 }
 
-/** Draws the floor and ceiling with lighting. */
-function drawFloorAndCeiling() {
-    if (!gameContext) return;
-
-    const baseAmbient = typeof AMBIENT_LIGHT_LEVEL !== 'undefined' ? AMBIENT_LIGHT_LEVEL : 0.05;
-
-    const ceilingBaseBrightness = Math.floor(baseAmbient * 30);
-    const ceilingHex = Math.max(0, Math.min(255, ceilingBaseBrightness)).toString(16).padStart(2, '0');
-	gameContext.fillStyle = `#${ceilingHex}${ceilingHex}${ceilingHex}`;
-	gameContext.fillRect(0, 0, canvasWidth, canvasHeight / 2);
-
-    const pitchBlackFloor = "#050505";
-	gameContext.fillStyle = pitchBlackFloor;
-	gameContext.fillRect(0, canvasHeight / 2, canvasWidth, canvasHeight / 2);
+/**
+ * Draws textured floors and ceilings into the frame buffer by casting every pixel below the horizon onto
+ * the floor plane and mirroring it onto the ceiling. This covers the whole frame, so it also clears it.
+ * Textures come from the level's floor and ceiling layers and the wall atlas; lighting uses the same falloff
+ * as the walls (see `calculateLightBrightness()`).
+ * @param {number} [interpolationAlpha=1] - How far the frame is between the last two simulation steps.
+ */
+function drawFloorAndCeiling(interpolationAlpha = 1) {
+    const atlasTexture = getTexturePixels(wallTexturesImage);
+    if (!gameFramebuffer || !player || !gameLevel || !atlasTexture) {
+        if (gameFramebuffer) gameFramebuffer.clear();
+        return;
+    }
+    const atlas = atlasTexture.pixels;
+    const atlasWidth = atlasTexture.width;
+
+    const view = player.getRenderView(interpolationAlpha);
+    const projectionPlaneDistance = player.rays[0].projectionPlaneDistance;
+    const horizonY = RENDER_HEIGHT / 2;
+    const cameraHeight = tileSize / 2; // The eye is halfway up the walls
+    const textureScale = WALL_TEXTURE_SIZE / tileSize;
+    const ambientLight = gameLevel.ambientLight;
+    const floorLayer = gameLevel.floorLayer;
+    const ceilingLayer = gameLevel.ceilingLayer;
+    const slotOffsets = [];
+    for (let slot = 0; slot < WALL_ATLAS_ROWS * WALL_ATLAS_COLUMNS; slot++) {
+        const slotPosition = gameLevel.getAtlasSlotPosition(slot);
+        slotOffsets.push(slotPosition.y * atlasWidth + slotPosition.x);
+    }
 
-    if (renderMode === 0 && player && player.health > 0) {
-        const lightScreenX = canvasWidth / 2;
-        const gradientCenterY = canvasHeight * 1.0;
-        const screenLightRadiusCore = canvasWidth * 0.1;
-        const screenLightRadiusMax = canvasWidth * 0.4;
-
-        try {
-            var gradient = gameContext.createRadialGradient(
-                lightScreenX, gradientCenterY, screenLightRadiusCore,
-                lightScreenX, gradientCenterY, screenLightRadiusMax
-            );
-            const lightR = 180, lightG = 160, lightB = 100;
-            gradient.addColorStop(0,    `rgba(${lightR}, ${lightG}, ${lightB}, 0.65)`);
-            gradient.addColorStop(0.3,  `rgba(${lightR}, ${lightG}, ${lightB}, 0.50)`);
-            gradient.addColorStop(0.7,  `rgba(${lightR}, ${lightG}, ${lightB}, 0.15)`);
-            gradient.addColorStop(1,    `rgba(${lightR}, ${lightG}, ${lightB}, 0.00)`);
-
-            gameContext.fillStyle = gradient;
-            gameContext.fillRect(0, canvasHeight / 2, canvasWidth, canvasHeight / 2);
-        } catch (e) {
-            console.error("Error creating or applying floor gradient:", e);
+    // Per frame column: the world step per unit of perpendicular distance, and the factor from perpendicular to direct distance.
+    // Columns use the same angles as the wall rays, so floors meet the walls exactly.
+    const columnStepX = new Float64Array(RENDER_WIDTH);
+    const columnStepY = new Float64Array(RENDER_WIDTH);
+    const columnDistanceScale = new Float64Array(RENDER_WIDTH);
+    for (let x = 0; x < RENDER_WIDTH; x++) {
+        const angleOffset = player.rays[x].relativeAngleOffset;
+        const cosOffset = Math.cos(angleOffset);
+        columnStepX[x] = Math.cos(view.rotationAngle + angleOffset) / cosOffset;
+        columnStepY[x] = Math.sin(view.rotationAngle + angleOffset) / cosOffset;
+        columnDistanceScale[x] = 1 / cosOffset;
+    }
+    // Brightness by whole pixel of distance; everything farther is lit by the ambient light alone.
+    const lightRadius = typeof PLAYER_LIGHT_RADIUS !== 'undefined' ? PLAYER_LIGHT_RADIUS : 200;
+    const brightnessByDistance = [];
+    for (let distance = 0; distance <= lightRadius; distance++) brightnessByDistance.push(calculateLightBrightness(distance, ambientLight));
+
+    // Hot loop: everything it needs is copied into locals first.
+    const pixels = gameFramebuffer.pixels;
+    const frameWidth = RENDER_WIDTH;
+    const frameHeight = RENDER_HEIGHT;
+    const worldTileSize = tileSize;
+    const textureSize = WALL_TEXTURE_SIZE;
+    const mapWidth = gameLevel.mapWidth;
+    const mapHeight = gameLevel.mapHeight;
+    const farBrightnessIndex = brightnessByDistance.length;
+    const untextured = NO_SURFACE_TEXTURE;
+    const black = 0xff000000;
+
+    for (let y = Math.floor(horizonY); y < frameHeight; y++) {
+        const rowDistance = cameraHeight * projectionPlaneDistance / (y + 0.5 - horizonY);
+        let floorPixelIndex = y * frameWidth;
+        let ceilingPixelIndex = (frameHeight - 1 - y) * frameWidth;
+        for (let x = 0; x < frameWidth; x++, floorPixelIndex++, ceilingPixelIndex++) {
+            const worldX = view.x + columnStepX[x] * rowDistance;
+            const worldY = view.y + columnStepY[x] * rowDistance;
+            const tileX = Math.floor(worldX / worldTileSize);
+            const tileY = Math.floor(worldY / worldTileSize);
+            if (tileX < 0 || tileX >= mapWidth || tileY < 0 || tileY >= mapHeight) {
+                pixels[floorPixelIndex] = black;
+                pixels[ceilingPixelIndex] = black;
+                continue;
+            }
+            const floorSlot = floorLayer[tileY][tileX];
+            const ceilingSlot = ceilingLayer[tileY][tileX];
+            const textureX = Math.min(textureSize - 1, Math.floor((worldX - tileX * worldTileSize) * textureScale));
+            const textureY = Math.min(textureSize - 1, Math.floor((worldY - tileY * worldTileSize) * textureScale));
+            const texelOffset = textureY * atlasWidth + textureX;
+            const lightDistance = Math.floor(rowDistance * columnDistanceScale[x]);
+            const brightness = lightDistance < farBrightnessIndex ? brightnessByDistance[lightDistance] : ambientLight;
+
+            pixels[floorPixelIndex] = floorSlot === untextured ? black : shadeColor(atlas[slotOffsets[floorSlot] + texelOffset], brightness);
+            pixels[ceilingPixelIndex] = ceilingSlot === untextured ? black : shadeColor(atlas[slotOffsets[ceilingSlot] + texelOffset], brightness);
         }
     }
 }
@@ -522,8 +1378,11 @@ function drawHUD() {
     const scoreY = canvasHeight - hudDisplayHeight + 65;
     gameContext.font = `bold 34px ${hudFont}`;
     gameContext.textAlign = "center";
-    gameContext.fillText(player.ammo, leftPanelX + 25, ammoY + 30);
+    const currentWeapon = player.getCurrentWeapon().definition;
+    gameContext.fillText(player.ammo[currentWeapon.ammoType], leftPanelX + 25, ammoY + 30);
     gameContext.fillText(player.score, leftPanelX + 117, scoreY);
+    gameContext.font = `bold 14px ${hudFont}`;
+    gameContext.fillText(player.getActiveWeapon().definition.name, leftPanelX + 25, ammoY - 2);
 
     const rightPanelX = canvasWidth - 113;
     const healthBarY = canvasHeight - hudDisplayHeight + 45;
@@ -534,8 +1393,35 @@ function drawHUD() {
     gameContext.fillStyle = healthColor;
     gameContext.fillRect(rightPanelX + 2, healthBarY + 2, (Math.max(0,player.health)/100) * (healthBarWidth - 4), healthBarHeight - 4);
 
+    const armorBarY = healthBarY - 14, armorBarHeight = 10;
+    gameContext.fillStyle = "#402010";
+    gameContext.fillRect(rightPanelX, armorBarY, healthBarWidth, armorBarHeight);
+    if (player.armorTier) {
+        gameContext.fillStyle = ARMOR_TIERS[player.armorTier].color;
+        gameContext.fillRect(rightPanelX + 2, armorBarY + 2, (player.armor / MAX_ARMOR) * (healthBarWidth - 4), armorBarHeight - 4);
+    }
+
+    player.keys.forEach((keyColor, index) => {
+        const keyImage = keyCardImages[keyColor];
+        if (keyImage && keyImage.complete && keyImage.naturalHeight !== 0) {
+            gameContext.drawImage(keyImage, rightPanelX + index * 34, healthBarY + healthBarHeight + 6, 28, 21);
+        }
+    });
+
     gameContext.shadowColor = 'transparent'; gameContext.shadowOffsetX = 0; gameContext.shadowOffsetY = 0; gameContext.shadowBlur = 0;
 
+    const boss = gameSession.enemies.find(enemy => enemy instanceof Boss && enemy.isAlive && enemy.isEngaged);
+    if (boss && player.health > 0) drawBossHealthBar(boss, hudFont, textColor);
+
+    if (hudMessageText && gameTime < hudMessageExpireTime && player.health > 0) {
+        gameContext.font = `bold 26px ${hudFont}`;
+        gameContext.textAlign = "center";
+        gameContext.fillStyle = textColor;
+        gameContext.shadowColor = 'rgba(0, 0, 0, 0.8)'; gameContext.shadowOffsetX = 2; gameContext.shadowOffsetY = 2; gameContext.shadowBlur = 2;
+        gameContext.fillText(hudMessageText, canvasWidth / 2, boss ? 70 : 40);
+        gameContext.shadowColor = 'transparent'; gameContext.shadowOffsetX = 0; gameContext.shadowOffsetY = 0; gameContext.shadowBlur = 0;
+    }
+
     if (player.health <= 0) {
         gameContext.fillStyle = "rgba(0, 0, 0, 0.75)";
         gameContext.fillRect(0, 0, canvasWidth, canvasHeight - hudDisplayHeight);
@@ -544,16 +1430,144 @@ function drawHUD() {
         gameContext.font = `bold 52px ${hudFont}`;
         gameContext.fillStyle = "red";
         gameContext.fillText("YOU DIED", canvasWidth / 2, canvasHeight / 2 - 30);
+        if (gameState === 'playing') {
+            gameContext.font = `20px ${hudFont}`;
+            gameContext.fillStyle = '#a08c70';
+            gameContext.fillText("Press Enter to restart or Escape for the menu", canvasWidth / 2, canvasHeight / 2 + 20);
+        }
         gameContext.shadowColor = 'transparent'; gameContext.shadowOffsetX = 0; gameContext.shadowOffsetY = 0; gameContext.shadowBlur = 0;
     }
 }
 
-/** Draws the animated player weapon in the foreground. */
-function drawTorchAnimation() {
-    if (!gameContext || !torchFrames || torchFrames.length === 0 || !torchFrames[currentTorchFrameIndex]) {
+/**
+ * Draws the health bar of a boss across the top of the screen, with its name and a notch where each later phase begins.
+ * @param {Boss} boss - The boss fighting the player.
+ * @param {string} hudFont - The HUD font family.
+ * @param {string} textColor - The CSS colour of the HUD text.
+ */
+function drawBossHealthBar(boss, hudFont, textColor) {
+    const barWidth = canvasWidth * 0.6, barHeight = 14;
+    const barX = (canvasWidth - barWidth) / 2, barY = 26;
+    gameContext.fillStyle = "#402010";
+    gameContext.fillRect(barX, barY, barWidth, barHeight);
+    gameContext.fillStyle = '#B01010';
+    gameContext.fillRect(barX + 2, barY + 2, (boss.health / boss.definition.health) * (barWidth - 4), barHeight - 4);
+    gameContext.fillStyle = textColor;
+    boss.definition.bossFight.phases.slice(1).forEach(phase => {
+        gameContext.fillRect(barX + 2 + phase.healthFraction * (barWidth - 4) - 1, barY, 2, barHeight);
+    });
+
+    gameContext.font = `bold 16px ${hudFont}`;
+    gameContext.textAlign = "center";
+    gameContext.shadowColor = 'rgba(0, 0, 0, 0.8)'; gameContext.shadowOffsetX = 2; gameContext.shadowOffsetY = 2; gameContext.shadowBlur = 2;
+    gameContext.fillText(boss.definition.name, canvasWidth / 2, barY - 6);
+    gameContext.shadowColor = 'transparent'; gameContext.shadowOffsetX = 0; gameContext.shadowOffsetY = 0; gameContext.shadowBlur = 0;
+}
+
+/** Draws the intermission screen with the stats of the level just finished. */
+function drawIntermission() {
+    if (!gameContext || !activeCampaign || !activeCampaign.lastLevelResult) return;
+    const result = activeCampaign.lastLevelResult;
+    const hudFont = 'Doom';
+
+    clearCanvas();
+    gameContext.fillStyle = "black";
+    gameContext.fillRect(0, 0, canvasWidth, canvasHeight);
+
+    gameContext.textAlign = "center";
+    gameContext.shadowColor = 'black'; gameContext.shadowOffsetX = 3; gameContext.shadowOffsetY = 3; gameContext.shadowBlur = 5;
+    gameContext.fillStyle = "red";
+    gameContext.font = `bold 44px ${hudFont}`;
+    gameContext.fillText(gameState === 'campaignComplete' ? "CAMPAIGN COMPLETE" : "LEVEL COMPLETE", canvasWidth / 2, 90);
+
+    gameContext.fillStyle = '#E0D0B0';
+    gameContext.font = `bold 28px ${hudFont}`;
+    gameContext.fillText(result.levelName, canvasWidth / 2, 140);
+
+    const statLines = [
+        ['Kills', `${result.kills} / ${result.totalEnemies}`],
+        ['Items', `${result.items} / ${result.totalItems}`],
+        ['Time', formatDuration(result.timeMs)],
+        ['Score', `${result.score}`]
+    ];
+    gameContext.font = `bold 30px ${hudFont}`;
+    statLines.forEach(([label, value], index) => {
+        const lineY = 210 + index * 50;
+        gameContext.textAlign = "left";
+        gameContext.fillText(label, canvasWidth / 2 - 150, lineY);
+        gameContext.textAlign = "right";
+        gameContext.fillText(value, canvasWidth / 2 + 150, lineY);
+    });
+
+    gameContext.textAlign = "center";
+    gameContext.font = `20px ${hudFont}`;
+    gameContext.fillStyle = '#a08c70';
+    const promptText = gameState === 'campaignComplete' ? "Press Enter to return to the menu" : gameState === 'loading' ? "Loading..." : "Press Enter to continue";
+    gameContext.fillText(promptText, canvasWidth / 2, canvasHeight - 50);
+    gameContext.shadowColor = 'transparent'; gameContext.shadowOffsetX = 0; gameContext.shadowOffsetY = 0; gameContext.shadowBlur = 0;
+}
+
+/**
+ * Gets where the pause menu entries are drawn, shared by drawing and click handling.
+ * The controls page lists every action, so it uses a smaller font and tighter lines.
+ * @param {number} itemCount - The number of entries on the page.
+ * @returns {{firstItemY: number, lineHeight: number, fontSize: number}} The baseline of the first entry, the line spacing and the font size, in canvas pixels.
+ */
+function getPauseMenuLayout(itemCount) {
+    const isLongPage = itemCount > 6;
+    return {
+        firstItemY: isLongPage ? 160 : 190,
+        lineHeight: isLongPage ? 22 : 50,
+        fontSize: isLongPage ? 18 : 28
+    };
+}
+
+/** Draws the pause menu over the frozen game view. */
+function drawPauseMenu() {
+    if (!gameContext) return;
+    const hudFont = 'Doom';
+    const items = getPauseMenuItems();
+
+    gameContext.fillStyle = "rgba(0, 0, 0, 0.7)";
+    gameContext.fillRect(0, 0, canvasWidth, canvasHeight);
+
+    gameContext.textAlign = "center";
+    gameContext.shadowColor = 'black'; gameContext.shadowOffsetX = 3; gameContext.shadowOffsetY = 3; gameContext.shadowBlur = 5;
+    gameContext.fillStyle = "red";
+    gameContext.font = `bold 44px ${hudFont}`;
+    const pageTitles = { main: "PAUSED", options: "OPTIONS", controls: "CONTROLS" };
+    gameContext.fillText(pageTitles[pauseMenuPage], canvasWidth / 2, 110);
+
+    const layout = getPauseMenuLayout(items.length);
+    gameContext.font = `bold ${layout.fontSize}px ${hudFont}`;
+    items.forEach((item, index) => {
+        const isSelected = index === pauseMenuSelectedIndex;
+        gameContext.fillStyle = isSelected ? '#FFFFFF' : '#a08c70';
+        gameContext.fillText(isSelected ? `> ${item.label} <` : item.label, canvasWidth / 2, layout.firstItemY + index * layout.lineHeight);
+    });
+
+    gameContext.font = `16px ${hudFont}`;
+    gameContext.fillStyle = '#a08c70';
+    let hintText = "Up/Down to choose, Enter to select";
+    if (pauseMenuRebindAction) hintText = "Press a key or mouse button, Escape to cancel";
+    else if (pauseMenuPage === 'controls') hintText = "Enter to rebind, Escape to go back";
+    else if (pauseMenuPage === 'options') hintText = "Left/Right to change, Escape to go back";
+    gameContext.fillText(hintText, canvasWidth / 2, canvasHeight - 40);
+    gameContext.shadowColor = 'transparent'; gameContext.shadowOffsetX = 0; gameContext.shadowOffsetY = 0; gameContext.shadowBlur = 0;
+}
+
+/**
+ * Draws the selected weapon in the foreground: kicked down by the last shot and rising into view after a weapon switch.
+ * A fresh hitscan beam is drawn from the weapon to the centre of the view.
+ */
+function drawWeaponViewmodel() {
+    const weapon = player.getCurrentWeapon();
+    const frames = gameSession.viewmodelFrames[weapon.definition.id];
+    if (!gameContext || !frames || frames.length === 0) {
         return;
     }
-    const currentFrameImage = torchFrames[currentTorchFrameIndex];
+    const viewmodel = weapon.definition.viewmodel;
+    const currentFrameImage = frames[Math.floor(gameTime / viewmodel.frameDuration) % frames.length];
     if (!currentFrameImage.complete || !currentFrameImage.naturalHeight) {
         return;
     }
@@ -565,7 +1579,23 @@ function drawTorchAnimation() {
     const scaledHeight = originalHeight * scale;
     const posX = (canvasWidth - scaledWidth) / 10;
     const hudDisplayHeight = 120;
-    const posY = canvasHeight - scaledHeight - hudDisplayHeight + 20;
+    const raiseProgress = Math.min(1, (gameTime - player.weaponSwitchTime) / WEAPON_SWITCH_TIME);
+    const posY = canvasHeight - scaledHeight - hudDisplayHeight + 20 + weapon.getRecoilOffset() + player.meleeWeapon.getRecoilOffset() +
+        (1 - raiseProgress) * scaledHeight;
+
+    const beamOpacity = weapon.getBeamOpacity();
+    if (beamOpacity > 0) {
+        gameContext.save();
+        gameContext.globalAlpha = beamOpacity;
+        gameContext.strokeStyle = weapon.definition.beamColor;
+        gameContext.lineWidth = 6;
+        gameContext.lineCap = 'round';
+        gameContext.beginPath();
+        gameContext.moveTo(posX + scaledWidth / 2, posY + scaledHeight / 4);
+        gameContext.lineTo(canvasWidth / 2, canvasHeight / 2);
+        gameContext.stroke();
+        gameContext.restore();
+    }
 
     gameContext.imageSmoothingEnabled = false;
     gameContext.drawImage(
@@ -576,70 +1606,137 @@ function drawTorchAnimation() {
 
 // --- Main Game Loop ---
 /**
- * The main game loop, called repeatedly by setInterval.
- * Updates game state, handles rendering, and manages game logic.
+ * The main game loop, called by the game session once per display frame.
+ * Advances the simulation in fixed `SIMULATION_STEP` increments for the real time that has passed,
+ * then renders once, interpolating between the last two simulation steps.
+ * @param {number} elapsedTime - The real time since the previous frame, in seconds.
  */
-function mainGameLoop() {
-    if (!gameContext || !gameLevel || assetsLoadedCount < assetsToLoadCount) {
-        if (gameContext && typeof canvasWidth !== 'undefined' && typeof canvasHeight !== 'undefined') {
-            clearCanvas(); gameContext.fillStyle = "black"; gameContext.fillRect(0,0,canvasWidth,canvasHeight);
-            gameContext.font = "20px Arial"; gameContext.fillStyle = "white"; gameContext.textAlign = "center";
-            gameContext.fillText(`Loading assets... (${assetsLoadedCount}/${assetsToLoadCount})`, canvasWidth/2, canvasHeight/2);
-        } return;
+function runGameFrame(elapsedTime) {
+    const frameTime = Math.min(elapsedTime, MAX_FRAME_TIME);
+    pollGamepads();
+
+    if (!gameContext || !gameLevel || !player || assetsLoadedCount < assetsToLoadCount || gameState !== 'playing') {
+        gameSession.simulationAccumulator = 0;
+        renderGame(1);
+        return;
     }
-    if (!player) { return; }
+
+    gameSession.simulationAccumulator += frameTime;
+    while (gameSession.simulationAccumulator >= SIMULATION_STEP) {
+        updateGame(SIMULATION_STEP);
+        gameSession.simulationAccumulator -= SIMULATION_STEP;
+        if (!player || gameState !== 'playing') {
+            gameSession.simulationAccumulator = 0;
+            break;
+        }
+    }
+    renderGame(gameSession.simulationAccumulator / SIMULATION_STEP);
+}
+
+/**
+ * Advances the game simulation by one fixed step.
+ * @param {number} deltaTime - The simulation step, in seconds.
+ */
+function updateGame(deltaTime) {
+    gameTime += deltaTime;
+
+    player.savePreviousState();
+    gameSession.sprites.forEach(sprite => sprite.savePreviousPosition());
 
     if (damageFlashAlpha > 0) {
-        const elapsed = Date.now() - damageFlashStartTime;
-        const flashDuration = typeof DAMAGE_FLASH_DURATION !== 'undefined' ? DAMAGE_FLASH_DURATION : 250;
+        const elapsed = gameTime - damageFlashStartTime;
+        const flashDuration = typeof DAMAGE_FLASH_DURATION !== 'undefined' ? DAMAGE_FLASH_DURATION : 0.25;
         const maxAlpha = typeof DAMAGE_FLASH_MAX_ALPHA !== 'undefined' ? DAMAGE_FLASH_MAX_ALPHA : 0.4;
         damageFlashAlpha = (elapsed < flashDuration) ? maxAlpha * (1 - (elapsed / flashDuration)) : 0;
         damageFlashAlpha = Math.max(0, damageFlashAlpha);
     }
 
-    const currentTime = Date.now();
-    const torchAnimSpeed = typeof TORCH_ANIMATION_SPEED !== 'undefined' ? TORCH_ANIMATION_SPEED : 80;
-    if (currentTime - lastTorchFrameUpdateTime > torchAnimSpeed) {
-        currentTorchFrameIndex++;
-        if (currentTorchFrameIndex >= NUMBER_OF_TORCH_FRAMES) {
-            currentTorchFrameIndex = 0;
+    if (player.health > 0) {
+        applyInputToPlayer();
+        player.update(deltaTime);
+        if (playerTriggerHeld) firePlayerWeapon();
+    }
+    gameSession.enemies.forEach(enemy => enemy.update(deltaTime));
+    gameLevel.updateDoors(deltaTime, isDoorwayOccupied);
+
+    if (gameTime - lastEnemyLaughTime >= ENEMY_LAUGH_INTERVAL) {
+        lastEnemyLaughTime = gameTime;
+        if (typeof playSoundEffect === 'function' && player.health > 0 && gameSession.enemies.some(e => e.isAlive)) {
+            playSoundEffect("music/enemyLaugh.mp3", 0.25);
         }
-        lastTorchFrameUpdateTime = currentTime;
     }
 
-    if (player.health > 0) {
-        player.update();
+    if (player.touchedExit) {
+        player.touchedExit = false;
+        handleExitReached();
     }
-    enemies.forEach(enemy => enemy.update());
 
     const updateAndFilterActiveItems = (itemArray, globalSpriteList) => itemArray.filter(item => {
-        item.update();
+        item.update(deltaTime);
         if (!item.isActive && item.sprite) {
             const spriteIndex = globalSpriteList.indexOf(item.sprite);
             if (spriteIndex > -1) globalSpriteList.splice(spriteIndex, 1);
         }
         return item.isActive;
     });
-    playerProjectiles = updateAndFilterActiveItems(playerProjectiles, sprites);
-    enemyProjectiles = updateAndFilterActiveItems(enemyProjectiles, sprites);
-    risingSpriteEffects = updateAndFilterActiveItems(risingSpriteEffects, sprites);
+    gameSession.playerProjectiles = updateAndFilterActiveItems(gameSession.playerProjectiles, gameSession.sprites);
+    gameSession.enemyProjectiles = updateAndFilterActiveItems(gameSession.enemyProjectiles, gameSession.sprites);
+    gameSession.effects.update(deltaTime);
+    gameSession.explosionEffects = updateAndFilterActiveItems(gameSession.explosionEffects, gameSession.sprites);
+    gameSession.debrisParticles = updateAndFilterActiveItems(gameSession.debrisParticles, gameSession.sprites);
+}
+
+/**
+ * Draws the current frame: the loading screen, the intermission screen or the game view,
+ * with the pause menu on top while the game is paused.
+ * @param {number} interpolationAlpha - How far rendering is between the previous and current simulation step, in [0, 1].
+ */
+function renderGame(interpolationAlpha) {
+    if (!gameContext || !gameLevel || assetsLoadedCount < assetsToLoadCount) {
+        if (gameContext && typeof canvasWidth !== 'undefined' && typeof canvasHeight !== 'undefined') {
+            clearCanvas(); gameContext.fillStyle = "black"; gameContext.fillRect(0,0,canvasWidth,canvasHeight);
+            gameContext.font = "20px Arial"; gameContext.fillStyle = "white"; gameContext.textAlign = "center";
+            gameContext.fillText(`Loading assets... (${assetsLoadedCount}/${assetsToLoadCount})`, canvasWidth/2, canvasHeight/2);
+        } return;
+    }
+    if (!player) { return; }
+
+    if (gameState === 'intermission' || gameState === 'loading' || gameState === 'campaignComplete') {
+        drawIntermission();
+        return;
+    }
 
 	clearCanvas();
     zBuffer.fill(Infinity);
 
 	if (renderMode === 1) {
 		if(gameLevel) gameLevel.drawMinimap();
-        if(player) player.draw();
-        enemies.forEach(e => e.drawOnMap(gameContext));
+        if(player) player.draw(interpolationAlpha);
+        gameSession.enemies.forEach(e => e.drawOnMap(gameContext));
         if(gameContext) {
-            playerProjectiles.forEach(p => { if(p.isActive){gameContext.fillStyle='cyan';gameContext.beginPath();gameContext.arc(p.x,p.y,p.radius||3,0,2*Math.PI);gameContext.fill();}});
-            enemyProjectiles.forEach(ep => { if(ep.isActive){gameContext.fillStyle='magenta';gameContext.beginPath();gameContext.arc(ep.x,ep.y,ep.radius||3,0,2*Math.PI);gameContext.fill();}});
+            gameSession.playerProjectiles.forEach(p => { if(p.isActive){gameContext.fillStyle='cyan';gameContext.beginPath();gameContext.arc(p.x,p.y,p.radius||3,0,2*Math.PI);gameContext.fill();}});
+            gameSession.enemyProjectiles.forEach(ep => { if(ep.isActive){gameContext.fillStyle='magenta';gameContext.beginPath();gameContext.arc(ep.x,ep.y,ep.radius||3,0,2*Math.PI);gameContext.fill();}});
+            const weapon = player.getCurrentWeapon();
+            if (weapon.getBeamOpacity() > 0) {
+                gameContext.globalAlpha = weapon.getBeamOpacity();
+                gameContext.strokeStyle = weapon.definition.beamColor;
+                gameContext.beginPath();
+                gameContext.moveTo(weapon.lastBeam.startX, weapon.lastBeam.startY);
+                gameContext.lineTo(weapon.lastBeam.endX, weapon.lastBeam.endY);
+                gameContext.stroke();
+                gameContext.globalAlpha = 1;
+            }
         }
-        if(sprites.length > 0) renderVisibleSprites();
+        if(gameSession.sprites.length > 0) renderVisibleSprites(interpolationAlpha);
 	} else {
-		if(gameContext) drawFloorAndCeiling();
-        if(player) player.draw();
-        if(sprites.length > 0) renderVisibleSprites();
+        // The 3D view is rendered into the frame buffer and reaches the canvas in one go.
+        const renderStartTime = performance.now();
+		drawFloorAndCeiling(interpolationAlpha);
+        if(player) player.draw(interpolationAlpha);
+        if(gameSession.sprites.length > 0) renderVisibleSprites(interpolationAlpha);
+        gameFramebuffer.present(gameContext, canvasWidth, canvasHeight);
+        const renderTime = performance.now() - renderStartTime;
+        averageWorldRenderTime = averageWorldRenderTime > 0 ? lerp(averageWorldRenderTime, renderTime, 0.05) : renderTime;
 	}
 
     if (damageFlashAlpha > 0 && renderMode === 0) {
@@ -648,8 +1745,20 @@ function mainGameLoop() {
     }
 
     if (renderMode === 0 && player && player.health > 0) {
-        drawTorchAnimation();
+        drawWeaponViewmodel();
     }
 
 	if(gameContext && player) drawHUD();
-}
\ No newline at end of file
+    if (renderMode === 1 || showFrameTime) drawFrameTime();
+    if (gameState === 'paused') drawPauseMenu();
+}
+
+/**
+ * Shows how long the 3D view takes to render in the top-left corner. The map view shows the average from the last 3D frames.
+ */
+function drawFrameTime() {
+    gameContext.font = "12px monospace";
+    gameContext.textAlign = "left";
+    gameContext.fillStyle = "#00FF00";
+    gameContext.fillText(`3D render: ${averageWorldRenderTime.toFixed(2)} ms (${RENDER_WIDTH}x${RENDER_HEIGHT})`, 6, 14);
+}
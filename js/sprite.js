@@ -2,10 +2,12 @@
 
 /**
  * @fileoverview Defines the Sprite class for representing 2D images in a 3D world.
- * Handles calculation of render data, 3D projection, lighting, and drawing.
- * Assumes global access to `player` object, `renderMode`, `zBuffer`,
- * utility functions like `distanceBetweenPoints`, and configuration constants
- * (FOV, canvas dimensions, tile size, lighting parameters).
+ * Handles calculation of render data, 3D projection, lighting, and drawing into the frame buffer.
+ * A sprite shows a single image, or the frames of a `SpriteAnimator` (see `animate()`).
+ * Sprites with a rotation set (see `views`) show the side of the entity that faces the viewer.
+ * Assumes global access to `player` object, `renderMode`, `zBuffer`, `gameFramebuffer`,
+ * utility functions like `distanceBetweenPoints` and `normalizeAngle`, and configuration constants
+ * (FOV, render resolution, tile size, lighting parameters).
  */
 class Sprite {
     /**
@@ -21,6 +23,11 @@ class Sprite {
         this.image = image;
         this.renderingContext = renderingContext;
 
+        /** @type {number} The x-coordinate at the start of the current simulation step, for interpolated rendering. */
+        this.previousX = x;
+        /** @type {number} The y-coordinate at the start of the current simulation step, for interpolated rendering. */
+        this.previousY = y;
+
         /** @type {number} The direct distance from the player to this sprite. Updated by `calculateRenderData`. */
         this.distanceToPlayer = 0;
         /** @type {number} The angle of this sprite relative to the player's center view direction. Updated by `calculateRenderData`. */
@@ -40,27 +47,86 @@ class Sprite {
          * Used for interaction logic.
          */
         this.type = undefined;
+        /** @type {boolean} Whether the sprite glows, e.g. an explosion: it is drawn at full brightness whatever the lighting. */
+        this.isFullBright = false;
+        /** @type {number} The height the image is drawn at, as a fraction of the sprite's height. The bottom stays in place. */
+        this.heightScale = 1;
+        /** @type {number} How far the sprite is raised above its usual place, in world units; negative values lower it. */
+        this.elevation = 0;
+        /** @type {number} The elevation at the start of the current simulation step, for interpolated rendering. */
+        this.previousElevation = 0;
+        /** @type {number} The opacity of the sprite, from 0 (invisible) to 1; see-through sprites are mixed with what is behind them. */
+        this.alpha = 1;
+        /** @type {SpriteAnimator | null} The animator that picks the sprite's frames, or null for a sprite that shows `image`. */
+        this.animator = null;
+        /**
+         * @type {HTMLImageElement[] | null} The rotation set: the entity seen from evenly spaced directions around it,
+         * starting in front of it and going round in the direction of increasing angles. Null is the one-view case: `image` from every side.
+         */
+        this.views = null;
+        /** @type {number} The direction the entity faces, in radians; picks the view of the rotation set. */
+        this.facingAngle = 0;
+    }
+
+    /** Remembers the current position as the starting point of the next simulation step. */
+    savePreviousPosition() {
+        this.previousX = this.x;
+        this.previousY = this.y;
+        this.previousElevation = this.elevation;
+    }
+
+    /**
+     * Shows the current frame of the animator: its image or rotation set, mirroring, height and brightness.
+     * Does nothing for a sprite without an animator.
+     */
+    animate() {
+        const frame = this.animator ? this.animator.getCurrentFrame() : null;
+        if (!frame) return;
+        this.image = frame.image;
+        this.views = frame.views || null;
+        this.flipped = !!frame.flipped;
+        this.heightScale = frame.heightScale !== undefined ? frame.heightScale : 1;
+        this.isFullBright = !!frame.isFullBright;
+    }
+
+    /**
+     * Picks the image to draw for a viewer: the view of the rotation set taken from the direction closest to the viewer's.
+     * Sprites without a rotation set (the one-view case), and views that have not loaded yet, show `image`.
+     * @param {{x: number, y: number}} viewer - Where the sprite is seen from.
+     * @returns {HTMLImageElement} The image to draw.
+     */
+    getViewImage(viewer) {
+        if (!this.views || !this.views.length) return this.image;
+        const viewCount = this.views.length;
+        const angleToViewer = Math.atan2(viewer.y - this.y, viewer.x - this.x);
+        const viewIndex = Math.round(normalizeAngle(angleToViewer - this.facingAngle) / (2 * Math.PI / viewCount)) % viewCount;
+        const viewImage = this.views[viewIndex];
+        return viewImage && viewImage.complete && viewImage.naturalHeight ? viewImage : this.image;
     }
 
     /**
      * Calculates data necessary for rendering the sprite, such as its distance
      * and angle relative to the player.
      * Updates `this.distanceToPlayer` and `this.angleRelativeToPlayerView`.
+     * @param {{x: number, y: number, rotationAngle: number}} [viewer=player] - The (interpolated) view to render from.
+     * @param {number} [interpolationAlpha=1] - How far rendering is between the previous and current simulation step.
      * @returns {boolean} True if the sprite is within the player's field of view (FOV), false otherwise.
      * Returns false if the player object is not available.
      */
-    calculateRenderData() {
-        if (!player) {
+    calculateRenderData(viewer = player, interpolationAlpha = 1) {
+        if (!viewer) {
             this.distanceToPlayer = Infinity;
             return false; 
         }
 
-        this.distanceToPlayer = distanceBetweenPoints(player.x, player.y, this.x, this.y);
+        const renderX = lerp(this.previousX, this.x, interpolationAlpha);
+        const renderY = lerp(this.previousY, this.y, interpolationAlpha);
+        this.distanceToPlayer = distanceBetweenPoints(viewer.x, viewer.y, renderX, renderY);
 
-        let vectorX = this.x - player.x;
-        let vectorY = this.y - player.y;
+        let vectorX = renderX - viewer.x;
+        let vectorY = renderY - viewer.y;
         let anglePlayerToSprite = Math.atan2(vectorY, vectorX);
-        let angleDifference = player.rotationAngle - anglePlayerToSprite;
+        let angleDifference = viewer.rotationAngle - anglePlayerToSprite;
 
         if (angleDifference < -Math.PI) angleDifference += 2.0 * Math.PI;
         if (angleDifference > Math.PI) angleDifference -= 2.0 * Math.PI;
@@ -70,88 +136,62 @@ class Sprite {
     }
 
     /**
-     * Draws the sprite on the canvas.
-     * Handles 3D projection, lighting, Z-buffering, and optional 2D map representation.
+     * Draws the sprite into the frame buffer.
+     * Handles 3D projection, lighting and Z-buffering, column by column.
      * The method first calls `calculateRenderData` to determine if the sprite is in FOV.
+     * @param {{x: number, y: number, rotationAngle: number}} [viewer=player] - The (interpolated) view to render from.
+     * @param {number} [interpolationAlpha=1] - How far rendering is between the previous and current simulation step.
      */
-    draw() {
-        if (!this.visible) return;
+    draw(viewer = player, interpolationAlpha = 1) {
+        if (!this.visible || this.alpha <= 0) return;
 
-        const isInFOV = this.calculateRenderData();
+        const isInFOV = this.calculateRenderData(viewer, interpolationAlpha);
         if (!isInFOV) return;
 
-        // Removed 2D map drawing mode stub for brevity, can be added back if needed.
+        const texture = renderMode === 0 ? getTexturePixels(this.getViewImage(viewer)) : null;
+        if (!texture) return;
 
-        if (renderMode === 0 && this.renderingContext && this.image && this.image.complete && this.image.naturalHeight !== 0) {
-            const projectionPlaneDistance = (canvasWidth / 2) / Math.tan(FOV_RADIANS_HALF);
-            const spriteActualWorldHeight = (typeof this.worldHeight !== 'undefined') ? this.worldHeight : tileSize;
-            
-            const correctedDistanceForProjection = this.distanceToPlayer * Math.cos(this.angleRelativeToPlayerView);
-            if (correctedDistanceForProjection <= 0.1) return; // Avoid division by zero or very small numbers
+        const projectionPlaneDistance = (RENDER_WIDTH / 2) / Math.tan(FOV_RADIANS_HALF);
+        const spriteActualWorldHeight = (typeof this.worldHeight !== 'undefined') ? this.worldHeight : tileSize;
 
-            const spriteScreenHeight = (spriteActualWorldHeight / correctedDistanceForProjection) * projectionPlaneDistance;
-            const screenY0 = (canvasHeight / 2) - (spriteScreenHeight / 2); // Top of the sprite on screen
+        const correctedDistanceForProjection = this.distanceToPlayer * Math.cos(this.angleRelativeToPlayerView);
+        if (correctedDistanceForProjection <= 0.1) return; // Avoid division by zero or very small numbers
 
-            const originalTextureHeight = this.image.naturalHeight;
-            const originalTextureWidth = this.image.naturalWidth;
-            const spriteScreenWidth = spriteScreenHeight * (originalTextureWidth / originalTextureHeight);
+        const spriteScreenHeight = (spriteActualWorldHeight / correctedDistanceForProjection) * projectionPlaneDistance;
+        const elevation = lerp(this.previousElevation, this.elevation, interpolationAlpha);
+        const screenBottomY = (RENDER_HEIGHT / 2) + (spriteScreenHeight / 2) - (elevation / correctedDistanceForProjection) * projectionPlaneDistance;
+        const drawnScreenHeight = spriteScreenHeight * this.heightScale;
+        const screenY0 = screenBottomY - drawnScreenHeight; // Top of the sprite on screen
 
-            const xOffsetFromCenterScreen = Math.tan(-this.angleRelativeToPlayerView) * projectionPlaneDistance;
-            const spriteCenterScreenX = (canvasWidth / 2) + xOffsetFromCenterScreen;
-            const spriteLeftScreenX = spriteCenterScreenX - (spriteScreenWidth / 2);
+        const originalTextureHeight = texture.height;
+        const originalTextureWidth = texture.width;
+        const spriteScreenWidth = spriteScreenHeight * (originalTextureWidth / originalTextureHeight);
 
-            this.renderingContext.imageSmoothingEnabled = false; // For pixel art
+        const xOffsetFromCenterScreen = Math.tan(-this.angleRelativeToPlayerView) * projectionPlaneDistance;
+        const spriteCenterScreenX = (RENDER_WIDTH / 2) + xOffsetFromCenterScreen;
+        const spriteLeftScreenX = spriteCenterScreenX - (spriteScreenWidth / 2);
 
-            // --- Calculate Brightness ---
-            let brightness = 1.0;
-            const lightRadius = typeof PLAYER_LIGHT_RADIUS !== 'undefined' ? PLAYER_LIGHT_RADIUS : 200;
-            const ambientLight = typeof AMBIENT_LIGHT_LEVEL !== 'undefined' ? AMBIENT_LIGHT_LEVEL : 0.1;
-            const falloffSharpness = typeof LIGHT_FALLOFF_SHARPNESS !== 'undefined' ? LIGHT_FALLOFF_SHARPNESS : 1.5;
+        const brightness = this.isFullBright ? 1 : calculateLightBrightness(this.distanceToPlayer, gameLevel ? gameLevel.ambientLight : AMBIENT_LIGHT_LEVEL);
 
-            if (this.distanceToPlayer > lightRadius) {
-                brightness = ambientLight;
-            } else if (this.distanceToPlayer > 0) {
-                let normalizedDistance = this.distanceToPlayer / lightRadius;
-                brightness = ambientLight + (1.0 - ambientLight) * Math.pow(1.0 - normalizedDistance, falloffSharpness);
-            }
-            brightness = Math.max(ambientLight, Math.min(1.0, brightness)); // Clamp brightness
-
-            this.renderingContext.save();
-
-            // Apply calculated brightness as globalAlpha for the sprite
-            this.renderingContext.globalAlpha = brightness;
-
-            const startScreenPixelX = Math.floor(spriteLeftScreenX);
-            const endScreenPixelX = Math.floor(spriteLeftScreenX + spriteScreenWidth);
-
-            for (let screenPixelX = startScreenPixelX; screenPixelX < endScreenPixelX; screenPixelX++) {
-                if (screenPixelX < 0 || screenPixelX >= canvasWidth) continue; // Clip to screen bounds
-
-                // Check Z-buffer. Sprites should only draw if they are closer than what's already there.
-                if (zBuffer[screenPixelX] > correctedDistanceForProjection) {
-                    let textureXProportion = (screenPixelX - spriteLeftScreenX) / spriteScreenWidth;
-                    let sourceTextureColumn = Math.floor(textureXProportion * originalTextureWidth);
-
-                    if (this.flipped) {
-                        sourceTextureColumn = (originalTextureWidth - 1) - sourceTextureColumn;
-                    }
-                    sourceTextureColumn = Math.max(0, Math.min(originalTextureWidth - 1, sourceTextureColumn));
-                    
-                    // Draw the 1px wide strip of the sprite.
-                    // globalAlpha is already set to 'brightness'.
-                    this.renderingContext.drawImage(this.image,
-                        sourceTextureColumn, 0, // Source X, Y
-                        1, originalTextureHeight, // Source Width, Height (1px wide strip)
-                        screenPixelX, screenY0, // Destination X, Y on canvas
-                        1, spriteScreenHeight // Destination Width, Height on canvas
-                    );
-
-                    // The fillRect overlay for darkening is REMOVED.
-                    // Brightness is now handled by globalAlpha on drawImage.
-                }
+        const startScreenPixelX = Math.max(0, Math.floor(spriteLeftScreenX));
+        const endScreenPixelX = Math.min(RENDER_WIDTH, Math.floor(spriteLeftScreenX + spriteScreenWidth));
+
+        for (let screenPixelX = startScreenPixelX; screenPixelX < endScreenPixelX; screenPixelX++) {
+            // Check Z-buffer. Sprites should only draw if they are closer than what's already there.
+            if (zBuffer[screenPixelX] <= correctedDistanceForProjection) continue;
+
+            let textureXProportion = (screenPixelX - spriteLeftScreenX) / spriteScreenWidth;
+            let sourceTextureColumn = Math.floor(textureXProportion * originalTextureWidth);
+            if (this.flipped) {
+                sourceTextureColumn = (originalTextureWidth - 1) - sourceTextureColumn;
             }
-            
-            this.renderingContext.restore(); // Restores globalAlpha (and other saved states)
+            sourceTextureColumn = Math.max(0, Math.min(originalTextureWidth - 1, sourceTextureColumn));
+
+            gameFramebuffer.drawTextureColumn(
+                screenPixelX, screenY0, drawnScreenHeight,
+                texture, sourceTextureColumn, 0, originalTextureHeight,
+                brightness, this.alpha
+            );
         }
     }
 }
\ No newline at end of file
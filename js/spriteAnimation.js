@@ -0,0 +1,76 @@
+// js/spriteAnimation.js
+
+/**
+ * @fileoverview Defines the SpriteAnimator class, which plays frame sequences on a `Sprite`.
+ * An entity gives its sprite an animator holding its sequences by name (e.g. 'walk', 'attack', 'pain', 'death'),
+ * switches between them with `play()`, and calls `Sprite.animate()` after each simulation step to show the current frame.
+ * Frames are chosen from the time a sequence started, so animations stay in step with the simulation.
+ * Assumes global access to the `gameTime` simulation clock.
+ */
+
+/**
+ * @typedef {Object} AnimationFrame
+ * @property {HTMLImageElement} image - The image shown.
+ * @property {HTMLImageElement[] | null} [views=null] - A rotation set to show instead of `image`, from the side facing the viewer; see `Sprite.views`.
+ * @property {boolean} [flipped=false] - True to draw the image mirrored.
+ * @property {number} [heightScale=1] - The height the image is drawn at, as a fraction of the sprite's height; the bottom stays on the floor.
+ * @property {boolean} [isFullBright=false] - True to draw the frame at full brightness whatever the lighting, e.g. a flash.
+ */
+
+/**
+ * @typedef {Object} AnimationSequence
+ * @property {AnimationFrame[]} frames - The frames, in order.
+ * @property {number} frameDuration - Seconds each frame is shown.
+ * @property {boolean} loop - True to start over after the last frame; otherwise the last frame is held.
+ */
+
+/**
+ * Plays one of a set of named frame sequences at a time.
+ * @class SpriteAnimator
+ */
+class SpriteAnimator {
+    /**
+     * Creates an instance of SpriteAnimator. Nothing plays until `play()` is called.
+     * @param {Object<string, AnimationSequence>} sequences - The sequences, by name.
+     */
+    constructor(sequences) {
+        this.sequences = sequences;
+        /** @type {string | null} The name of the sequence playing, or null before the first `play()`. */
+        this.sequenceName = null;
+        /** @type {number} The `gameTime` the sequence started at. */
+        this.startTime = 0;
+    }
+
+    /**
+     * Switches to a sequence. Playing the sequence that already plays carries on with it, unless `restart` is set.
+     * @param {string} sequenceName - The name of the sequence.
+     * @param {boolean} [restart=false] - True to start the sequence from its first frame even if it is already playing.
+     */
+    play(sequenceName, restart = false) {
+        if (sequenceName === this.sequenceName && !restart) return;
+        this.sequenceName = sequenceName;
+        this.startTime = gameTime;
+    }
+
+    /**
+     * Checks whether a sequence that does not loop has shown its last frame for its full duration.
+     * @returns {boolean} True if the sequence is over; always false for looping sequences.
+     */
+    isFinished() {
+        const sequence = this.sequences[this.sequenceName];
+        if (!sequence || sequence.loop) return false;
+        return gameTime - this.startTime >= sequence.frames.length * sequence.frameDuration;
+    }
+
+    /**
+     * Gets the frame to show now.
+     * @returns {AnimationFrame | null} The frame, or null if no sequence plays.
+     */
+    getCurrentFrame() {
+        const sequence = this.sequences[this.sequenceName];
+        if (!sequence) return null;
+        const frameCount = sequence.frames.length;
+        const frameIndex = Math.floor((gameTime - this.startTime) / sequence.frameDuration);
+        return sequence.frames[sequence.loop ? frameIndex % frameCount : Math.min(frameIndex, frameCount - 1)];
+    }
+}
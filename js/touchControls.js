@@ -0,0 +1,237 @@
+// js/touchControls.js
+
+/**
+ * @fileoverview Defines the TouchControls class, the on-screen controls for phones and tablets:
+ * a floating joystick on the left half of the game for moving and strafing, a swipe region on the right half
+ * for turning, a fire button and a pause button. The controls only report what the thumbs do;
+ * the game decides what that means through the callbacks it passes in.
+ * Assumes global access to `applyGamepadDeadZone` (from input.js).
+ */
+
+/** @type {number} How far, in CSS pixels, the joystick knob can move away from the centre of its base. */
+const TOUCH_JOYSTICK_RADIUS = 50;
+/** @type {number} Joystick deflection, as a fraction of the radius, that is ignored. */
+const TOUCH_JOYSTICK_DEAD_ZONE = 0.15;
+/** @type {number} Swipes are scaled by this before being handed on as mouse look movement. */
+const TOUCH_LOOK_SCALE = 2;
+/** @type {number} Space, in CSS pixels, kept free below the canvas for the controls in portrait orientation. */
+const TOUCH_CONTROLS_PORTRAIT_HEIGHT = 180;
+
+/**
+ * @typedef {Object} TouchControlsCallbacks
+ * @property {function(number, number): void} onMove - Receives the joystick position: move (forward 1 to backward -1) and strafe (right 1 to left -1).
+ * @property {function(number): void} onLook - Receives horizontal swipe movement, in pixels. Positive turns right.
+ * @property {function(): void} onFireStart - The fire button was pressed.
+ * @property {function(): void} onFireEnd - The fire button was released.
+ * @property {function(): void} onPause - The pause button was tapped.
+ */
+
+/**
+ * A touch overlay on top of the game canvas. Each thumb is tracked by its touch identifier,
+ * so moving, turning and firing work at the same time.
+ * @class TouchControls
+ */
+class TouchControls {
+    /**
+     * Checks whether the browser reports a touch screen.
+     * @returns {boolean} True if touch controls should be offered.
+     */
+    static isSupported() {
+        return ('ontouchstart' in window) || (typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0);
+    }
+
+    /**
+     * Creates the overlay inside `container` and starts listening for touches.
+     * @param {HTMLElement} container - The element holding the game canvas; the controls cover it.
+     * @param {GameSession} session - The session the touch listeners belong to; disposing it removes them.
+     * @param {TouchControlsCallbacks} callbacks - What to do with the input.
+     */
+    constructor(container, session, callbacks) {
+        this.container = container;
+        this.callbacks = callbacks;
+        /** @type {boolean} False while the controls are hidden, e.g. in the pause menu; touches then go to the page as usual. */
+        this.isVisible = true;
+
+        /** @type {number | null} The identifier of the touch steering the joystick. */
+        this.joystickTouchId = null;
+        /** @type {{x: number, y: number} | null} Where the joystick touch started, relative to the container. */
+        this.joystickOrigin = null;
+        /** @type {number | null} The identifier of the touch swiping to turn. */
+        this.lookTouchId = null;
+        /** @type {number} The horizontal position of the swipe at the previous touchmove. */
+        this.lastLookX = 0;
+        /** @type {number | null} The identifier of the touch holding the fire button. */
+        this.fireTouchId = null;
+
+        this.element = document.createElement('div');
+        this.element.id = 'touch-controls';
+
+        this.joystickBase = document.createElement('div');
+        this.joystickBase.className = 'touch-joystick-base';
+        this.joystickBase.style.width = `${TOUCH_JOYSTICK_RADIUS * 2}px`;
+        this.joystickBase.style.height = `${TOUCH_JOYSTICK_RADIUS * 2}px`;
+        this.joystickKnob = document.createElement('div');
+        this.joystickKnob.className = 'touch-joystick-knob';
+        this.joystickBase.appendChild(this.joystickKnob);
+
+        this.fireButton = document.createElement('div');
+        this.fireButton.className = 'touch-button touch-fire-button';
+        this.fireButton.textContent = 'FIRE';
+
+        this.pauseButton = document.createElement('div');
+        this.pauseButton.className = 'touch-button touch-pause-button';
+        this.pauseButton.textContent = 'II';
+
+        this.element.appendChild(this.joystickBase);
+        this.element.appendChild(this.fireButton);
+        this.element.appendChild(this.pauseButton);
+        container.appendChild(this.element);
+
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        // Not passive, so the page neither scrolls nor zooms while playing.
+        session.addListener(container, 'touchstart', this.handleTouchStart, { passive: false });
+        session.addListener(container, 'touchmove', this.handleTouchMove, { passive: false });
+        session.addListener(container, 'touchend', this.handleTouchEnd, { passive: false });
+        session.addListener(container, 'touchcancel', this.handleTouchEnd, { passive: false });
+    }
+
+    /**
+     * Arranges the page for the screen orientation. In portrait the controls get their own strip below the canvas.
+     * @param {string} orientation - 'portrait' or 'landscape'.
+     */
+    setLayout(orientation) {
+        const isPortrait = orientation === 'portrait';
+        this.container.classList.toggle('touch-portrait', isPortrait);
+        this.container.classList.toggle('touch-landscape', !isPortrait);
+        this.container.style.paddingBottom = isPortrait ? `${TOUCH_CONTROLS_PORTRAIT_HEIGHT}px` : '';
+    }
+
+    /**
+     * Shows or hides the controls. Hiding releases everything that is held.
+     * @param {boolean} isVisible - True to show the controls.
+     */
+    setVisible(isVisible) {
+        if (!isVisible) this.releaseAll();
+        this.isVisible = isVisible;
+        this.element.style.display = isVisible ? '' : 'none';
+    }
+
+    /** Releases the joystick, the swipe and the fire button. */
+    releaseAll() {
+        if (this.joystickTouchId !== null) this.releaseJoystick();
+        this.lookTouchId = null;
+        if (this.fireTouchId !== null) this.releaseFireButton();
+    }
+
+    /**
+     * Starts the joystick, the swipe or a button, depending on where each new touch lands.
+     * @param {TouchEvent} event - The touchstart event.
+     */
+    handleTouchStart(event) {
+        if (!this.isVisible) return;
+        event.preventDefault();
+        const bounds = this.container.getBoundingClientRect();
+        Array.from(event.changedTouches).forEach(touch => {
+            if (!this.isVisible) return; // the pause button may have hidden the controls
+            if (touch.target === this.pauseButton) {
+                this.callbacks.onPause();
+            } else if (touch.target === this.fireButton) {
+                if (this.fireTouchId !== null) return;
+                this.fireTouchId = touch.identifier;
+                this.fireButton.classList.add('pressed');
+                this.callbacks.onFireStart();
+            } else if (touch.clientX - bounds.left < bounds.width / 2) {
+                if (this.joystickTouchId !== null) return;
+                this.joystickTouchId = touch.identifier;
+                this.joystickOrigin = { x: touch.clientX - bounds.left, y: touch.clientY - bounds.top };
+                this.joystickBase.style.left = `${this.joystickOrigin.x - TOUCH_JOYSTICK_RADIUS}px`;
+                this.joystickBase.style.top = `${this.joystickOrigin.y - TOUCH_JOYSTICK_RADIUS}px`;
+                this.joystickBase.style.bottom = 'auto';
+                this.joystickBase.classList.add('active');
+                this.updateJoystick(touch.clientX - bounds.left, touch.clientY - bounds.top);
+            } else if (this.lookTouchId === null) {
+                this.lookTouchId = touch.identifier;
+                this.lastLookX = touch.clientX;
+            }
+        });
+    }
+
+    /**
+     * Moves the joystick knob and turns the view with the swipe.
+     * @param {TouchEvent} event - The touchmove event.
+     */
+    handleTouchMove(event) {
+        if (!this.isVisible) return;
+        event.preventDefault();
+        const bounds = this.container.getBoundingClientRect();
+        Array.from(event.changedTouches).forEach(touch => {
+            if (touch.identifier === this.joystickTouchId) {
+                this.updateJoystick(touch.clientX - bounds.left, touch.clientY - bounds.top);
+            } else if (touch.identifier === this.lookTouchId) {
+                this.callbacks.onLook((touch.clientX - this.lastLookX) * TOUCH_LOOK_SCALE);
+                this.lastLookX = touch.clientX;
+            }
+        });
+    }
+
+    /**
+     * Releases whatever the lifted touches were holding.
+     * @param {TouchEvent} event - The touchend or touchcancel event.
+     */
+    handleTouchEnd(event) {
+        if (this.isVisible) event.preventDefault();
+        Array.from(event.changedTouches).forEach(touch => {
+            if (touch.identifier === this.joystickTouchId) this.releaseJoystick();
+            else if (touch.identifier === this.lookTouchId) this.lookTouchId = null;
+            else if (touch.identifier === this.fireTouchId) this.releaseFireButton();
+        });
+    }
+
+    /**
+     * Places the knob under the thumb, within the joystick radius, and reports the resulting position.
+     * @param {number} x - The thumb position relative to the container, in CSS pixels.
+     * @param {number} y - The thumb position relative to the container, in CSS pixels.
+     */
+    updateJoystick(x, y) {
+        let offsetX = x - this.joystickOrigin.x;
+        let offsetY = y - this.joystickOrigin.y;
+        const distance = Math.hypot(offsetX, offsetY);
+        if (distance > TOUCH_JOYSTICK_RADIUS) {
+            offsetX *= TOUCH_JOYSTICK_RADIUS / distance;
+            offsetY *= TOUCH_JOYSTICK_RADIUS / distance;
+        }
+        this.joystickKnob.style.transform = `translate(${offsetX}px, ${offsetY}px)`;
+        this.callbacks.onMove(
+            applyGamepadDeadZone(-offsetY / TOUCH_JOYSTICK_RADIUS, TOUCH_JOYSTICK_DEAD_ZONE),
+            applyGamepadDeadZone(offsetX / TOUCH_JOYSTICK_RADIUS, TOUCH_JOYSTICK_DEAD_ZONE)
+        );
+    }
+
+    /** Returns the joystick to its resting place and stops the movement. */
+    releaseJoystick() {
+        this.joystickTouchId = null;
+        this.joystickOrigin = null;
+        this.joystickBase.style.left = '';
+        this.joystickBase.style.top = '';
+        this.joystickBase.style.bottom = '';
+        this.joystickBase.classList.remove('active');
+        this.joystickKnob.style.transform = '';
+        this.callbacks.onMove(0, 0);
+    }
+
+    /** Lets go of the fire button. */
+    releaseFireButton() {
+        this.fireTouchId = null;
+        this.fireButton.classList.remove('pressed');
+        this.callbacks.onFireEnd();
+    }
+
+    /** Removes the overlay and the layout it applied. Its listeners are removed when the session is disposed. */
+    destroy() {
+        if (this.element.parentNode) this.element.parentNode.removeChild(this.element);
+        this.container.classList.remove('touch-portrait', 'touch-landscape');
+        this.container.style.paddingBottom = '';
+    }
+}
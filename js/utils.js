@@ -51,4 +51,79 @@ function playSoundEffect(soundSource, volume = 0.5) {
     } catch (error) {
         console.error(`Error creating Audio object for ${soundSource}:`, error);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Formats a duration as minutes and seconds, e.g. "2:07".
+ * @param {number} durationMs - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(durationMs) {
+    const totalSeconds = Math.max(0, Math.floor(durationMs / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Linearly interpolates between two values.
+ * @param {number} from - The value at t = 0.
+ * @param {number} to - The value at t = 1.
+ * @param {number} t - The interpolation factor, usually in [0, 1].
+ * @returns {number} The interpolated value.
+ */
+function lerp(from, to, t) {
+    return from + (to - from) * t;
+}
+
+/**
+ * Interpolates between two angles along the shortest arc.
+ * @param {number} from - The angle at t = 0, in radians.
+ * @param {number} to - The angle at t = 1, in radians.
+ * @param {number} t - The interpolation factor, usually in [0, 1].
+ * @returns {number} The interpolated angle, normalized to [0, 2π).
+ */
+function lerpAngle(from, to, t) {
+    let difference = normalizeAngle(to - from);
+    if (difference > Math.PI) difference -= 2 * Math.PI;
+    return normalizeAngle(from + difference * t);
+}
+
+/**
+ * Measures how far apart two directions are, along the shorter way round.
+ * @param {number} angleA - The first angle, in radians.
+ * @param {number} angleB - The second angle, in radians.
+ * @returns {number} The difference, between 0 and π.
+ */
+function angleBetween(angleA, angleB) {
+    return Math.abs(normalizeAngle(angleA - angleB + Math.PI) - Math.PI);
+}
+
+/**
+ * Calculates how brightly the player's light shows a surface at some distance.
+ * Full brightness at the player fades to the ambient light at `PLAYER_LIGHT_RADIUS`, shaped by `LIGHT_FALLOFF_SHARPNESS`.
+ * Used for walls as well as floors and ceilings, so they fade alike.
+ * @param {number} distance - The distance from the player, in pixels.
+ * @param {number} ambientLight - The level's ambient light, used outside the light radius.
+ * @returns {number} The brightness, between `ambientLight` and 1.
+ */
+function calculateLightBrightness(distance, ambientLight) {
+    const lightRadius = typeof PLAYER_LIGHT_RADIUS !== 'undefined' ? PLAYER_LIGHT_RADIUS : 200;
+    const falloffSharpness = typeof LIGHT_FALLOFF_SHARPNESS !== 'undefined' ? LIGHT_FALLOFF_SHARPNESS : 1.5;
+
+    let brightness = ambientLight; // Start with ambient light
+    if (distance <= lightRadius) { // If the surface is within player's light radius
+        const normalizedDistance = distance / lightRadius;
+        brightness = ambientLight + (1.0 - ambientLight) * Math.pow(1.0 - normalizedDistance, falloffSharpness);
+    }
+    return Math.max(ambientLight, Math.min(1.0, brightness)); // Clamp brightness
+}
+
+/**
+ * Formats a colour for canvas and CSS styles.
+ * @param {number[]} rgb - The colour as [red, green, blue], each 0-255.
+ * @returns {string} The colour, e.g. "rgb(200, 32, 32)".
+ */
+function rgbToCss(rgb) {
+    return `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+}
@@ -0,0 +1,246 @@
+// js/weapon.js
+
+/**
+ * @fileoverview Defines the player's weapons: `WEAPON_DEFINITIONS`, the table of what each weapon does,
+ * `PLAYER_MELEE_DEFINITION`, the torch swing used when a weapon runs dry, and the Weapon class, which fires one of them.
+ * Projectile weapons launch a `Projectile`; hitscan weapons trace a `Ray` through the map and hit every enemy along it at once;
+ * melee weapons hit every enemy within reach in an arc in front of the player.
+ * Assumes global access to `Projectile`, `Ray`, the `gameSession` (its `playerProjectiles`, `sprites` and `enemies` lists and its `effects`),
+ * the `gameTime` simulation clock, `playSoundEffect`, `normalizeAngle`, `angleBetween` and `degreesToRadians` (from utils.js),
+ * the constants from config.js, and the projectile images named in the definitions.
+ */
+
+/**
+ * @typedef {Object} WeaponViewmodel
+ * @property {number[] | null} tint - The colour the torch frames are tinted with, as [red, green, blue], or null for the plain torch.
+ * @property {number} frameDuration - Seconds each frame of the animation is shown.
+ * @property {number} recoil - How far the viewmodel kicks down when firing, in canvas pixels. Negative values thrust it up, as in a swing.
+ * @property {number} recoilDuration - Seconds the viewmodel takes to settle after firing.
+ */
+
+/**
+ * @typedef {Object} WeaponDefinition
+ * @property {string} id - The identifier, e.g. 'fireball'.
+ * @property {string} name - The display name.
+ * @property {string} attack - 'projectile', 'hitscan' or 'melee'.
+ * @property {number} damage - The damage dealt to each enemy hit.
+ * @property {number} fireInterval - The least time between two shots, in seconds.
+ * @property {number} spread - The largest random deviation of a shot from the aim, in radians.
+ * @property {number} [projectileSpeed] - Projectile weapons: the projectile speed, in units per second.
+ * @property {string} [projectileImage] - Projectile weapons: the name of the global holding the projectile image.
+ * @property {number} [splashRadius] - Projectile weapons: the radius of the explosion on impact, or 0 for none.
+ * @property {number} [range] - Hitscan and melee weapons: how far the beam or the swing reaches, in world units.
+ * @property {number} [arc] - Melee weapons: half the width of the arc the swing sweeps, in radians.
+ * @property {string} [beamColor] - Hitscan weapons: the CSS colour of the beam.
+ * @property {string | null} ammoType - The key of the ammunition in `AMMO_TYPES`, or null for a weapon that needs none.
+ * @property {number} ammoPerShot - The ammunition each shot uses.
+ * @property {string} sound - The sound played for each shot.
+ * @property {number} soundVolume - The volume of that sound.
+ * @property {WeaponViewmodel} viewmodel - How the weapon is drawn in the player's hand.
+ */
+
+/** @type {number} Seconds a hitscan beam stays visible after the shot. */
+const BEAM_FADE_TIME = 0.15;
+
+/** @type {WeaponDefinition[]} The player's weapons, in the order of the number keys. */
+const WEAPON_DEFINITIONS = [
+    {
+        id: 'orb', name: 'Orb', attack: 'projectile',
+        damage: 30, fireInterval: FIRE_COOLDOWN, spread: 0,
+        projectileSpeed: 180, projectileImage: 'playerAttackOrbImage', splashRadius: 0,
+        ammoType: 'mana', ammoPerShot: 1,
+        sound: "music/magicAttack.mp3", soundVolume: 0.2,
+        viewmodel: { tint: null, frameDuration: 0.08, recoil: 12, recoilDuration: 0.15 }
+    },
+    {
+        id: 'sparks', name: 'Sparks', attack: 'projectile',
+        damage: 12, fireInterval: 0.07, spread: degreesToRadians(4),
+        projectileSpeed: 300, projectileImage: 'playerAttackOrbImage', splashRadius: 0,
+        ammoType: 'mana', ammoPerShot: 1,
+        sound: "music/magicAttack.mp3", soundVolume: 0.08,
+        viewmodel: { tint: [120, 200, 255], frameDuration: 0.04, recoil: 5, recoilDuration: 0.06 }
+    },
+    {
+        id: 'beam', name: 'Beam', attack: 'hitscan',
+        damage: 45, fireInterval: 0.7, spread: 0,
+        range: tileSize * 12, beamColor: '#C8F0FF',
+        ammoType: 'mana', ammoPerShot: 3,
+        sound: "music/fireAttack2.mp3", soundVolume: 0.25,
+        viewmodel: { tint: [190, 120, 255], frameDuration: 0.1, recoil: 24, recoilDuration: 0.3 }
+    },
+    {
+        id: 'fireball', name: 'Fireball', attack: 'projectile',
+        damage: 60, fireInterval: 0.9, spread: 0,
+        projectileSpeed: 150, projectileImage: 'demonAttackOrbImage', splashRadius: tileSize * 1.5,
+        ammoType: 'embers', ammoPerShot: 1,
+        sound: "music/magicAttack.mp3", soundVolume: 0.3,
+        viewmodel: { tint: [255, 110, 20], frameDuration: 0.06, recoil: 30, recoilDuration: 0.35 }
+    }
+];
+
+/** @type {WeaponDefinition} The torch swing the player falls back on while the selected weapon is out of ammunition. */
+const PLAYER_MELEE_DEFINITION = {
+    id: 'torch', name: 'Torch', attack: 'melee',
+    damage: 25, fireInterval: 0.5, spread: 0,
+    range: tileSize * 0.9, arc: Math.PI / 4,
+    ammoType: null, ammoPerShot: 0,
+    sound: "music/fireAttack2.mp3", soundVolume: 0.15,
+    viewmodel: { tint: null, frameDuration: 0.08, recoil: -70, recoilDuration: 0.3 }
+};
+
+/**
+ * One weapon in the player's hands: a definition plus the time it last fired.
+ * @class Weapon
+ */
+class Weapon {
+    /**
+     * Creates an instance of Weapon.
+     * @param {WeaponDefinition} definition - What the weapon does. Definitions are shared and never changed.
+     */
+    constructor(definition) {
+        this.definition = definition;
+        /** @type {number} The `gameTime` of the last shot. */
+        this.lastFireTime = -Infinity;
+        /** @type {{startX: number, startY: number, endX: number, endY: number} | null} Where the last hitscan beam ran, in world coordinates. */
+        this.lastBeam = null;
+    }
+
+    /**
+     * Checks whether the shooter has the ammunition for a shot.
+     * @param {Player} shooter - The player holding the weapon.
+     * @returns {boolean} True if the weapon needs no ammunition or enough is left.
+     */
+    hasAmmo(shooter) {
+        const definition = this.definition;
+        return !definition.ammoType || shooter.ammo[definition.ammoType] >= definition.ammoPerShot;
+    }
+
+    /**
+     * Checks whether the weapon can fire now: the shooter is alive and has the ammunition,
+     * the weapon has been raised and its fire interval has passed.
+     * @param {Player} shooter - The player holding the weapon.
+     * @returns {boolean} True if `fire()` would fire.
+     */
+    canFire(shooter) {
+        const definition = this.definition;
+        if (shooter.health <= 0 || !this.hasAmmo(shooter)) return false;
+        if (gameTime - this.lastFireTime < definition.fireInterval || gameTime - shooter.weaponSwitchTime < WEAPON_SWITCH_TIME) return false;
+        if (definition.attack === 'projectile') {
+            const image = window[definition.projectileImage];
+            if (!image || !image.complete || !image.naturalHeight) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Fires one shot in the shooter's view direction, if `canFire()` allows it, and uses up its ammunition.
+     * @param {Player} shooter - The player holding the weapon.
+     * @returns {boolean} True if a shot was fired.
+     */
+    fire(shooter) {
+        if (!this.canFire(shooter)) return false;
+        const definition = this.definition;
+        this.lastFireTime = gameTime;
+        if (definition.ammoType) shooter.ammo[definition.ammoType] -= definition.ammoPerShot;
+
+        if (typeof playSoundEffect === 'function') {
+            playSoundEffect(definition.sound, definition.soundVolume);
+        }
+
+        const angle = normalizeAngle(shooter.rotationAngle + (Math.random() * 2 - 1) * definition.spread);
+        if (definition.attack === 'hitscan') this.fireBeam(shooter, angle);
+        else if (definition.attack === 'melee') this.swing(shooter, angle);
+        else this.fireProjectile(shooter, angle);
+        return true;
+    }
+
+    /**
+     * Launches a projectile from just in front of the shooter.
+     * @param {Player} shooter - The player holding the weapon.
+     * @param {number} angle - The direction of the shot, in radians.
+     */
+    fireProjectile(shooter, angle) {
+        const definition = this.definition;
+        const startOffset = tileSize * 0.3;
+        const projectile = new Projectile(
+            shooter.x + Math.cos(angle) * startOffset, shooter.y + Math.sin(angle) * startOffset,
+            angle, definition.projectileSpeed, window[definition.projectileImage], shooter.renderingContext,
+            definition.damage, definition.splashRadius
+        );
+        gameSession.playerProjectiles.push(projectile);
+        gameSession.sprites.push(projectile.sprite);
+    }
+
+    /**
+     * Traces the beam to the first wall (or its range) with a ray and damages every living enemy it passes through.
+     * A beam that reaches a wall strikes sparks off it.
+     * @param {Player} shooter - The player holding the weapon.
+     * @param {number} angle - The direction of the shot, in radians.
+     */
+    fireBeam(shooter, angle) {
+        const definition = this.definition;
+        const beamRay = new Ray(shooter.renderingContext, shooter.gameLevel, shooter.x, shooter.y, angle, 0, null);
+        beamRay.cast();
+        const beamLength = Math.min(beamRay.directDistance, definition.range);
+        const directionX = Math.cos(angle);
+        const directionY = Math.sin(angle);
+
+        gameSession.enemies.forEach(enemy => {
+            if (!enemy.isAlive) return;
+            const offsetX = enemy.x - shooter.x;
+            const offsetY = enemy.y - shooter.y;
+            const distanceAlongBeam = offsetX * directionX + offsetY * directionY;
+            const distanceFromBeam = Math.abs(offsetY * directionX - offsetX * directionY);
+            if (distanceAlongBeam > 0 && distanceAlongBeam <= beamLength && distanceFromBeam < tileSize / 3) {
+                enemy.takeDamage(definition.damage);
+                shooter.score += 5;
+            }
+        });
+
+        this.lastBeam = {
+            startX: shooter.x, startY: shooter.y,
+            endX: shooter.x + directionX * beamLength, endY: shooter.y + directionY * beamLength
+        };
+        if (beamRay.directDistance <= definition.range) {
+            // Sparks fly just in front of the wall the beam strikes.
+            const sparkDistance = beamLength - tileSize * 0.1;
+            gameSession.effects.spawn('spark', shooter.x + directionX * sparkDistance, shooter.y + directionY * sparkDistance);
+        }
+    }
+
+    /**
+     * Swings at every living enemy within reach, inside the arc of the swing and not behind a wall.
+     * @param {Player} shooter - The player holding the weapon.
+     * @param {number} angle - The direction of the swing, in radians.
+     */
+    swing(shooter, angle) {
+        const definition = this.definition;
+        gameSession.enemies.forEach(enemy => {
+            if (!enemy.isAlive || distanceBetweenPoints(shooter.x, shooter.y, enemy.x, enemy.y) > definition.range) return;
+            if (angleBetween(Math.atan2(enemy.y - shooter.y, enemy.x - shooter.x), angle) > definition.arc) return;
+            if (!shooter.gameLevel.hasLineOfSight(shooter.x, shooter.y, enemy.x, enemy.y)) return;
+            enemy.takeDamage(definition.damage);
+            shooter.score += 5;
+        });
+    }
+
+    /**
+     * Gets how visible the last hitscan beam still is.
+     * @returns {number} The opacity, from 1 right after the shot to 0 once `BEAM_FADE_TIME` has passed.
+     */
+    getBeamOpacity() {
+        if (!this.lastBeam) return 0;
+        return Math.max(0, 1 - (gameTime - this.lastFireTime) / BEAM_FADE_TIME);
+    }
+
+    /**
+     * Gets how far the viewmodel is kicked down by the last shot.
+     * @returns {number} The offset, in canvas pixels.
+     */
+    getRecoilOffset() {
+        const viewmodel = this.definition.viewmodel;
+        const sinceShot = gameTime - this.lastFireTime;
+        if (sinceShot >= viewmodel.recoilDuration) return 0;
+        return viewmodel.recoil * (1 - sinceShot / viewmodel.recoilDuration);
+    }
+}
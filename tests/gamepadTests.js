@@ -0,0 +1,90 @@
+// tests/gamepadTests.js
+
+/**
+ * @fileoverview Tests for `pollGamepad()` (js/input.js), fed with mock gamepad snapshots.
+ * Open tests/gamepad.html in a browser; the results are listed on the page and in the console.
+ */
+
+/** @type {{name: string, passed: boolean, detail: string}[]} The results of the tests run so far. */
+const gamepadTestResults = [];
+
+/**
+ * Creates a mock gamepad in the standard mapping.
+ * @param {number[]} [axes=[0, 0, 0, 0]] - The stick axes: left x, left y, right x, right y.
+ * @param {number[]} [pressedIndices=[]] - The buttons held down.
+ * @returns {{axes: number[], buttons: {pressed: boolean, value: number}[]}} The mock gamepad.
+ */
+function createMockGamepad(axes = [0, 0, 0, 0], pressedIndices = []) {
+    const buttons = GAMEPAD_BUTTON_NAMES.map((name, index) => {
+        const pressed = pressedIndices.includes(index);
+        return { pressed: pressed, value: pressed ? 1 : 0 };
+    });
+    return { axes: axes, buttons: buttons };
+}
+
+/**
+ * Records whether a value matches the expected one. Numbers are compared with a small tolerance, arrays element by element.
+ * @param {string} name - What is being tested.
+ * @param {*} actual - The value `pollGamepad()` produced.
+ * @param {*} expected - The expected value.
+ */
+function expectValue(name, actual, expected) {
+    const passed = (typeof expected === 'number')
+        ? Math.abs(actual - expected) < 1e-9
+        : JSON.stringify(actual) === JSON.stringify(expected);
+    gamepadTestResults.push({ name: name, passed: passed, detail: `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` });
+}
+
+/** Stick deflections inside the dead zone read as 0. */
+function testDeadZone() {
+    const snapshot = pollGamepad(createMockGamepad([0.19, -0.1, -0.15, 0]));
+    expectValue('dead zone: small strafe reads 0', snapshot.strafe, 0);
+    expectValue('dead zone: small move reads 0', snapshot.move, 0);
+    expectValue('dead zone: small turn reads 0', snapshot.turn, 0);
+    expectValue('dead zone: edge of the dead zone reads 0', pollGamepad(createMockGamepad([GAMEPAD_DEAD_ZONE, 0, 0, 0])).strafe, 0);
+    expectValue('dead zone: custom dead zone', pollGamepad(createMockGamepad([0.3, 0, 0, 0]), [], 0.5).strafe, 0);
+}
+
+/** Outside the dead zone the sticks give proportional values, with the y axis flipped so up moves forward. */
+function testProportionalAxes() {
+    expectValue('axes: full left stick up moves forward', pollGamepad(createMockGamepad([0, -1, 0, 0])).move, 1);
+    expectValue('axes: full left stick down moves back', pollGamepad(createMockGamepad([0, 1, 0, 0])).move, -1);
+    expectValue('axes: half-way right stick turns proportionally', pollGamepad(createMockGamepad([0, 0, 0.6, 0])).turn, 0.5);
+    expectValue('axes: half-way left stick strafes left proportionally', pollGamepad(createMockGamepad([-0.6, 0, 0, 0])).strafe, -0.5);
+    expectValue('axes: missing axes read 0', pollGamepad({ axes: [], buttons: [] }).move, 0);
+}
+
+/** Presses and releases are reported once, on the poll where they happen. */
+function testButtonEdges() {
+    const firstSnapshot = pollGamepad(createMockGamepad([0, 0, 0, 0], [0, 7]));
+    expectValue('buttons: held buttons are pressed', [firstSnapshot.buttons[0], firstSnapshot.buttons[7]], [true, true]);
+    expectValue('buttons: first poll reports the presses', firstSnapshot.pressedButtons, [0, 7]);
+
+    const heldSnapshot = pollGamepad(createMockGamepad([0, 0, 0, 0], [0, 7]), firstSnapshot.buttons);
+    expectValue('buttons: holding reports no new presses', heldSnapshot.pressedButtons, []);
+    expectValue('buttons: holding reports no releases', heldSnapshot.releasedButtons, []);
+
+    const releasedSnapshot = pollGamepad(createMockGamepad([0, 0, 0, 0], [7, 1]), heldSnapshot.buttons);
+    expectValue('buttons: letting go reports the release', releasedSnapshot.releasedButtons, [0]);
+    expectValue('buttons: a new button reports the press', releasedSnapshot.pressedButtons, [1]);
+
+    const triggerSnapshot = pollGamepad({ axes: [], buttons: [{ pressed: false, value: 0.7 }, 0.3, 0.8] });
+    expectValue('buttons: analog values count past the threshold', triggerSnapshot.buttons, [true, false, true]);
+}
+
+/** Runs all tests and lists the results. */
+function runGamepadTests() {
+    testDeadZone();
+    testProportionalAxes();
+    testButtonEdges();
+
+    const failures = gamepadTestResults.filter(result => !result.passed);
+    const lines = gamepadTestResults.map(result => `${result.passed ? 'PASS' : 'FAIL'} ${result.name}${result.passed ? '' : ` (${result.detail})`}`);
+    lines.push(`${gamepadTestResults.length - failures.length}/${gamepadTestResults.length} passed`);
+    console.log(lines.join('\n'));
+
+    const resultsElement = document.getElementById('test-results');
+    if (resultsElement) resultsElement.textContent = lines.join('\n');
+}
+
+window.addEventListener('load', runGamepadTests);